@@ -3,16 +3,41 @@
 import { createRequire } from 'node:module';
 import { program } from 'commander';
 import logger from './lib/utils/logger.js'; // Note the .js extension, mandatory in ESM
+import { MagepackError } from './lib/utils/errors.js';
 
 // ESM doesn't import JSON by default without flags, so we use createRequire
 const require = createRequire(import.meta.url);
 const { version } = require('./package.json');
 
 const errorHandler = function (error) {
-    logger.error(error);
+    // Typed errors carry a user-facing message; anything else gets the full stack.
+    logger.error(error instanceof MagepackError ? error.message : error);
     process.exit(1);
 };
 
+/**
+ * Commander argument parser for repeatable options (`--locale a --locale b`).
+ *
+ * @param {string} value - The value of the current occurrence.
+ * @param {string[]} previous - Values collected so far.
+ * @returns {string[]}
+ */
+const collect = (value, previous) => previous.concat([value]);
+
+/**
+ * Validates the `--theme` format early (fail fast), before loading the command.
+ *
+ * @param {Object} options - Parsed command options.
+ * @returns {boolean} True if valid; otherwise the error handler has been invoked.
+ */
+const validateTheme = (options) => {
+    if (options.theme && !/^[^/]+\/[^/]+$/.test(options.theme)) {
+        errorHandler(new Error(`Invalid --theme value "${options.theme}". Expected "Vendor/Theme".`));
+        return false;
+    }
+    return true;
+};
+
 program.name('magepack').usage('[generate|bundle] <options...>');
 
 program
@@ -35,11 +60,19 @@ program
     .option('--skip-checkout', 'Do not generate a bundle for checkout.')
     .option('--desktop', 'Use a desktop viewport (1920x1080) to capture desktop-specific scripts.')
     .option('--mobile', 'Use a mobile viewport (412x732) to capture mobile-specific scripts (default).')
+    .option('--root <path>', 'Base directory for relative paths (default: current directory).')
+    .option('-o, --output <path>', 'Configuration file to write (and read preserved settings from).', 'magepack.config.js')
+    .option('--theme <vendor/theme>', 'Write the bundles to the themes["Vendor/Theme"] section instead of the default bundles.')
+    .option('--locale <code>', 'With --theme, write the bundles as an override for this locale only.')
     .action(async (config) => {
         if (config.debug) {
             logger.level = 5;
         }
 
+        if (!validateTheme(config)) {
+            return;
+        }
+
         // Support env var fallback for credentials to avoid exposure in `ps aux`.
         // CLI flags take precedence; env vars are used only when flags are absent.
         if (!config.authUsername && process.env.MAGEPACK_AUTH_USER) {
@@ -63,24 +96,41 @@ program
 program
     .command('bundle')
     .description('Bundle JavaScript files using given configuration file.')
-    .option('-c, --config <path>', 'Configuration file path.', 'magepack.config.js')
-    .option('-g, --glob <path>', 'Glob pattern of themes to bundle.')
+    .option('-c, --config <path>', 'Configuration file path, relative to the Magento root.', 'magepack.config.js')
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to bundle (e.g. "Amadeco/*/fr_*").')
     .option('-t, --theme <vendor/theme>', 'Bundle only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Bundle only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
     .option('-d, --debug', 'Enable logging of debugging information.')
     .option('-s, --sourcemap', 'Include sourcemaps with generated bundles')
     .option('-m, --minify', 'Minify bundle using terser irrespective of Magento 2 minification setting')
-    .option('--minify-strategy <strategy>', 'Minification strategy: "aggressive" (best performance) or "safe" (best compatibility).', 'safe')
+    .option('--minify-strategy <strategy>', 'Minification strategy: "aggressive" (best performance) or "safe" (best compatibility, default).')
     .option('--fast-compression', 'Use lower Brotli/Zstd compression levels to speed up builds (Recommended for staging/dev CI/CD).')
     .option('--strict', 'Fail the build immediately if a mapped module is missing on the filesystem.')
-    .option('--batch-size <number>', 'Number of module files read per I/O batch (default: 50). Increase on systems with high file descriptor limits.', '50')
+    .option('--lenient', 'Leave a bundle that fails validation (syntax error, missing define) out of its locale instead of failing the locale.')
+    .option('--ecma-version <year>', 'Newest ECMAScript version bundles may use, checked before the swap (default: any, up to the latest).')
+    .option('--concurrency <number>', 'Maximum Terser/compression jobs running at once across all locales (default: CPU count, capped by total memory at 512 MB per job).')
+    .option('--cache-dir <path>', 'Durable cache directory, relative to the Magento root, kept across deployments (bundles and per-module minification results).')
+    .option('--transactional', 'Swap the locales only if every locale built successfully, all together; otherwise roll every locale back.')
+    .option('--keep-builds <n>', 'Number of builds kept per locale for "magepack rollback" (default: 3, 0 to disable).')
+    .option('--no-cache', 'Ignore every cache and rebuild all bundles (the caches are refreshed afterwards).')
+    .option('--dry-run', 'Print the bundles, module counts, missing modules, mixin compositions and RequireJS config each locale would get, without building or writing anything.')
+    .option('--wait [seconds]', 'If another Magepack run holds the lock on the static directory, wait for it (indefinitely, or at most this many seconds) instead of failing.')
+    .option('--force', 'Remove the lock of another Magepack run, even if it looks alive. Only use it when that run is known to be dead.')
+    .option('--batch-size <number>', 'Number of module files read per I/O batch (default: 50). Increase on systems with high file descriptor limits.')
+    .option('-p, --profile <name>', 'Apply the build options of this config profile (profiles.<name>). CLI flags still win.')
+    .option('--top-modules <n>', 'Number of heaviest modules listed per bundle in the console and the JSON report (default: 10, 0 to disable).')
+    .option('--budget-mode <mode>', 'What exceeded size budgets do: "error" (fail the locale, no swap; default) or "warn".')
+    .option('--report <format>', 'Write a machine-readable build report: "json" or "junit" (repeatable).', collect, [])
+    .option('--report-dir <path>', 'Directory for magepack-report.json / magepack-report.xml, relative to the Magento root (default: Magento root).')
     .action(async (options) => {
         if (options.debug) {
             logger.level = 5;
         }
 
-        // Validate theme format early (fail fast)
-        if (options.theme && !/^[^/]+\/[^/]+$/.test(options.theme)) {
-            errorHandler(new Error(`Invalid --theme value "${options.theme}". Expected "Vendor/Theme".`));
+        if (!validateTheme(options)) {
             return;
         }
 
@@ -99,11 +149,171 @@ program
 program
     .command('disable')
     .description('Disable Magepack by removing generated bundles and cleaning RequireJS configurations.')
-    .action(async () => {
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to disable (e.g. "Amadeco/*/fr_*").')
+    .option('-t, --theme <vendor/theme>', 'Disable only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Disable only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
+    .option('--dry-run', 'List the config blocks, bundle files and SRI entries that would be removed, without removing anything.')
+    .option('--wait [seconds]', 'If another Magepack run holds the lock on the static directory, wait for it (indefinitely, or at most this many seconds) instead of failing.')
+    .option('--force', 'Remove the lock of another Magepack run, even if it looks alive. Only use it when that run is known to be dead.')
+    .action(async (options) => {
+        if (!validateTheme(options)) {
+            return;
+        }
+
         try {
             const disableModule = await import('./lib/disable.js');
             const disable = disableModule.default || disableModule;
-            await disable();
+            await disable(options);
+        } catch (error) {
+            errorHandler(error);
+        }
+    });
+
+program
+    .command('rollback')
+    .description('Restore a previous build recorded by "bundle": bundles, RequireJS config and SRI hashes.')
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to roll back (e.g. "Amadeco/*/fr_*").')
+    .option('-t, --theme <vendor/theme>', 'Roll back only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Roll back only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
+    .option('--to <id>', 'Build id to restore (default: the build before the live one). See --list.')
+    .option('--list', 'List the recorded builds of each locale without restoring anything.')
+    .option('--wait [seconds]', 'If another Magepack run holds the lock on the static directory, wait for it (indefinitely, or at most this many seconds) instead of failing.')
+    .option('--force', 'Remove the lock of another Magepack run, even if it looks alive. Only use it when that run is known to be dead.')
+    .action(async (options) => {
+        if (!validateTheme(options)) {
+            return;
+        }
+
+        try {
+            const rollbackModule = await import('./lib/rollback.js');
+            const rollback = rollbackModule.default || rollbackModule;
+            await rollback(options);
+        } catch (error) {
+            errorHandler(error);
+        }
+    });
+
+program
+    .command('validate')
+    .description('Validate the configuration file and check that every bundled module exists in the deployed locales.')
+    .option('-c, --config <path>', 'Configuration file path, relative to the Magento root.', 'magepack.config.js')
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to check (e.g. "Amadeco/*/fr_*").')
+    .option('-t, --theme <vendor/theme>', 'Check only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Check only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
+    .option('--strict', 'Report modules missing on the filesystem as errors instead of warnings.')
+    .option('--json', 'Print the validation report as JSON (for CI).')
+    .option('-d, --debug', 'Enable logging of debugging information.')
+    .action(async (options) => {
+        if (options.debug) {
+            logger.level = 5;
+        } else if (options.json) {
+            // Keep stdout parseable: only errors reach the console besides the report.
+            logger.level = 0;
+        }
+
+        if (!validateTheme(options)) {
+            return;
+        }
+
+        try {
+            const validateModule = await import('./lib/validate.js');
+            const validate = validateModule.default || validateModule;
+            const report = await validate(options);
+
+            if (!report.valid) {
+                process.exitCode = 1;
+            }
+        } catch (error) {
+            errorHandler(error);
+        }
+    });
+
+program
+    .command('analyze')
+    .description('Write an HTML treemap of the modules inside each bundle, from the last build of each locale.')
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to analyze (e.g. "Amadeco/*/fr_*").')
+    .option('-t, --theme <vendor/theme>', 'Analyze only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Analyze only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
+    .option('-o, --output-dir <path>', 'Directory for the magepack-analyze-*.html files, relative to the Magento root (default: Magento root).')
+    .action(async (options) => {
+        if (!validateTheme(options)) {
+            return;
+        }
+
+        try {
+            const analyzeModule = await import('./lib/analyze.js');
+            const analyze = analyzeModule.default || analyzeModule;
+            await analyze(options);
+        } catch (error) {
+            errorHandler(error);
+        }
+    });
+
+const cache = program
+    .command('cache')
+    .description('Inspect or reset the incremental bundle cache.');
+
+cache
+    .command('status')
+    .description('Show the cached hash, bundle file and age of every cached bundle, per locale.')
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to inspect (e.g. "Amadeco/*/fr_*").')
+    .option('-t, --theme <vendor/theme>', 'Inspect only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Inspect only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
+    .option('--cache-dir <path>', 'Also report the persistent cache directory used with "bundle --cache-dir".')
+    .option('--json', 'Print the status as JSON.')
+    .action(async (options) => {
+        if (options.json) {
+            // Keep stdout parseable: only errors reach the console besides the status.
+            logger.level = 0;
+        }
+
+        if (!validateTheme(options)) {
+            return;
+        }
+
+        try {
+            const { status } = await import('./lib/cache.js');
+            await status(options);
+        } catch (error) {
+            errorHandler(error);
+        }
+    });
+
+cache
+    .command('clear')
+    .description('Delete the incremental cache so the next build rebuilds every bundle. Live bundles are kept.')
+    .option('--root <path>', 'Magento root directory (default: current directory).')
+    .option('--static-dir <path>', 'Frontend static directory, relative to the Magento root (default: pub/static/frontend).')
+    .option('-g, --glob <pattern>', 'Glob pattern over Vendor/Theme/locale to clear (e.g. "Amadeco/*/fr_*").')
+    .option('-t, --theme <vendor/theme>', 'Clear only this theme (format: Vendor/Theme).')
+    .option('-l, --locale <code>', 'Clear only this locale code, e.g. fr_FR (repeatable).', collect, [])
+    .option('--exclude <pattern>', 'Skip locales matching this Vendor/Theme/locale glob (repeatable).', collect, [])
+    .option('--cache-dir <path>', 'Also empty the persistent cache directory used with "bundle --cache-dir" (shared by all locales).')
+    .option('--wait [seconds]', 'If another Magepack run holds the lock on the static directory, wait for it (indefinitely, or at most this many seconds) instead of failing.')
+    .option('--force', 'Remove the lock of another Magepack run, even if it looks alive. Only use it when that run is known to be dead.')
+    .action(async (options) => {
+        if (!validateTheme(options)) {
+            return;
+        }
+
+        try {
+            const { clear } = await import('./lib/cache.js');
+            await clear(options);
         } catch (error) {
             errorHandler(error);
         }
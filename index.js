@@ -1 +1,191 @@
+/**
+ * @file index.js
+ * @description Programmatic Node API for Magepack.
+ *
+ * Exposes the CLI commands as async functions for embedding Magepack in a
+ * deploy orchestrator. Unlike `cli.js`, these functions never call
+ * `process.exit()` and never depend on `process.cwd()`: each one takes the
+ * Magento root directory explicitly, resolves with a structured result and
+ * rejects with a typed error from `lib/utils/errors.js`.
+ *
+ * Command modules are loaded lazily (as in `cli.js`), so importing the API does
+ * not pull Puppeteer in unless `generate()` is actually called.
+ *
+ * @example
+ *   import { bundle, BuildError } from 'magepack';
+ *
+ *   try {
+ *       const result = await bundle('/var/www/magento', { minify: true, theme: 'Amadeco/future' });
+ *       result.locales.forEach((l) => console.log(l.label, l.bundles.length));
+ *   } catch (e) {
+ *       if (e instanceof BuildError) console.error(e.result.locales.filter((l) => l.status === 'failed'));
+ *       throw e;
+ *   }
+ */
+
+import { FILES } from './lib/utils/constants.js';
+
 export * from './lib/generate/collector/index.js';
+export {
+    MagepackError,
+    ConfigError,
+    StaticContentError,
+    BuildError,
+    GenerateError,
+    DisableError,
+    RollbackError,
+    LockError,
+    BudgetError,
+    BundleValidationError,
+} from './lib/utils/errors.js';
+
+/**
+ * Generates `magepack.config.js` by crawling the given storefront pages.
+ *
+ * @param {string} root - Base directory; `magepack.config.js` is read and written there by default.
+ * @param {Object} options - Same options as `magepack generate`, in camelCase.
+ * @param {string} options.cmsUrl - CMS page URL.
+ * @param {string} options.categoryUrl - Category page URL.
+ * @param {string} options.productUrl - Product page URL.
+ * @param {string} [options.authUsername] - Basic authentication username.
+ * @param {string} [options.authPassword] - Basic authentication password.
+ * @param {string|number} [options.timeout=30] - Browser timeout in seconds.
+ * @param {boolean} [options.skipCheckout] - Do not generate cart/checkout bundles.
+ * @param {boolean} [options.desktop] - Use a desktop viewport.
+ * @param {string} [options.output='magepack.config.js'] - Config file to write, relative to `root`.
+ * @returns {Promise<{configPath: string, config: Object}>} The written file and its content.
+ * @throws {GenerateError} If a collector fails.
+ */
+export const generate = async (root, options = {}) => {
+    const { default: run } = await import('./lib/generate.js');
+    return run({ timeout: '30', ...options, root });
+};
+
+/**
+ * Bundles every deployed locale under `root` using the configuration file.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack bundle`, in camelCase.
+ * @param {string} [options.config='magepack.config.js'] - Config path, relative to `root`.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory, relative to `root`.
+ * @param {string} [options.theme] - Bundle only this theme (`Vendor/Theme`).
+ * @param {boolean} [options.minify] - Force Terser minification.
+ * @param {'safe'|'aggressive'} [options.minifyStrategy='safe'] - Terser strategy.
+ * @param {boolean} [options.sourcemap] - Emit source maps.
+ * @param {boolean} [options.fastCompression] - Use fast Brotli/Zstd levels.
+ * @param {boolean} [options.strict] - Fail on modules missing on disk.
+ * @param {boolean} [options.lenient] - Leave bundles that fail validation out instead of failing their locale.
+ * @param {number} [options.ecmaVersion] - Newest ECMAScript version bundles may use (default: the latest).
+ * @param {string|number} [options.batchSize=50] - Module files read per I/O batch.
+ * @param {number} [options.concurrency] - Maximum concurrent Terser/compression jobs (default: from CPUs and total memory).
+ * @param {string} [options.cacheDir] - Durable cache directory, relative to `root`, kept across deployments.
+ * @param {boolean} [options.transactional] - Deploy all locales together or none of them.
+ * @param {number} [options.keepBuilds=3] - Builds kept per locale for `rollback()` (0 disables).
+ * @param {boolean} [options.cache=true] - `false` rebuilds every bundle, ignoring all caches.
+ * @param {boolean|number} [options.wait] - Wait for another run's lock on the static directory
+ *   (`true` indefinitely, or at most that many seconds) instead of rejecting with a `LockError`.
+ * @param {boolean} [options.force] - Remove another run's lock.
+ * @param {boolean} [options.dryRun] - Only resolve and print what would be built; nothing is written.
+ * @param {string} [options.profile] - Config profile to apply; explicit options still win.
+ * @param {'warn'|'error'} [options.budgetMode='error'] - What exceeded size budgets do.
+ * @param {number} [options.topModules=10] - Heaviest modules listed per bundle (0 disables).
+ * @param {string|string[]} [options.report] - Report format(s) to write: `json`, `junit`.
+ * @param {string} [options.reportDir='.'] - Report directory, relative to `root`.
+ * @returns {Promise<import('./lib/bundle.js').BundleRunResult>} Per-locale and per-bundle results.
+ * @throws {ConfigError} If the configuration is missing or invalid.
+ * @throws {StaticContentError} If no deployed locale is found.
+ * @throws {BuildError} If a locale fails; `error.result` holds the full result.
+ * @throws {LockError} If another run holds the lock (`error.holder` describes it).
+ */
+export const bundle = async (root, options = {}) => {
+    const { default: run } = await import('./lib/bundle.js');
+    return run({ config: FILES.MAGEPACK_CONFIG, ...options, root });
+};
+
+/**
+ * Validates the configuration file and checks bundled module files in every locale.
+ *
+ * Resolves with the report even when the configuration is invalid; check `report.valid`.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack validate`, in camelCase.
+ * @param {string} [options.config='magepack.config.js'] - Config path, relative to `root`.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory, relative to `root`.
+ * @param {boolean} [options.strict] - Report missing module files as errors.
+ * @returns {Promise<import('./lib/validate.js').ValidationReport>}
+ */
+export const validate = async (root, options = {}) => {
+    const { default: run } = await import('./lib/validate.js');
+    return run({ config: FILES.MAGEPACK_CONFIG, ...options, root });
+};
+
+/**
+ * Writes an HTML treemap of the bundle composition of each bundled locale.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack analyze`, in camelCase.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory, relative to `root`.
+ * @param {string} [options.outputDir='.'] - Directory for the HTML files, relative to `root`.
+ * @returns {Promise<import('./lib/analyze.js').AnalyzeResult>} The written files and skipped locales.
+ * @throws {StaticContentError} If no selected locale has been bundled yet.
+ */
+export const analyze = async (root, options = {}) => {
+    const { default: run } = await import('./lib/analyze.js');
+    return run({ ...options, root });
+};
+
+/**
+ * Reports the incremental cache of every locale: cached hash, bundle file and age per bundle.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack cache status`, in camelCase.
+ * @param {string} [options.cacheDir] - Persistent cache directory to report too, relative to `root`.
+ * @returns {Promise<import('./lib/cache.js').CacheStatus>}
+ */
+export const cacheStatus = async (root, options = {}) => {
+    const { status } = await import('./lib/cache.js');
+    return status({ ...options, root });
+};
+
+/**
+ * Deletes the incremental cache of every locale, so the next build rebuilds all bundles.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack cache clear`, in camelCase.
+ * @param {string} [options.cacheDir] - Persistent cache directory to empty too, relative to `root`.
+ * @returns {Promise<{locales: string[], cacheDir: string|null}>} Cleared locales and directory.
+ */
+export const cacheClear = async (root, options = {}) => {
+    const { clear } = await import('./lib/cache.js');
+    return clear({ ...options, root });
+};
+
+/**
+ * Removes generated bundles and injected RequireJS config from every locale.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack disable`, in camelCase.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory, relative to `root`.
+ * @param {boolean} [options.dryRun] - Only list what would be removed; nothing is deleted.
+ * @returns {Promise<Object>} Per-locale cleanup results, the removed SRI entries and whether SRI hashes changed.
+ * @throws {MagepackError} If cleanup fails.
+ */
+export const disable = async (root, options = {}) => {
+    const { default: run } = await import('./lib/disable.js');
+    return run({ ...options, root });
+};
+
+/**
+ * Restores the previous build of every locale (or `options.to`) from the build history.
+ *
+ * @param {string} root - Magento root directory.
+ * @param {Object} [options={}] - Same options as `magepack rollback`, in camelCase.
+ * @param {string} [options.to] - Build id to restore (default: the build before the live one).
+ * @param {boolean} [options.list] - Only list the recorded builds (`locales[].builds`).
+ * @returns {Promise<{root: string, staticDir: string, locales: Array<import('./lib/rollback.js').LocaleRollback>, sriUpdated: boolean}>}
+ * @throws {RollbackError} If nothing could be rolled back, or a locale failed to.
+ */
+export const rollback = async (root, options = {}) => {
+    const { default: run } = await import('./lib/rollback.js');
+    return run({ ...options, root });
+};
@@ -0,0 +1,82 @@
+/**
+ * @file lib/analyze.js
+ * @description Writes an HTML treemap of the bundle composition of each locale.
+ *
+ * `magepack bundle` records, for every bundle, the contribution of each module
+ * (wrapped and minified bytes, composed mixins) in the locale's
+ * `.magepack-stats.json`. This command renders that data, so the treemap always
+ * describes the bundles that are live. Locales never bundled are skipped.
+ *
+ * @module analyze
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import consola from 'consola';
+import { StaticContentError } from './utils/errors.js';
+import { resolveRoot, resolveStaticDir, getLocalePath } from './utils/paths.js';
+
+import getLocales from './bundle/getLocales.js';
+import filterLocales from './bundle/filterLocales.js';
+import { loadStats } from './bundle/service/buildStats.js';
+import { renderTreemapHtml } from './analyze/treemapHtml.js';
+
+/**
+ * @typedef {Object} AnalyzeResult
+ * @property {Array<{label: string, file: string}>} files - Written treemaps.
+ * @property {string[]} skipped - Labels of the locales without build stats.
+ */
+
+/**
+ * Renders one treemap per selected locale.
+ *
+ * @async
+ * @param {Object} options - Command options.
+ * @param {string} [options.root] - Magento root directory.
+ * @param {string} [options.staticDir] - Frontend static directory.
+ * @param {string} [options.theme] - Only this theme (`Vendor/Theme`).
+ * @param {string|string[]} [options.glob] - Locale include pattern(s).
+ * @param {string|string[]} [options.locale] - Locale code(s).
+ * @param {string|string[]} [options.exclude] - Locale exclude pattern(s).
+ * @param {string} [options.outputDir='.'] - Directory for the HTML files, relative to the root.
+ * @returns {Promise<AnalyzeResult>}
+ * @throws {StaticContentError} If no selected locale has been bundled yet.
+ */
+export default async (options) => {
+    const root = resolveRoot(options);
+    const staticDir = resolveStaticDir(options);
+    const outputDir = path.resolve(root, options.outputDir || '.');
+
+    const locales = await filterLocales(await getLocales(staticDir), staticDir, options);
+
+    /** @type {AnalyzeResult} */
+    const result = { files: [], skipped: [] };
+
+    for (const locale of locales) {
+        const label = `${locale.vendor}/${locale.name} (${locale.code})`;
+        const stats = await loadStats(getLocalePath(staticDir, locale));
+
+        if (!stats) {
+            consola.warn(`⚠️  No build stats for ${label}; run "magepack bundle" first. Skipping.`);
+            result.skipped.push(label);
+            continue;
+        }
+
+        const file = path.join(outputDir, `magepack-analyze-${locale.vendor}-${locale.name}-${locale.code}.html`);
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(file, renderTreemapHtml({ label, stats }), 'utf8');
+
+        consola.success(`🗺️  ${label}: treemap written to ${file}`);
+        result.files.push({ label, file });
+    }
+
+    if (result.files.length === 0) {
+        throw new StaticContentError('No bundled locale to analyze. Run "magepack bundle" first.');
+    }
+
+    return result;
+};
@@ -0,0 +1,324 @@
+/**
+ * @file lib/analyze/treemapHtml.js
+ * @description Renders the bundle composition of a locale as a self-contained HTML treemap.
+ *
+ * The page has no external dependency (no CDN, no fonts): the data is embedded
+ * as JSON and laid out in the browser with a squarified treemap. The hierarchy
+ * is bundle → Magento module (`Vendor_Module/`, or the first path segment for
+ * libraries such as `jquery/` or `mage/`) → module. Areas can be switched
+ * between minified and raw (wrapped, pre-Terser) bytes; clicking a bundle or a
+ * group zooms into it. Targets composed with their mixins by `mixinComposer`
+ * are highlighted.
+ *
+ * @module analyze/treemapHtml
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+/**
+ * Returns the group a module is shown under: its Magento module
+ * (`Magento_Checkout`) or, for libraries, the first path segment (`jquery`, `mage`).
+ * Loader plugin prefixes (`text!`, `domReady!`) are ignored.
+ *
+ * @param {string} moduleId - RequireJS module ID.
+ * @returns {string}
+ */
+export const moduleGroup = (moduleId) => {
+    const id = moduleId.replace(/^[^!/]+!/, '');
+    const magentoModule = id.match(/^([A-Za-z0-9]+_[A-Za-z0-9]+)\//);
+    if (magentoModule) return magentoModule[1];
+    return id.includes('/') ? id.slice(0, id.indexOf('/')) : id;
+};
+
+/**
+ * Builds the treemap hierarchy of a locale from its build stats.
+ *
+ * Bundles restored from a cache written before per-module composition existed
+ * have no breakdown; they are shown as a single block.
+ *
+ * @param {import('../bundle/service/buildStats.js').BuildStats} stats
+ * @returns {Array<Object>} One node per bundle, with `children` groups of module leaves.
+ */
+export const buildTree = (stats) =>
+    Object.entries(stats.bundles)
+        .filter(([, bundle]) => bundle.sizes && bundle.sizes.raw > 0)
+        .map(([name, bundle]) => {
+            if (!Array.isArray(bundle.composition)) {
+                return {
+                    name,
+                    sizes: bundle.sizes,
+                    children: [{
+                        name: '(no per-module data)',
+                        children: [{ name: `bundle-${name}`, raw: bundle.sizes.raw, minified: bundle.sizes.raw }],
+                    }],
+                };
+            }
+
+            const groups = new Map();
+            for (const entry of bundle.composition) {
+                const group = moduleGroup(entry.id);
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push({
+                    name: entry.id,
+                    raw: entry.raw,
+                    minified: entry.minified,
+                    ...(entry.gzip === undefined ? {} : { gzip: entry.gzip }),
+                    ...(entry.mixins?.length ? { mixins: entry.mixins } : {}),
+                });
+            }
+
+            return {
+                name,
+                sizes: bundle.sizes,
+                children: [...groups].map(([group, children]) => ({ name: group, children })),
+            };
+        });
+
+/**
+ * Escapes a string for HTML text.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const html = (value) =>
+    String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font: 13px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2933; background: #f5f7fa; }
+header { padding: 12px 16px; background: #1f2933; color: #fff; }
+header h1 { margin: 0 0 4px; font-size: 16px; }
+header .meta { opacity: .75; }
+.toolbar { display: flex; gap: 16px; align-items: center; padding: 8px 16px; background: #fff; border-bottom: 1px solid #d9e2ec; }
+.crumbs a { color: #2563eb; cursor: pointer; text-decoration: underline; }
+.legend { margin-left: auto; display: flex; gap: 12px; align-items: center; }
+.swatch { display: inline-block; width: 14px; height: 14px; vertical-align: middle; margin-right: 4px; border: 2px dashed #b91c1c; background: #fde68a; }
+#map { position: relative; margin: 8px 16px; height: calc(100vh - 200px); min-height: 420px; background: #fff; }
+.node { position: absolute; overflow: hidden; border: 1px solid rgba(255, 255, 255, .9); }
+.node.parent > .label { font-weight: 600; cursor: zoom-in; }
+.node .label { padding: 1px 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-size: 11px; }
+.node.leaf { cursor: default; }
+.node.mixin { outline: 2px dashed #b91c1c; outline-offset: -3px; background-image: repeating-linear-gradient(45deg, rgba(253, 230, 138, .55) 0 6px, transparent 6px 12px); }
+#tip { position: fixed; pointer-events: none; display: none; max-width: 420px; padding: 6px 8px; background: #1f2933; color: #fff; border-radius: 4px; font-size: 12px; z-index: 10; }
+table { border-collapse: collapse; margin: 0 16px 16px; background: #fff; }
+th, td { padding: 4px 10px; border: 1px solid #d9e2ec; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+`;
+
+// Runs in the browser. Kept free of template literals so it can be embedded as-is.
+const SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('magepack-data').textContent);
+  var map = document.getElementById('map');
+  var tip = document.getElementById('tip');
+  var crumbs = document.getElementById('crumbs');
+  var metric = 'minified';
+  var root = { name: data.label, children: data.bundles };
+  var path = [root];
+
+  function fmt(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / 1048576).toFixed(2) + ' MB';
+  }
+  function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+  function value(node) { return total(node, metric); }
+
+  // Squarified treemap (Bruls, Huizing, van Wijk).
+  function squarify(children, x, y, w, h) {
+    var items = children.map(function (c) { return { node: c, v: value(c) }; })
+      .filter(function (i) { return i.v > 0; })
+      .sort(function (a, b) { return b.v - a.v; });
+    var sum = items.reduce(function (s, i) { return s + i.v; }, 0);
+    var out = [];
+    if (sum <= 0 || w <= 0 || h <= 0) return out;
+    var scale = (w * h) / sum;
+    items.forEach(function (i) { i.area = i.v * scale; });
+
+    function worst(row, side) {
+      var s = 0, max = 0, min = Infinity;
+      row.forEach(function (r) { s += r.area; max = Math.max(max, r.area); min = Math.min(min, r.area); });
+      return Math.max((side * side * max) / (s * s), (s * s) / (side * side * min));
+    }
+    function flush(row) {
+      var s = row.reduce(function (a, r) { return a + r.area; }, 0);
+      if (w >= h) {
+        var cw = s / h, cy = y;
+        row.forEach(function (r) { var rh = r.area / cw; out.push({ node: r.node, x: x, y: cy, w: cw, h: rh }); cy += rh; });
+        x += cw; w -= cw;
+      } else {
+        var rh = s / w, cx = x;
+        row.forEach(function (r) { var rw = r.area / rh; out.push({ node: r.node, x: cx, y: y, w: rw, h: rh }); cx += rw; });
+        y += rh; h -= rh;
+      }
+    }
+
+    var row = [];
+    items.forEach(function (item) {
+      var side = Math.min(w, h);
+      if (row.length === 0 || worst(row.concat([item]), side) <= worst(row, side)) {
+        row.push(item);
+      } else {
+        flush(row);
+        row = [item];
+      }
+    });
+    if (row.length) flush(row);
+    return out;
+  }
+
+  function color(depth, index) {
+    var hue = (index * 67) % 360;
+    return 'hsl(' + hue + ', 55%, ' + (82 - depth * 7) + '%)';
+  }
+
+  function draw(node, parentEl, x, y, w, h, depth, hue) {
+    squarify(node.children, x, y, w, h).forEach(function (cell, i) {
+      var child = cell.node;
+      var el = document.createElement('div');
+      var colorIndex = depth === 0 ? i : hue;
+      el.className = 'node ' + (child.children ? 'parent' : 'leaf') + (child.mixins ? ' mixin' : '');
+      el.style.left = cell.x + 'px';
+      el.style.top = cell.y + 'px';
+      el.style.width = cell.w + 'px';
+      el.style.height = cell.h + 'px';
+      el.style.backgroundColor = color(depth, colorIndex);
+
+      var label = document.createElement('div');
+      label.className = 'label';
+      label.textContent = child.name + ' · ' + fmt(value(child));
+      el.appendChild(label);
+
+      el.addEventListener('mousemove', function (e) {
+        e.stopPropagation();
+        show(e, child, node);
+      });
+      el.addEventListener('mouseleave', function () { tip.style.display = 'none'; });
+
+      if (child.children) {
+        label.addEventListener('click', function (e) {
+          e.stopPropagation();
+          path.push(child);
+          render();
+        });
+        if (cell.w > 60 && cell.h > 40) {
+          draw(child, el, 2, 18, cell.w - 6, cell.h - 22, depth + 1, colorIndex);
+        }
+      }
+      parentEl.appendChild(el);
+    });
+  }
+
+  function total(node, key) {
+    if (!node.children) return node[key] || 0;
+    return node.children.reduce(function (s, c) { return s + total(c, key); }, 0);
+  }
+
+  function show(e, node, parent) {
+    var lines = ['<strong>' + esc(node.name) + '</strong>'];
+    lines.push('minified: ' + fmt(total(node, 'minified')) + ' · raw: ' + fmt(total(node, 'raw')) +
+      (node.children ? ' · ' + countLeaves(node) + ' module(s)' : '') +
+      (node.gzip === undefined ? '' : ' · ≈' + fmt(node.gzip) + ' gzip'));
+    lines.push((100 * value(node) / Math.max(1, value(parent))).toFixed(1) + '% of ' + esc(parent.name));
+    if (node.mixins) lines.push('Composed with mixins: ' + node.mixins.map(esc).join(', '));
+    tip.innerHTML = lines.join('<br>');
+    tip.style.display = 'block';
+    tip.style.left = Math.min(e.clientX + 12, window.innerWidth - 440) + 'px';
+    tip.style.top = (e.clientY + 12) + 'px';
+  }
+
+  function countLeaves(node) {
+    if (!node.children) return 1;
+    return node.children.reduce(function (s, c) { return s + countLeaves(c); }, 0);
+  }
+
+  function render() {
+    map.innerHTML = '';
+    crumbs.innerHTML = '';
+    path.forEach(function (node, i) {
+      if (i > 0) crumbs.appendChild(document.createTextNode(' › '));
+      var a = document.createElement(i === path.length - 1 ? 'span' : 'a');
+      a.textContent = node.name;
+      if (i < path.length - 1) {
+        a.addEventListener('click', function () { path = path.slice(0, i + 1); render(); });
+      }
+      crumbs.appendChild(a);
+    });
+    var current = path[path.length - 1];
+    var hue = 0;
+    if (path.length > 1) hue = data.bundles.indexOf(path[1]);
+    draw(current, map, 0, 0, map.clientWidth, map.clientHeight, path.length > 1 ? 1 : 0, hue);
+  }
+
+  document.querySelectorAll('input[name=metric]').forEach(function (input) {
+    input.addEventListener('change', function () { metric = input.value; render(); });
+  });
+  window.addEventListener('resize', render);
+  render();
+})();
+`;
+
+/**
+ * Formats bytes for the summary table.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+/**
+ * Renders the treemap page of a locale.
+ *
+ * @param {Object} params
+ * @param {string} params.label - Locale display label (`Vendor/Theme (code)`).
+ * @param {import('../bundle/service/buildStats.js').BuildStats} params.stats - Stats of the last build.
+ * @returns {string} A complete HTML document.
+ */
+export const renderTreemapHtml = ({ label, stats }) => {
+    const bundles = buildTree(stats);
+
+    // `<` is escaped so module IDs can never close the script element.
+    const json = JSON.stringify({ label, bundles }).replace(/</g, '\\u003c');
+
+    const leaves = bundles.flatMap((b) => b.children.flatMap((g) => g.children));
+    const composedCount = leaves.filter((m) => m.mixins).length;
+
+    const rows = bundles.map((b) => `<tr><td>bundle-${html(b.name)}</td>` +
+        `<td>${b.children.reduce((n, g) => n + g.children.length, 0)}</td>` +
+        `<td>${kb(b.sizes.raw)}</td><td>${kb(b.sizes.gzip)}</td><td>${kb(b.sizes.brotli)}</td><td>${kb(b.sizes.zstd)}</td></tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Magepack bundle composition · ${html(label)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>Bundle composition · ${html(label)}</h1>
+  <div class="meta">Build of ${html(stats.generatedAt || 'unknown date')} · ${bundles.length} bundle(s) · ${composedCount} target(s) composed with mixins</div>
+</header>
+<div class="toolbar">
+  <div class="crumbs" id="crumbs"></div>
+  <label><input type="radio" name="metric" value="minified" checked> Minified bytes</label>
+  <label><input type="radio" name="metric" value="raw"> Raw bytes</label>
+  <div class="legend"><span><span class="swatch"></span>Target composed with mixins</span></div>
+</div>
+<div id="map"></div>
+<table>
+  <thead><tr><th>Bundle</th><th>Modules</th><th>Raw</th><th>Gzip</th><th>Brotli</th><th>Zstd</th></tr></thead>
+  <tbody>
+${rows}
+  </tbody>
+</table>
+<div id="tip"></div>
+<script type="application/json" id="magepack-data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+};
@@ -3,6 +3,42 @@
  * @description Main bundling orchestrator for Magepack.
  *
  * @changelog
+ *   - v3.2.0: Each bundle written to `magepack_build/` is parsed and checked for the
+ *     `define()` of every declared module before the swap (`bundle/service/bundleValidator.js`).
+ *     An invalid bundle fails its locale, or with `--lenient` is left out of it.
+ *   - v3.2.0: `--dry-run` resolves the locales, bundles, module files, mixin
+ *     compositions and RequireJS config of the run and prints them (`planRun`),
+ *     without taking the lock or writing anything.
+ *   - v3.2.0: The run holds the static directory lock (`utils/lock.js`) from the
+ *     startup recovery to the end, so concurrent runs wait or fail instead of racing.
+ *   - v3.2.0: Leftovers of an interrupted run are repaired before building
+ *     (`bundle/service/recovery.js`); on SIGINT/SIGTERM, locales swapped but not
+ *     complete are reverted and staging directories deleted (`utils/shutdown.js`).
+ *   - v3.2.0: Each completed locale records its build in `.magepack-history/`
+ *     (`bundle/service/buildHistory.js`, last `--keep-builds` builds) for `magepack rollback`.
+ *   - v3.2.0: Locales are built, committed and completed in separate steps
+ *     (`buildLocale`, `commitLocale`, `completeLocale`). `--transactional` swaps
+ *     all locales only once every build succeeded and rolls all of them back if
+ *     the commit fails; a failed swap or config injection now restores the
+ *     previous bundles in the default mode too.
+ *   - v3.2.0: `--no-cache` (`options.cache === false`) ignores the bundle, module and
+ *     cache directory entries, rebuilding every bundle; cache entries record `builtAt`.
+ *   - v3.2.0: With `--cache-dir`, built bundles and module minification results are
+ *     also stored in a durable, content-addressed directory
+ *     (`bundle/service/persistentCache.js`) and restored from it when the locale's
+ *     previous output is gone.
+ *   - v3.2.0: A bundle whose hash was already built by another locale in the same
+ *     run is hardlinked from it (`bundle/service/sharedOutputs.js`) instead of rebuilt.
+ *   - v3.2.0: Terser runs in a `worker_threads` pool (`utils/workerPool.js`) of
+ *     `--concurrency` threads, so multi-locale builds use every core.
+ *   - v3.2.0: Terser and compression jobs of every locale share one task queue
+ *     (`utils/taskQueue.js`) sized by `--concurrency`, instead of all starting at once.
+ *   - v3.2.0: Each successful locale records its bundle sizes and module lists
+ *     (`bundle/service/buildStats.js`) and the run ends with a diff against the
+ *     previous build.
+ *   - v3.2.0: Bundles are resolved per locale (`bundle/localeConfig.js`): a
+ *     `themes['Vendor/Theme']` section, optionally overridden per locale, replaces
+ *     the top-level `bundles` for that theme. Exclusions are applied per scope.
  *   - v3.1.0: Added mixin-aware composition pipeline. The orchestrator now:
  *     1. Resolves mixin declarations from the locale's `requirejs-config.js`.
  *     2. Builds per-bundle mixin maps (which targets have bundled mixins).
@@ -15,26 +51,56 @@
  */
 
 import fs from 'node:fs/promises';
+import { rmSync, writeFileSync } from 'node:fs';
 import path from 'node:path';
-import { createRequire } from 'node:module';
 import consola from 'consola';
-import { PATHS } from './utils/constants.js';
+import { PATHS, FILES } from './utils/constants.js';
+import { BuildError, BudgetError, BundleValidationError, ConfigError, MagepackError } from './utils/errors.js';
+import { resolveRoot, resolveStaticDir, getLocalePath } from './utils/paths.js';
+import { loadConfig } from './utils/configLoader.js';
+import createTaskQueue, { defaultConcurrency } from './utils/taskQueue.js';
+import createWorkerPool from './utils/workerPool.js';
+import { onShutdown } from './utils/shutdown.js';
+import acquireLock from './utils/lock.js';
 
 // Internal modules imports
 import getLocales from './bundle/getLocales.js';
+import filterLocales from './bundle/filterLocales.js';
 import checkMinifyOn from './bundle/checkMinifyOn.js';
-import { processBundle } from './bundle/processor.js';
+import resolveBuildOptions from './bundle/buildOptions.js';
+import { resolveLocaleConfig, listConfigScopes } from './bundle/localeConfig.js';
+import createPathResolver from './bundle/moduleMapResolver.js';
+import { processBundle, planBundle, resolveTerserOptions } from './bundle/processor.js';
 import { updateSriHashes } from './bundle/service/sriUpdater.js';
-import { injectRequireConfig } from './bundle/service/configInjector.js';
+import { injectRequireConfig, planRequireConfig } from './bundle/service/configInjector.js';
+import { swapIn, revertSwap, revertSwapSync, dropBackup } from './bundle/service/atomicSwap.js';
+import { recoverLocales } from './bundle/service/recovery.js';
+import { recordBuild, DEFAULT_KEEP_BUILDS } from './bundle/service/buildHistory.js';
+import { getBundleSizes, heaviestModules, reportHeaviestModules } from './bundle/service/reporter.js';
+import { parseReportFormats, writeBuildReports } from './bundle/service/buildReport.js';
+import { checkBudgets, formatViolation } from './bundle/service/budgets.js';
+import { validateBundle, resolveEcmaVersion } from './bundle/service/bundleValidator.js';
+import { loadStats, saveStats, collectStats, diffStats, printStatsDiff } from './bundle/service/buildStats.js';
+import { validateBudgets } from './validate/schema.js';
+import createModuleCache from './bundle/service/moduleCache.js';
+import createSharedOutputs, { reuseSharedOutput } from './bundle/service/sharedOutputs.js';
+import createPersistentCache from './bundle/service/persistentCache.js';
 import { resolveLocaleMixins, buildBundleMixinMap } from './bundle/service/mixinResolver.js';
 import {
     computeBundleHash,
+    fingerprintBundleFiles,
     loadCache,
     saveCache,
     isCacheHit,
     restoreFromCache,
 } from './bundle/service/bundleCache.js';
 
+/**
+ * Number of heaviest modules listed per bundle when `topModules` is not set.
+ * @type {number}
+ */
+const DEFAULT_TOP_MODULES = 10;
+
 /**
  * Filters out modules from bundles based on a list of exclusion prefixes.
  *
@@ -69,6 +135,50 @@ const applyExclusions = (bundles, exclusions) => {
     return bundles;
 };
 
+/**
+ * Returns the seconds elapsed since a `process.hrtime()` reading, rounded to 10 ms.
+ *
+ * @param {[number, number]} start
+ * @returns {number}
+ */
+const secondsSince = (start) => {
+    const [sec, nanosec] = process.hrtime(start);
+    return Number((sec + nanosec / 1e9).toFixed(2));
+};
+
+/**
+ * Reads the sizes of the bundles currently live in `magepack/`, i.e. the
+ * previous build, for the `maxDelta` budgets.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {Array<{name: string, fileName: string|null}>} bundleResults - New bundles.
+ * @returns {Promise<Map<string, Object>>} Sizes by bundle name (bundles without a live file are omitted).
+ */
+const readLiveSizes = async (localePath, bundleResults) => {
+    const liveSizes = new Map();
+
+    await Promise.all(bundleResults.map(async ({ name, fileName }) => {
+        if (!fileName) return;
+        const sizes = await getBundleSizes(path.join(localePath, PATHS.MAGEPACK_DIR, fileName));
+        if (sizes.raw > 0) liveSizes.set(name, sizes);
+    }));
+
+    return liveSizes;
+};
+
+/**
+ * Deletes a bundle and its compressed and source map variants.
+ *
+ * @param {string} dir - Directory holding the bundle.
+ * @param {string} fileName - Bundle file name.
+ * @returns {Promise<void>}
+ */
+const removeBundleFiles = async (dir, fileName) => {
+    await Promise.all(['', '.gz', '.br', '.zst', '.map'].map((suffix) =>
+        fs.rm(path.join(dir, `${fileName}${suffix}`), { force: true })
+    ));
+};
+
 /**
  * Prepares the temporary build directory for a specific locale.
  *
@@ -88,50 +198,230 @@ const prepareBuildDirectory = async (localePath) => {
 };
 
 /**
- * Performs an atomic swap of the build directory to the production directory.
+ * Reads the RequireJS config files of a locale, so `rollbackLocale` can restore them.
  *
  * @param {string} localePath - The absolute path to the locale's static directory.
- * @param {string} buildDir - The absolute path to the temporary build directory.
+ * @returns {Promise<Object<string, string|null>>} Content by file name (`null` when missing).
  */
-const finalizeBuild = async (localePath, buildDir) => {
-    const finalDir = path.join(localePath, PATHS.MAGEPACK_DIR);
-    const backupDir = path.join(localePath, PATHS.BACKUP_DIR);
+const snapshotRequireConfigs = async (localePath) => Object.fromEntries(await Promise.all(
+    [FILES.REQUIREJS_CONFIG, FILES.REQUIREJS_CONFIG_MIN].map(async (fileName) => [
+        fileName,
+        await fs.readFile(path.join(localePath, fileName), 'utf8').catch(() => null),
+    ])
+));
 
-    try {
-        let previousExists = false;
-        try {
-            await fs.access(finalDir);
-            previousExists = true;
-        } catch { /* ignore */ }
+/**
+ * @typedef {Object} PreparedLocale
+ * A locale whose bundles are built in `magepack_build/`, not yet swapped in.
+ * @property {{vendor: string, name: string, code: string}} locale - The locale.
+ * @property {string} label - Display label.
+ * @property {string} localePath - Absolute locale path.
+ * @property {string} buildDir - Absolute path of its `magepack_build/` directory.
+ * @property {Array<Object>} localeConfig - Bundles with their pruned module lists.
+ * @property {boolean} isMinifyOn - Whether the bundles are minified.
+ * @property {Array<Object>} bundleResults - Per-bundle results.
+ * @property {import('./bundle/service/budgets.js').BudgetViolation[]} budgetViolations - Warn-mode violations.
+ * @property {Object} updatedCache - Bundle cache to save once the swap is final.
+ * @property {{prune: function(): Promise<number>}} moduleCache - The locale's module cache.
+ * @property {[number, number]} start - `process.hrtime()` at the start of the locale.
+ * @property {{configs: Object<string, string|null>, swap: import('./bundle/service/atomicSwap.js').SwapState}} [undo] -
+ *   Set by `commitLocale`: what `rollbackLocale` has to revert.
+ */
 
-        if (previousExists) {
-            await fs.rm(backupDir, { recursive: true, force: true });
-            await fs.rename(finalDir, backupDir);
-        }
+/**
+ * Swaps the build directory into `magepack/` and injects the RequireJS config.
+ *
+ * The previous `magepack/` directory is kept as `magepack_backup/` and the config
+ * files are snapshotted first, so `rollbackLocale` can undo every step until
+ * `completeLocale` drops the backup.
+ *
+ * @param {PreparedLocale} prepared - The built locale. **Mutated**: `undo` is set.
+ * @param {Object} options - Global configuration object.
+ * @param {Set<PreparedLocale>} options.pendingSwaps - Locales committed but not complete yet,
+ *   reverted by the SIGINT/SIGTERM cleanup. `prepared` is added.
+ * @returns {Promise<void>}
+ */
+const commitLocale = async (prepared, options) => {
+    const { localePath, buildDir } = prepared;
 
-        await fs.rename(buildDir, finalDir);
+    const undo = { configs: await snapshotRequireConfigs(localePath), swap: { movedAside: false, swapped: false } };
+    prepared.undo = undo;
+    options.pendingSwaps.add(prepared);
 
-        if (previousExists) {
-            await fs.rm(backupDir, { recursive: true, force: true });
-        }
+    // 3. SWAP: Atomic replacement of the old folder with the new one.
+    try {
+        await swapIn(localePath, buildDir, undo.swap);
     } catch (e) {
         consola.error(`❌ Atomic swap failed for ${localePath}.`);
         consola.error(`   Detailed error: ${e.message}`);
         throw e;
     }
+
+    // 4. CONFIG: Generate and inject RequireJS configuration.
+    //    localeConfig has been mutated by the processor:
+    //      - Ghost modules pruned (missing on disk)
+    //      - Absorbed mixin modules removed (composed into targets)
+    //    configInjector uses the resulting bundle.modules to generate
+    //    require.config({bundles:...}). Targets remain declared (consumers
+    //    can require them), but absorbed mixins are NOT declared (prevents
+    //    double-application by the mixins! plugin on non-bundled pages).
+    await injectRequireConfig(localePath, prepared.localeConfig, prepared.isMinifyOn);
+};
+
+/**
+ * Reverts whatever `commitLocale` did for a locale: the previous `magepack/`
+ * directory and RequireJS config files are restored, the new build is discarded.
+ * A locale that was never committed only has its build directory removed.
+ *
+ * Never throws: a failed rollback is logged, so the other locales are still rolled back.
+ *
+ * @param {PreparedLocale} prepared - The built (and possibly committed) locale.
+ * @param {Object} options - Global configuration object.
+ * @returns {Promise<void>}
+ */
+const rollbackLocale = async (prepared, options) => {
+    const { localePath, buildDir, undo, label } = prepared;
+    options.pendingSwaps.delete(prepared);
+
+    try {
+        if (!undo) {
+            await fs.rm(buildDir, { recursive: true, force: true });
+            return;
+        }
+
+        await revertSwap(localePath, buildDir, undo.swap);
+
+        await Promise.all(Object.entries(undo.configs)
+            .filter(([, content]) => content !== null)
+            .map(([fileName, content]) => fs.writeFile(path.join(localePath, fileName), content, 'utf8')));
+
+        consola.warn(`↩️  ${label}: rolled back to the previous bundles.`);
+    } catch (e) {
+        consola.error(`❌ Rollback failed for ${label}: ${e.message}`);
+    }
+};
+
+/**
+ * SIGINT/SIGTERM cleanup of a run: the locales swapped but not complete yet get
+ * their previous bundles and config back, and every staging directory (and the
+ * shared outputs) is deleted.
+ *
+ * Synchronous, so the build cannot swap or write anything in between. Whatever
+ * is still half-done when the process ends is repaired by `recoverLocales` on
+ * the next run.
+ *
+ * @param {string[]} localePaths - Absolute paths of the run's locales.
+ * @param {Set<PreparedLocale>} pendingSwaps - Locales committed but not complete yet.
+ * @param {string} sharedDir - Run-scoped directory of the outputs shared between locales.
+ * @returns {void}
+ */
+const abortRun = (localePaths, pendingSwaps, sharedDir) => {
+    for (const { localePath, buildDir, undo, label } of [...pendingSwaps].reverse()) {
+        try {
+            revertSwapSync(localePath, buildDir, undo.swap);
+            Object.entries(undo.configs)
+                .filter(([, content]) => content !== null)
+                .forEach(([fileName, content]) => writeFileSync(path.join(localePath, fileName), content, 'utf8'));
+            consola.warn(`↩️  ${label}: rolled back to the previous bundles.`);
+        } catch (e) {
+            consola.error(`❌ Rollback failed for ${label}: ${e.message}`);
+        }
+    }
+
+    localePaths.forEach((localePath) =>
+        rmSync(path.join(localePath, PATHS.BUILD_DIR), { recursive: true, force: true })
+    );
+    rmSync(sharedDir, { recursive: true, force: true });
+};
+
+/**
+ * Finishes a committed locale: drops the backup of the previous build, then
+ * saves the caches and build stats, which must only describe live output, and
+ * records the build in the locale's history.
+ *
+ * @param {PreparedLocale} prepared - The committed locale.
+ * @param {Object} options - Global configuration object.
+ * @returns {Promise<LocaleResult>} The locale's build result.
+ */
+const completeLocale = async (prepared, options) => {
+    const { locale, label, localePath, localeConfig, bundleResults, budgetViolations, updatedCache, moduleCache } = prepared;
+
+    await dropBackup(localePath);
+    options.pendingSwaps.delete(prepared);
+
+    // Drop module cache entries no build has used within the retention window.
+    await moduleCache.prune();
+
+    // Persist cache AFTER successful swap so entries always reflect
+    // the state of the live magepack/ directory.
+    await saveCache(localePath, updatedCache);
+
+    // 3.5 STATS: Compare sizes and module placement with the previous live
+    //     build, then record this build for the next comparison. localeConfig
+    //     holds the pruned module lists, i.e. what the bundles actually ship.
+    const stats = collectStats(bundleResults, localeConfig);
+    const diff = diffStats(await loadStats(localePath), stats);
+    await saveStats(localePath, stats);
+
+    // 3.6 HISTORY: Keep this build (files, config block, SRI entries) for `magepack rollback`.
+    if (options.keepBuilds > 0) {
+        const localeKey = [PATHS.FRONTEND, locale.vendor, locale.name, locale.code].join('/');
+        await recordBuild(localePath, localeKey, { bundles: localeConfig, isMinifyOn: prepared.isMinifyOn }, options.keepBuilds);
+    }
+
+    const outputDir = path.join(localePath, PATHS.MAGEPACK_DIR);
+
+    return {
+        locale,
+        label,
+        status: 'success',
+        outputDir,
+        bundles: bundleResults.map((result) => ({
+            ...result,
+            file: result.fileName ? path.join(outputDir, result.fileName) : null,
+            heaviestModules: heaviestModules(result.composition, options.topModules),
+        })),
+        duration: secondsSince(prepared.start),
+        budgetViolations,
+        diff,
+    };
 };
 
 /**
- * Processes a single locale: resolves mixins, builds bundles, performs atomic swap,
- * and updates RequireJS config.
+ * @typedef {Object} LocaleResult
+ * @property {{vendor: string, name: string, code: string}} locale - The locale.
+ * @property {string} label - Display label (e.g. `Vendor/Theme (en_US)`).
+ * @property {'success'|'failed'|'rolled-back'|'planned'} status - Outcome of the locale build
+ *   (`rolled-back`: built, but not deployed because a `--transactional` run failed;
+ *   `planned`: resolved by `--dry-run`, see `LocalePlan`).
+ * @property {string} [outputDir] - Absolute path of the live `magepack/` directory.
+ * @property {Array<import('./bundle/processor.js').BundleResult & {file: string|null, duration: number, heaviestModules: Array<Object>, sharedFrom?: string, invalid?: string[]}>} [bundles] -
+ *   Per-bundle results (successful locales only), with the absolute output file,
+ *   the bundle build time in seconds, the `topModules` heaviest modules and, for
+ *   output linked from an identical bundle of another locale, that locale's label.
+ *   Bundles left out by `--lenient` have no file and list their validation problems (`invalid`).
+ * @property {number} [duration] - Locale build time in seconds.
+ * @property {import('./bundle/service/budgets.js').BudgetViolation[]} [budgetViolations] -
+ *   Exceeded size budgets (warnings in `warn` mode, the failure cause in `error` mode).
+ * @property {import('./bundle/service/buildStats.js').StatsDiff|null} [diff] - Changes since the
+ *   previous build (successful locales only; `null` on the first build).
+ * @property {Error} [error] - The failure (failed locales only).
+ */
+
+/**
+ * Builds a single locale into its `magepack_build/` directory: resolves mixins,
+ * builds or restores bundles and checks budgets. Nothing live is touched.
  *
  * @param {Object} locale - The locale object (vendor, name, code).
- * @param {Array<Object>} sharedConfig - The shared bundle configuration (read-only).
+ * @param {Array<Object>} sharedConfig - The bundles of the locale's config scope (shared between locales, read-only).
  * @param {Object} options - Global configuration object containing build parameters.
+ * @param {string} options.staticDir - Absolute path of the frontend static directory.
+ * @returns {Promise<PreparedLocale>} The built locale, ready for `commitLocale`.
  */
-async function processLocale(locale, sharedConfig, options) {
-    const localePath = path.join(process.cwd(), PATHS.STATIC_FRONTEND, locale.vendor, locale.name, locale.code);
+async function buildLocale(locale, sharedConfig, options) {
+    const localePath = getLocalePath(options.staticDir, locale);
     const label = `${locale.vendor}/${locale.name} (${locale.code})`;
+    const start = process.hrtime();
 
     consola.start(`Bundling ${label}...`);
 
@@ -158,137 +448,798 @@ async function processLocale(locale, sharedConfig, options) {
         const { fullMixinConfig, allMixinModuleIds } = await resolveLocaleMixins(localePath, isMinifyOn);
 
         // 1.7 INCREMENTAL CACHE: Load cache from previous build.
-        //     Bundles whose module map and build options are unchanged skip the full
-        //     Terser + compression pipeline — their output files are copied directly
-        //     from the previous magepack/ directory to magepack_build/.
-        const cache = await loadCache(localePath);
+        //     Bundles whose module map, module file contents, mixin map and Terser
+        //     options are unchanged skip the full Terser + compression pipeline —
+        //     their output files are copied directly from the previous magepack/
+        //     directory to magepack_build/. --no-cache starts from an empty cache
+        //     (and skips module and cache directory reads) to force a full rebuild.
+        const useCache = options.cache !== false;
+        const cache = useCache ? await loadCache(localePath) : {};
         const updatedCache = {};
+        const resolveMap = await createPathResolver(localePath, isMinifyOn);
+
+        // 1.8 MODULE CACHE: Minified output per module, shared by all bundles of
+        //     the locale. Changed bundles only re-minify their changed modules.
+        //     With --cache-dir, the entries live there and survive deployments.
+        const moduleCache = await createModuleCache(localePath, {
+            dir: options.persistentCache?.moduleDir,
+            refresh: !useCache,
+        });
 
         // 2. BUILD: Generate bundles into the temporary directory.
         //    Unchanged bundles are restored from cache; changed bundles run the
         //    full pipeline. Each bundle receives its own mixin map.
-        await Promise.all(
-            localeConfig.map(async (bundle) => {
-                const hash = computeBundleHash(bundle, isMinifyOn, options.minifyStrategy);
+        //    Each written bundle is parsed and checked for the define() of every
+        //    module the RequireJS config will declare (see 2.4) as soon as it is
+        //    written, so only valid output is stored and shared with other locales.
+        const runHeavy = options.taskQueue ? options.taskQueue.run : (task) => task();
+        const validateOutput = (fileName, bundle) => (
+            fileName
+                ? runHeavy(() => validateBundle(path.join(buildDir, fileName), Object.keys(bundle.modules), options.ecmaVersion))
+                : []
+        );
+        /** @type {string[][]} Validation problems, by bundle index. */
+        const bundleIssues = [];
+
+        const bundleResults = await Promise.all(
+            localeConfig.map(async (bundle, i) => {
+                const bundleStart = process.hrtime();
+                const moduleNames = Object.keys(bundle.modules);
+                const bundleFilename = `bundle-${bundle.name}${isMinifyOn ? '.min.js' : '.js'}`;
+                const mixinMap = buildBundleMixinMap(fullMixinConfig, bundle.modules);
+                const files = await fingerprintBundleFiles(
+                    bundle,
+                    localePath,
+                    isMinifyOn,
+                    resolveMap,
+                    cache[bundle.name]?.files
+                );
+
+                const hash = computeBundleHash(bundle, isMinifyOn, options.minifyStrategy, {
+                    files,
+                    mixinMap,
+                    terserOptions: resolveTerserOptions(moduleNames, options, bundleFilename),
+                });
                 const hit = await isCacheHit(localePath, bundle.name, hash, isMinifyOn, cache);
 
                 if (hit) {
                     consola.info(`   [${label}] ♻️  Bundle "${bundle.name}" unchanged — restoring from cache.`);
                     await restoreFromCache(localePath, buildDir, bundle, isMinifyOn, cache[bundle.name]);
-                    // Preserve existing entry (moduleKeys already pruned from previous build).
-                    updatedCache[bundle.name] = cache[bundle.name];
-                    return;
+                    // Preserve hash + moduleKeys (already pruned by the previous build),
+                    // refresh fingerprints so touched-but-identical files skip rehashing next time.
+                    updatedCache[bundle.name] = { ...cache[bundle.name], files };
+                    // The previous output may predate the validation.
+                    bundleIssues[i] = await validateOutput(bundleFilename, bundle);
+                    if (bundleIssues[i].length === 0) {
+                        await options.persistentCache?.store(hash, buildDir, {
+                            name: bundle.name,
+                            fileName: bundleFilename,
+                            moduleKeys: Object.keys(bundle.modules),
+                            missingModules: cache[bundle.name].missingModules || [],
+                            absorbedMixins: cache[bundle.name].absorbedMixins || [],
+                            composition: cache[bundle.name].composition || null,
+                            builtAt: cache[bundle.name].builtAt,
+                        });
+                    }
+                    return {
+                        name: bundle.name,
+                        fileName: bundleFilename,
+                        cached: true,
+                        moduleCount: Object.keys(bundle.modules).length,
+                        missingModules: cache[bundle.name].missingModules || [],
+                        absorbedMixins: cache[bundle.name].absorbedMixins || [],
+                        composition: cache[bundle.name].composition || null,
+                        sizes: await getBundleSizes(path.join(buildDir, bundleFilename)),
+                        duration: secondsSince(bundleStart),
+                    };
                 }
 
-                const mixinMap = buildBundleMixinMap(fullMixinConfig, bundle.modules);
-                await processBundle(
-                    bundle,
-                    localePath,
-                    buildDir,
-                    options,
-                    isMinifyOn,
-                    mixinMap,
-                    allMixinModuleIds
-                );
+                // The previous magepack/ directory is gone or outdated (e.g. wiped by
+                // setup:static-content:deploy), but --cache-dir may hold this hash.
+                const stored = useCache && await options.persistentCache?.restore(hash, buildDir, bundle);
+                if (stored) {
+                    consola.info(`   [${label}] 📦 Bundle "${bundle.name}" unchanged — restoring from the cache directory.`);
+                    updatedCache[bundle.name] = {
+                        hash,
+                        moduleKeys: stored.moduleKeys,
+                        missingModules: stored.missingModules,
+                        absorbedMixins: stored.absorbedMixins,
+                        composition: stored.composition,
+                        builtAt: stored.builtAt,
+                        files,
+                    };
+                    bundleIssues[i] = await validateOutput(stored.fileName, bundle);
+                    return {
+                        name: bundle.name,
+                        fileName: stored.fileName,
+                        cached: true,
+                        moduleCount: Object.keys(bundle.modules).length,
+                        missingModules: stored.missingModules,
+                        absorbedMixins: stored.absorbedMixins,
+                        composition: stored.composition,
+                        sizes: stored.fileName ? await getBundleSizes(path.join(buildDir, stored.fileName)) : null,
+                        duration: secondsSince(bundleStart),
+                    };
+                }
 
-                // Store hash + pruned module list (bundle.modules mutated by processBundle).
-                updatedCache[bundle.name] = { hash, moduleKeys: Object.keys(bundle.modules) };
+                // Same hash in another locale of this run (typically the same theme in
+                // another language): link its output, already validated by the
+                // producer, instead of rebuilding it.
+                const pending = options.sharedOutputs?.lookup(hash);
+                if (pending) {
+                    const shared = await pending;
+                    if (shared && await reuseSharedOutput(shared, buildDir, bundle)) {
+                        consola.info(`   [${label}] 🔗 Bundle "${bundle.name}" identical to ${shared.label} — linked instead of rebuilt.`);
+                        updatedCache[bundle.name] = {
+                            hash,
+                            moduleKeys: Object.keys(bundle.modules),
+                            missingModules: shared.result.missingModules,
+                            absorbedMixins: shared.result.absorbedMixins,
+                            composition: shared.result.composition,
+                            builtAt: new Date().toISOString(),
+                            files,
+                        };
+                        bundleIssues[i] = [];
+                        return {
+                            ...shared.result,
+                            sharedFrom: shared.label,
+                            sizes: shared.result.fileName
+                                ? await getBundleSizes(path.join(buildDir, shared.result.fileName))
+                                : null,
+                            duration: secondsSince(bundleStart),
+                        };
+                    }
+                }
+
+                const publish = pending ? null : options.sharedOutputs?.claim(hash);
+
+                let result;
+                try {
+                    result = await processBundle(
+                        bundle,
+                        localePath,
+                        buildDir,
+                        options,
+                        isMinifyOn,
+                        mixinMap,
+                        allMixinModuleIds,
+                        moduleCache
+                    );
+                    bundleIssues[i] = await validateOutput(result.fileName, bundle);
+                } catch (e) {
+                    // Waiting locales build the bundle themselves.
+                    await publish?.(null);
+                    throw e;
+                }
+
+                const builtAt = new Date().toISOString();
+                if (bundleIssues[i].length > 0) {
+                    // Not stored nor shared: waiting locales build (and check) it themselves.
+                    await publish?.(null);
+                } else {
+                    await options.persistentCache?.store(hash, buildDir, {
+                        name: bundle.name,
+                        fileName: result.fileName,
+                        moduleKeys: Object.keys(bundle.modules),
+                        missingModules: result.missingModules,
+                        absorbedMixins: result.absorbedMixins,
+                        composition: result.composition,
+                        builtAt,
+                    });
+                    await publish?.({ label, buildDir, moduleKeys: Object.keys(bundle.modules), result });
+                }
+
+                // Store hash + pruned module list (bundle.modules mutated by processBundle)
+                // + file fingerprints for the next build's mtime/size pre-check
+                // + pruning details and composition so cache hits report the same result.
+                updatedCache[bundle.name] = {
+                    hash,
+                    moduleKeys: Object.keys(bundle.modules),
+                    missingModules: result.missingModules,
+                    absorbedMixins: result.absorbedMixins,
+                    composition: result.composition,
+                    builtAt,
+                    files,
+                };
+
+                return { ...result, duration: secondsSince(bundleStart) };
             })
         );
 
-        // 3. SWAP: Atomic replacement of the old folder with the new one
-        await finalizeBuild(localePath, buildDir);
+        // 2.4 VALIDATE: A Terser failure (raw module written) or a broken wrapper
+        //     output found in step 2 fails the locale here, before the swap.
+        //     Cached bundles were checked too: their output may predate the check.
+        const invalid = bundleResults
+            .map((result, i) => (bundleIssues[i].length > 0 ? { result, bundle: localeConfig[i], issues: bundleIssues[i] } : null))
+            .filter(Boolean);
+
+        if (invalid.length > 0) {
+            const log = options.lenient ? consola.warn : consola.error;
+            invalid.forEach(({ result, issues }) => issues.forEach((issue) => log(`   [${label}] 🧨 ${result.fileName}: ${issue}`)));
+
+            if (!options.lenient) {
+                throw new BundleValidationError(
+                    `${invalid.length} invalid bundle(s) for ${label}: ${invalid.map(({ result }) => result.fileName).join(', ')}.`,
+                    { bundles: invalid.map(({ result, issues }) => ({ bundle: result.name, file: result.fileName, issues })) }
+                );
+            }
+
+            // --lenient: ship the locale without these bundles. They are not declared
+            // in the RequireJS config, so their modules load individually as before.
+            for (const { result, bundle, issues } of invalid) {
+                await removeBundleFiles(buildDir, result.fileName);
+                localeConfig.splice(localeConfig.indexOf(bundle), 1);
+                delete updatedCache[result.name];
+                Object.assign(result, { fileName: null, sizes: null, invalid: issues });
+            }
+            consola.warn(`   [${label}] ⏭️  Left out ${invalid.length} invalid bundle(s) (--lenient); their modules load individually.`);
+        }
+
+        bundleResults.forEach((result) =>
+            reportHeaviestModules(`[${label}] [${result.name}]`, result.composition, options.topModules)
+        );
+
+        // 2.5 BUDGETS: Compare the new sizes with the configured limits and with the
+        //     live build about to be replaced. In "error" mode a violation aborts the
+        //     locale before the swap, so the live magepack/ directory stays untouched.
+        const budgetViolations = options.budgets
+            ? checkBudgets(options.budgets, bundleResults, await readLiveSizes(localePath, bundleResults))
+            : [];
+
+        if (budgetViolations.length > 0) {
+            const isError = options.budgetMode !== 'warn';
+            budgetViolations.forEach((v) => (isError ? consola.error : consola.warn)(`   [${label}] 💸 ${formatViolation(v)}`));
+
+            if (isError) {
+                throw new BudgetError(`${budgetViolations.length} size budget(s) exceeded for ${label}.`, {
+                    violations: budgetViolations,
+                });
+            }
+        }
+
+        return {
+            locale,
+            label,
+            localePath,
+            buildDir,
+            localeConfig,
+            isMinifyOn,
+            bundleResults,
+            budgetViolations,
+            updatedCache,
+            moduleCache,
+            start,
+        };
+    } catch (e) {
+        // Typed errors (budgets, strict mode config issues) carry a user-facing message.
+        consola.error(`❌ Failed to process ${label}:`, e instanceof MagepackError ? e.message : e);
+        throw e;
+    }
+}
+
+/**
+ * @typedef {Object} LocalePlan
+ * What `--dry-run` resolved for a locale (a `LocaleResult` with status `planned`).
+ * @property {{vendor: string, name: string, code: string}} locale - The locale.
+ * @property {string} label - Display label.
+ * @property {'planned'} status
+ * @property {boolean} isMinifyOn - Whether the bundles would be minified.
+ * @property {import('./bundle/processor.js').BundlePlan[]} bundles - What each bundle would contain.
+ * @property {Array<{fileName: string, content: string}>} requireConfig - The `require.config`
+ *   call that would be injected into each RequireJS config file.
+ */
+
+/**
+ * Dry-run counterpart of `buildLocale`: resolves the module files, missing
+ * modules and mixin compositions of each bundle, and the RequireJS config that
+ * would be injected, without building or writing anything.
+ *
+ * @param {Object} locale - The locale object (vendor, name, code).
+ * @param {Array<Object>} sharedConfig - The bundles of the locale's config scope (read-only).
+ * @param {Object} options - Global configuration object.
+ * @returns {Promise<LocalePlan>}
+ */
+async function planLocale(locale, sharedConfig, options) {
+    const localePath = getLocalePath(options.staticDir, locale);
+    const label = `${locale.vendor}/${locale.name} (${locale.code})`;
+
+    try {
+        const isMinifyOn = options.minify || await checkMinifyOn(localePath);
+
+        // Pruned in place by planBundle, like buildLocale's copy by processBundle.
+        const localeConfig = structuredClone(sharedConfig);
+        const { fullMixinConfig } = await resolveLocaleMixins(localePath, isMinifyOn);
+
+        const bundles = await Promise.all(localeConfig.map((bundle) => planBundle(
+            bundle,
+            localePath,
+            options,
+            isMinifyOn,
+            buildBundleMixinMap(fullMixinConfig, bundle.modules)
+        )));
+
+        return {
+            locale,
+            label,
+            status: 'planned',
+            isMinifyOn,
+            bundles,
+            requireConfig: await planRequireConfig(localePath, localeConfig),
+        };
+    } catch (e) {
+        consola.error(`❌ Failed to process ${label}:`, e instanceof MagepackError ? e.message : e);
+        throw e;
+    }
+}
+
+/**
+ * Prints what a locale would build.
+ *
+ * @param {LocalePlan} plan
+ * @returns {void}
+ */
+const printLocalePlan = ({ label, isMinifyOn, bundles, requireConfig }) => {
+    consola.info(`📝 ${label}: ${bundles.length} bundle(s)${isMinifyOn ? ', minified' : ''}.`);
+
+    for (const bundle of bundles) {
+        consola.log(
+            `   📦 ${bundle.fileName ?? `bundle "${bundle.name}" (empty, skipped)`}: ` +
+            `${bundle.moduleCount} of ${bundle.declaredCount} module(s) declared`
+        );
+        bundle.missingModules.forEach((moduleName) => consola.log(`      ⚠️  missing: ${moduleName}`));
+        bundle.compositions.forEach(({ target, mixins, externalMixins }) => consola.log(
+            `      🧩 ${target} ← ${mixins.join(', ')}` +
+            `${externalMixins.length > 0 ? ` (at runtime: ${externalMixins.join(', ')})` : ''}`
+        ));
+    }
+
+    if (requireConfig.length === 0) {
+        consola.log('   No RequireJS config file to inject into.');
+    }
+    requireConfig.forEach(({ fileName, content }) => consola.log(`   ${fileName}:\n      ${content}`));
+};
+
+/**
+ * Dry run (`--dry-run`): plans every locale and prints the result. The lock is
+ * not taken, interrupted runs are not repaired, no cache is read and nothing
+ * is written (not even the reports).
+ *
+ * @param {Array<Object>} locales - Selected locales.
+ * @param {Array<Array<Object>>} localeBundles - Bundles of each locale's config scope.
+ * @param {Object} options - Global configuration object.
+ * @returns {Promise<BundleRunResult>} The run result, with `LocalePlan` locales.
+ * @throws {BuildError} If a locale cannot be planned (e.g. a missing module in strict mode).
+ */
+const planRun = async (locales, localeBundles, options) => {
+    consola.info(`🔍 Dry run: planning ${locales.length} locale(s), nothing is built or written.`);
+    const start = process.hrtime();
+
+    const settled = await Promise.allSettled(
+        locales.map((locale, i) => planLocale(locale, localeBundles[i], options))
+    );
+
+    /** @type {BundleRunResult} */
+    const result = {
+        root: options.root,
+        staticDir: options.staticDir,
+        locales: settled.map((outcome, i) => (
+            outcome.status === 'fulfilled'
+                ? outcome.value
+                : {
+                    locale: locales[i],
+                    label: `${locales[i].vendor}/${locales[i].name} (${locales[i].code})`,
+                    status: 'failed',
+                    error: outcome.reason,
+                }
+        )),
+        duration: secondsSince(start),
+        recovered: [],
+        dryRun: true,
+    };
+
+    result.locales.filter((l) => l.status === 'planned').forEach(printLocalePlan);
 
-        // Persist cache AFTER successful swap so entries always reflect
-        // the state of the live magepack/ directory.
-        await saveCache(localePath, updatedCache);
+    const failed = result.locales.filter((l) => l.status === 'failed');
+    if (failed.length > 0) {
+        throw new BuildError(`Dry run: ${failed.length} of ${locales.length} locale(s) would fail to bundle.`, { result });
+    }
 
-        // 4. CONFIG: Generate and inject RequireJS configuration.
-        //    localeConfig has been mutated by the processor:
-        //      - Ghost modules pruned (missing on disk)
-        //      - Absorbed mixin modules removed (composed into targets)
-        //    configInjector uses the resulting bundle.modules to generate
-        //    require.config({bundles:...}). Targets remain declared (consumers
-        //    can require them), but absorbed mixins are NOT declared (prevents
-        //    double-application by the mixins! plugin on non-bundled pages).
-        await injectRequireConfig(localePath, localeConfig, isMinifyOn);
+    consola.success(`✨ Dry run complete: ${locales.length} locale(s) planned, nothing was written.`);
+    return result;
+};
 
+/**
+ * Processes a single locale: builds it, swaps it in and updates its RequireJS
+ * config. A failed swap or config injection restores the previous bundles.
+ *
+ * @param {Object} locale - The locale object (vendor, name, code).
+ * @param {Array<Object>} sharedConfig - The bundles of the locale's config scope.
+ * @param {Object} options - Global configuration object containing build parameters.
+ * @returns {Promise<LocaleResult>} The locale's build result.
+ */
+async function processLocale(locale, sharedConfig, options) {
+    const prepared = await buildLocale(locale, sharedConfig, options);
+
+    try {
+        await commitLocale(prepared, options);
     } catch (e) {
-        consola.error(`❌ Failed to process ${label}:`, e);
+        consola.error(`❌ Failed to process ${prepared.label}:`, e instanceof MagepackError ? e.message : e);
+        await rollbackLocale(prepared, options);
         throw e;
     }
+
+    return completeLocale(prepared, options);
 }
 
+/**
+ * Transactional mode (`--transactional`): builds every locale first, then swaps
+ * all of them, injects their RequireJS config and updates the SRI hashes only if
+ * every build succeeded. If a build fails, no locale is swapped; if a swap, an
+ * injection or the SRI update fails, every committed locale and `sri-hashes.json`
+ * are restored. Store views never serve a mix of old and new bundles.
+ *
+ * @param {Array<Object>} locales - Selected locales.
+ * @param {Array<Array<Object>>} localeBundles - Bundles of each locale's config scope.
+ * @param {Object} options - Global configuration object.
+ * @param {function(Object=): Promise<void>} updateSri - Updates `sri-hashes.json` for every locale.
+ * @returns {Promise<Array<PromiseSettledResult<LocaleResult> & {rolledBack?: boolean}>>}
+ *   One entry per locale, like `Promise.allSettled`; locales that were built but
+ *   not deployed are rejected with `rolledBack: true`.
+ */
+const bundleTransaction = async (locales, localeBundles, options, updateSri) => {
+    const built = await Promise.allSettled(
+        locales.map((locale, i) => buildLocale(locale, localeBundles[i], options))
+    );
+    const prepared = built.filter((b) => b.status === 'fulfilled').map((b) => b.value);
+
+    const abort = async (reason, cause) => {
+        // Last committed first, so each backup is restored in reverse order.
+        for (const p of [...prepared].reverse()) {
+            await rollbackLocale(p, options);
+        }
+        return built.map((b) => (
+            b.status === 'rejected'
+                ? b
+                : { status: 'rejected', reason: new BuildError(`Not deployed: ${reason}`, { cause }), rolledBack: true }
+        ));
+    };
+
+    const failedLabels = built
+        .map((b, i) => (b.status === 'rejected' ? `${locales[i].vendor}/${locales[i].name} (${locales[i].code})` : null))
+        .filter(Boolean);
+
+    if (failedLabels.length > 0) {
+        consola.error(`↩️  Transaction aborted: ${failedLabels.join(', ')} failed, so no locale is swapped.`);
+        return abort(`the transaction was aborted because ${failedLabels.join(', ')} failed.`);
+    }
+
+    const sriPath = path.join(options.staticDir, FILES.SRI_HASHES);
+    const sriSnapshot = await fs.readFile(sriPath, 'utf8').catch(() => null);
+
+    // Interrupted mid-commit: the locales are reverted by the run's cleanup, the SRI hashes here.
+    const releaseSriSnapshot = onShutdown(() => {
+        if (sriSnapshot !== null) writeFileSync(sriPath, sriSnapshot, 'utf8');
+    });
+
+    try {
+        for (const p of prepared) {
+            await commitLocale(p, options);
+        }
+        await updateSri({ strict: true });
+    } catch (e) {
+        consola.error(`❌ Transaction commit failed: ${e.message}. Rolling back every locale.`);
+        if (sriSnapshot !== null) {
+            await fs.writeFile(sriPath, sriSnapshot, 'utf8').catch((writeError) =>
+                consola.error(`❌ Could not restore ${FILES.SRI_HASHES}: ${writeError.message}`)
+            );
+        }
+        return abort(`the transaction commit failed (${e.message}) and was rolled back.`, e);
+    } finally {
+        releaseSriSnapshot();
+    }
+
+    consola.success(`🔒 Transaction committed: ${prepared.length} locale(s) swapped together.`);
+    return Promise.allSettled(prepared.map((p) => completeLocale(p, options)));
+};
+
+/**
+ * @typedef {Object} BundleRunResult
+ * @property {string} root - Absolute path of the Magento root directory.
+ * @property {string} staticDir - Absolute path of the frontend static directory.
+ * @property {LocaleResult[]} locales - One entry per processed locale.
+ * @property {number} duration - Total pipeline time in seconds.
+ * @property {import('./bundle/service/recovery.js').LocaleRecovery[]} recovered - Locales repaired
+ *   at startup after an interrupted run.
+ * @property {boolean} [dryRun] - True for a `--dry-run` result (locales are `LocalePlan`s).
+ */
+
 /**
  * Main entry point for the bundling command.
  *
  * @param {Object} options - Global configuration object passed from CLI.
+ * @param {string} [options.root=process.cwd()] - Magento root directory.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory,
+ *   relative to the root.
+ * @param {string} options.config - Configuration file path, relative to the root.
+ * @param {string} [options.theme] - Bundle only this theme (`Vendor/Theme`).
+ * @param {string|string[]} [options.glob] - Glob pattern(s) over `Vendor/Theme/locale`.
+ * @param {string|string[]} [options.locale] - Locale code(s) to bundle.
+ * @param {string|string[]} [options.exclude] - Glob pattern(s) of locales to skip.
+ * @param {string} [options.profile] - Config profile whose build options apply (`profiles.<name>`).
+ * @param {'warn'|'error'} [options.budgetMode='error'] - Whether exceeded `budgets` only warn or fail the locale.
+ * @param {number|string} [options.concurrency] - Maximum concurrent Terser/compression jobs across
+ *   all locales (default: CPU count, capped by total memory).
+ * @param {number|string} [options.topModules=10] - Heaviest modules listed per bundle (0 disables).
+ * @param {boolean} [options.transactional] - Swap the locales only if all of them built, all
+ *   together, and roll every locale back if the swap fails (see `bundleTransaction`).
+ * @param {number|string} [options.keepBuilds=3] - Builds kept per locale for `magepack rollback`
+ *   (0 disables the history).
+ * @param {boolean} [options.cache=true] - `false` ignores every cache (`--no-cache`) and rebuilds
+ *   all bundles; the caches are still rewritten afterwards.
+ * @param {string} [options.cacheDir] - Durable cache directory, relative to the root, from which
+ *   bundles are restored even when the previous `magepack/` output was wiped.
+ * @param {boolean|number|string} [options.wait] - If another run holds the lock, wait for it
+ *   (`true`: indefinitely, a number: at most that many seconds) instead of failing.
+ * @param {boolean} [options.force] - Remove the lock of another run, even if it looks alive.
+ * @param {boolean} [options.dryRun] - Only resolve and print what would be built (see `planRun`).
+ * @param {boolean} [options.lenient] - Leave invalid bundles out of their locale instead of failing it.
+ * @param {number|string} [options.ecmaVersion] - Newest ECMAScript version bundles may use
+ *   (default: the latest version the parser supports).
+ * @param {string|string[]} [options.report] - Report format(s) to write: `json`, `junit`.
+ * @param {string} [options.reportDir='.'] - Report directory, relative to the root.
+ * @returns {Promise<BundleRunResult>} The structured build result.
+ * @throws {ConfigError} If the configuration file cannot be loaded or is invalid.
+ * @throws {BuildError} If at least one locale fails (the error carries the `result`).
+ * @throws {LockError} If another run holds the lock on the static directory.
  */
 export default async (options) => {
-    const require = createRequire(import.meta.url);
-    const absConfigPath = path.resolve(process.cwd(), options.config);
-    const rawConfig = require(absConfigPath);
-
-    let bundles = [];
-    let exclusions = [];
-
-    if (Array.isArray(rawConfig)) {
-        bundles = rawConfig;
-    } else {
-        bundles = rawConfig.bundles || [];
-        exclusions = rawConfig.exclusions || [];
+    const root = resolveRoot(options);
+    const staticDir = resolveStaticDir(options);
+    options = { ...options, root, staticDir };
+
+    const { config: rawConfig } = await loadConfig(path.resolve(root, options.config));
+
+    // Config `options` / `profiles.<name>` fill in every flag not passed on the CLI.
+    options = resolveBuildOptions(rawConfig, options);
+
+    if (options.budgetMode !== undefined && !['warn', 'error'].includes(options.budgetMode)) {
+        throw new ConfigError(`Invalid budget mode "${options.budgetMode}". Expected "warn" or "error".`);
+    }
+
+    const topModules = options.topModules === undefined ? DEFAULT_TOP_MODULES : Number(options.topModules);
+    if (!Number.isInteger(topModules) || topModules < 0) {
+        throw new ConfigError(`Invalid top modules count "${options.topModules}". Expected a whole number (0 disables the listing).`);
+    }
+    options.topModules = topModules;
+
+    const keepBuilds = options.keepBuilds === undefined ? DEFAULT_KEEP_BUILDS : Number(options.keepBuilds);
+    if (!Number.isInteger(keepBuilds) || keepBuilds < 0) {
+        throw new ConfigError(`Invalid build history size "${options.keepBuilds}". Expected a whole number (0 disables the history).`);
     }
+    options.keepBuilds = keepBuilds;
 
-    if (!bundles || bundles.length === 0) {
-        consola.error("Invalid configuration: 'bundles' list is empty.");
-        process.exit(1);
+    const ecmaVersion = resolveEcmaVersion(options);
+    if (ecmaVersion !== 'latest' && (!Number.isInteger(ecmaVersion) || ecmaVersion < 2015)) {
+        throw new ConfigError(`Invalid ECMAScript version "${options.ecmaVersion}". Expected a year, 2015 or later.`);
     }
+    options.ecmaVersion = ecmaVersion;
 
-    // Validate each bundle entry has the required shape before doing any I/O.
-    bundles.forEach((bundle, i) => {
-        if (!bundle.name || typeof bundle.name !== 'string') {
-            consola.error(`Invalid config: bundles[${i}] is missing a "name" string.`);
-            process.exit(1);
+    const concurrency = options.concurrency === undefined ? defaultConcurrency() : Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ConfigError(`Invalid concurrency "${options.concurrency}". Expected a whole number of at least 1.`);
+    }
+    // One queue for the whole run: it bounds Terser and compression jobs across all locales.
+    options.taskQueue = createTaskQueue(concurrency);
+
+    if (!Array.isArray(rawConfig) && rawConfig.budgets !== undefined) {
+        const issues = validateBudgets(rawConfig.budgets);
+        if (issues.length > 0) {
+            throw new ConfigError(`Invalid configuration: ${issues.map((issue) => issue.message).join(' ')}`);
         }
-        if (!bundle.modules || typeof bundle.modules !== 'object' || Array.isArray(bundle.modules)) {
-            consola.error(`Invalid config: bundle "${bundle.name || i}" is missing a "modules" object.`);
-            process.exit(1);
+        options.budgets = rawConfig.budgets;
+    }
+
+    const reportFormats = parseReportFormats(options.report);
+    const reportDir = path.resolve(root, options.reportDir || '.');
+
+    const scopes = listConfigScopes(rawConfig);
+
+    if (scopes.length === 0) {
+        throw new ConfigError("Invalid configuration: 'bundles' list is empty.");
+    }
+
+    // Validate each bundle set (default, theme and locale scopes) before doing any I/O.
+    scopes.forEach(({ scope, bundles }) => {
+        const where = scope === 'default' ? 'bundles' : `themes scope "${scope}"`;
+
+        if (!Array.isArray(bundles) || bundles.length === 0) {
+            throw new ConfigError(`Invalid configuration: '${where}' list is empty.`);
         }
+        bundles.forEach((bundle, i) => {
+            if (!bundle.name || typeof bundle.name !== 'string') {
+                throw new ConfigError(`Invalid config: ${where}[${i}] is missing a "name" string.`);
+            }
+            if (!bundle.modules || typeof bundle.modules !== 'object' || Array.isArray(bundle.modules)) {
+                throw new ConfigError(`Invalid config: bundle "${bundle.name || i}" (${where}) is missing a "modules" object.`);
+            }
+        });
     });
 
-    bundles = applyExclusions(bundles, exclusions);
+    const selectedLocales = await filterLocales(await getLocales(staticDir), staticDir, options);
+
+    // Resolve the bundles of each locale. Exclusions are applied once per scope,
+    // on a copy, so theme sections never leak into each other.
+    const preparedScopes = new Map();
+    const locales = [];
+    const localeBundles = [];
+
+    for (const locale of selectedLocales) {
+        const label = `${locale.vendor}/${locale.name} (${locale.code})`;
+        const localeConfig = resolveLocaleConfig(rawConfig, locale);
+
+        if (!localeConfig) {
+            consola.warn(`⚠️  No bundles configured for ${label} and no default "bundles"; skipping.`);
+            continue;
+        }
+
+        if (!preparedScopes.has(localeConfig.scope)) {
+            preparedScopes.set(
+                localeConfig.scope,
+                applyExclusions(structuredClone(localeConfig.bundles), localeConfig.exclusions)
+            );
+        }
+        if (localeConfig.scope !== 'default') {
+            consola.info(`🎨 ${label} uses the "${localeConfig.scope}" bundle configuration.`);
+        }
 
-    let locales = await getLocales(process.cwd());
-    if (options.theme) {
-        locales = locales.filter(l => `${l.vendor}/${l.name}` === options.theme);
+        locales.push(locale);
+        localeBundles.push(preparedScopes.get(localeConfig.scope));
     }
 
     if (locales.length === 0) {
         consola.error("No locales found matching criteria.");
-        return;
+        const emptyResult = { root, staticDir, locales: [], duration: 0, recovered: [] };
+        if (options.dryRun) return { ...emptyResult, dryRun: true };
+        await writeBuildReports(emptyResult, reportFormats, reportDir);
+        return emptyResult;
     }
 
-    consola.info(`🚀 Starting Bundle Pipeline for ${locales.length} locales...`);
-    if (options.fastCompression) {
-        consola.info('⚡ Fast Compression mode is enabled (optimized for CI/CD speed).');
+    if (options.dryRun) {
+        return planRun(locales, localeBundles, options);
     }
 
-    const start = process.hrtime();
+    // Serializes runs on this static directory (see utils/lock.js); taken before
+    // the recovery, which would otherwise delete another run's staging directories.
+    const lock = await acquireLock(staticDir, { command: 'bundle', wait: options.wait, force: options.force });
 
-    const results = await Promise.allSettled(
-        locales.map(locale => processLocale(locale, bundles, options))
-    );
+    try {
+        // Leftovers of an interrupted run: staging directories, half-swapped locales.
+        const recovered = await recoverLocales(locales, staticDir);
 
-    const [sec, nanosec] = process.hrtime(start);
-    const totalSec = (sec + nanosec / 1e9).toFixed(2);
+        consola.info(`🚀 Starting Bundle Pipeline for ${locales.length} locales...`);
+        consola.info(
+            `🧵 Running up to ${concurrency} minify/compression job(s) at once, with ${concurrency} Terser worker thread(s)` +
+            `${options.concurrency === undefined ? ' (derived from CPU count and total memory; set --concurrency to override)' : ''}.`
+        );
+        if (options.fastCompression) {
+            consola.info('⚡ Fast Compression mode is enabled (optimized for CI/CD speed).');
+        }
 
-    const failed = results.filter(r => r.status === 'rejected');
+        if (options.transactional) {
+            consola.info('🔒 Transactional mode: the locales are swapped together, only if all of them build.');
+        }
 
-    if (failed.length > 0) {
-        consola.error(`💀 Finished in ${totalSec}s with ${failed.length} errors.`);
-        process.exit(1);
-    } else {
-        await updateSriHashes(locales, bundles);
+        if (options.cache === false) {
+            consola.info('🧹 Cache disabled (--no-cache): every bundle is rebuilt, the caches are refreshed.');
+        }
+
+        if (options.cacheDir) {
+            const cacheDir = path.resolve(root, options.cacheDir);
+            try {
+                options.persistentCache = await createPersistentCache(cacheDir);
+            } catch (e) {
+                throw new ConfigError(`Could not create the cache directory ${cacheDir}: ${e.message}`);
+            }
+            consola.info(`🗄️  Using the persistent cache directory ${cacheDir}.`);
+        }
+
+        const start = process.hrtime();
+
+        // Terser runs in worker threads, one per concurrency slot. Workers are only
+        // spawned when a module actually needs minifying.
+        const workerPool = createWorkerPool(new URL('./bundle/worker/minifyWorker.js', import.meta.url), concurrency);
+
+        // Bundles with identical inputs across locales are built once per run.
+        const sharedOutputs = createSharedOutputs(staticDir);
+        // Left over if a previous run was killed.
+        await sharedOutputs.dispose();
+
+        // Every bundle name of every scope: files absent from a locale are skipped.
+        const allBundles = [...new Map(
+            [...preparedScopes.values()].flat().map((bundle) => [bundle.name, bundle])
+        ).values()];
+        const updateSri = (sriOptions) => updateSriHashes(locales, allBundles, staticDir, sriOptions);
+
+        // Locales swapped but not complete yet, reverted if the run is interrupted.
+        const pendingSwaps = new Set();
+        const releaseShutdown = onShutdown(() =>
+            abortRun(locales.map((locale) => getLocalePath(staticDir, locale)), pendingSwaps, sharedOutputs.dir)
+        );
+
+        const runOptions = { ...options, workerPool, sharedOutputs, pendingSwaps };
+
+        let results;
+        try {
+            results = options.transactional
+                ? await bundleTransaction(locales, localeBundles, runOptions, updateSri)
+                : await Promise.allSettled(
+                    locales.map((locale, i) => processLocale(locale, localeBundles[i], runOptions))
+                );
+        } finally {
+            releaseShutdown();
+            await workerPool.close();
+            await sharedOutputs.dispose();
+        }
+
+        await options.persistentCache?.prune();
+
+        const [sec, nanosec] = process.hrtime(start);
+        const totalSec = (sec + nanosec / 1e9).toFixed(2);
+
+        /** @type {BundleRunResult} */
+        const result = {
+            root,
+            staticDir,
+            locales: results.map((settled, i) => (
+                settled.status === 'fulfilled'
+                    ? settled.value
+                    : {
+                        locale: locales[i],
+                        label: `${locales[i].vendor}/${locales[i].name} (${locales[i].code})`,
+                        status: settled.rolledBack ? 'rolled-back' : 'failed',
+                        error: settled.reason,
+                        budgetViolations: settled.reason instanceof BudgetError ? settled.reason.violations : [],
+                    }
+            )),
+            duration: Number(totalSec),
+            recovered,
+        };
+
+        // Reports are written before failing so CI can publish them either way.
+        await writeBuildReports(result, reportFormats, reportDir);
+
+        result.locales
+            .filter((l) => l.status === 'success')
+            .forEach((l) => printStatsDiff(l.label, l.diff));
+
+        const overBudget = result.locales.filter((l) => l.budgetViolations?.length > 0);
+        if (overBudget.length > 0) {
+            const log = options.budgetMode === 'warn' ? consola.warn : consola.error;
+            log(`💸 Size budgets exceeded in ${overBudget.length} locale(s)${options.budgetMode === 'warn' ? ' (warn mode, swapped anyway)' : ''}:`);
+            overBudget.forEach((l) => l.budgetViolations.forEach((v) => log(`   ${l.label} ${formatViolation(v)}`)));
+        }
+
+        const failed = results.filter(r => r.status === 'rejected');
+
+        if (failed.length > 0) {
+            consola.error(`💀 Finished in ${totalSec}s with ${failed.length} errors.`);
+            const failedCount = result.locales.filter((l) => l.status === 'failed').length;
+            const message = !options.transactional
+                ? `${failed.length} of ${locales.length} locale(s) failed to bundle.`
+                : failedCount > 0
+                    ? `Transaction rolled back: ${failedCount} of ${locales.length} locale(s) failed to bundle, so none was deployed.`
+                    : `Transaction rolled back: the commit failed, so none of the ${locales.length} locale(s) was deployed.`;
+            throw new BuildError(message, { result });
+        }
+
+        // Transactional runs already updated the SRI hashes as part of the commit.
+        if (!options.transactional) {
+            await updateSri();
+        }
         consola.success(`✨ All locales bundled successfully in ${totalSec}s.`);
+
+        return result;
+    } finally {
+        await lock.release();
     }
 };
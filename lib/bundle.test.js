@@ -0,0 +1,125 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import bundle from './bundle.js';
+import { status as cacheStatus, clear as clearCache } from './cache.js';
+import { BuildError } from './utils/errors.js';
+
+describe('bundle', () => {
+    let root;
+    const localePath = (code) => path.join(root, 'pub/static/frontend/Acme/luma', code);
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-bundle-'));
+        await fs.writeFile(
+            path.join(root, 'magepack.config.js'),
+            `module.exports = { bundles: [{ name: 'common', modules: { jquery: 'jquery', 'Acme_Foo/js/a': 'Acme_Foo/js/a' } }] };`
+        );
+        for (const code of ['en_US', 'fr_FR']) {
+            await fs.mkdir(path.join(localePath(code), 'Acme_Foo/js'), { recursive: true });
+            await fs.writeFile(path.join(localePath(code), 'requirejs-config.js'), 'require.config({});');
+            await fs.writeFile(path.join(localePath(code), 'jquery.js'), `define('jquery', [], function () { return {}; });`);
+            await writeModule(code, 1);
+        }
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    const writeModule = (code, version) => fs.writeFile(
+        path.join(localePath(code), 'Acme_Foo/js/a.js'),
+        `define(['jquery'], function ($) { return { version: ${version} }; });`
+    );
+
+    /** Live bundle and RequireJS config of each locale. */
+    const snapshot = async () => Object.fromEntries(await Promise.all(['en_US', 'fr_FR'].map(async (code) => [code, {
+        bundle: await fs.readFile(path.join(localePath(code), 'magepack/bundle-common.js'), 'utf8'),
+        config: await fs.readFile(path.join(localePath(code), 'requirejs-config.js'), 'utf8'),
+    }])));
+
+    /** A new version of the module everywhere, and a RequireJS config write that fails for fr_FR. */
+    const breakConfigWrite = async () => {
+        await writeModule('en_US', 2);
+        await writeModule('fr_FR', 2);
+        await fs.mkdir(path.join(localePath('fr_FR'), 'requirejs-config.min.js'));
+    };
+
+    const run = (options = {}) => bundle({ root, config: 'magepack.config.js', concurrency: 1, ...options });
+
+    /** Whether each bundle of the run was restored from a cache, per locale. */
+    const cachedFlags = (result) => result.locales.map((l) => l.bundles.map((b) => Boolean(b.cached)));
+
+    test('restores unchanged bundles from the cache, and rebuilds all of them with --no-cache', async () => {
+        await run();
+        expect(cachedFlags(await run())).toEqual([[true], [true]]);
+        expect(cachedFlags(await run({ cache: false }))).toEqual([[false], [false]]);
+
+        // A changed module only invalidates its own locale.
+        await writeModule('fr_FR', 2);
+        expect(cachedFlags(await run())).toEqual([[true], [false]]);
+    });
+
+    test('cache status lists the cached bundles, and cache clear makes the next run rebuild them', async () => {
+        await run();
+        const { locales } = await cacheStatus({ root });
+        expect(locales.map((l) => l.bundles.map((b) => [b.name, b.file]))).toEqual([
+            [['common', 'bundle-common.js']],
+            [['common', 'bundle-common.js']],
+        ]);
+
+        await clearCache({ root, locale: 'en_US' });
+        expect(cachedFlags(await run())).toEqual([[false], [true]]);
+    });
+
+    test('--transactional rolls every locale back when a config write fails', async () => {
+        await run();
+        const before = await snapshot();
+        expect(before.en_US.bundle).toContain('version: 1');
+
+        await breakConfigWrite();
+        await expect(run({ transactional: true })).rejects.toBeInstanceOf(BuildError);
+
+        expect(await snapshot()).toEqual(before);
+        for (const code of ['en_US', 'fr_FR']) {
+            expect(await fs.readdir(localePath(code))).not.toEqual(expect.arrayContaining(['magepack_build']));
+            expect(await fs.readdir(localePath(code))).not.toEqual(expect.arrayContaining(['magepack_backup']));
+        }
+    });
+
+    test('--transactional rolls every locale back when the SRI update fails', async () => {
+        await run();
+        const before = await snapshot();
+
+        await writeModule('en_US', 2);
+        await writeModule('fr_FR', 2);
+        // Unparsable, so the update fails before any write (chmod does not stop root).
+        const sriPath = path.join(root, 'pub/static/frontend/sri-hashes.json');
+        await fs.writeFile(sriPath, '{');
+        const error = await run({ transactional: true }).catch((e) => e);
+
+        expect(error).toBeInstanceOf(BuildError);
+        expect(error.result.locales.map((l) => l.status)).toEqual(['rolled-back', 'rolled-back']);
+        expect(await snapshot()).toEqual(before);
+        expect(await fs.readFile(sriPath, 'utf8')).toBe('{');
+    });
+
+    test('rolls back only the failing locale by default', async () => {
+        await run();
+        const before = await snapshot();
+
+        await breakConfigWrite();
+        const error = await run().catch((e) => e);
+
+        expect(error).toBeInstanceOf(BuildError);
+        expect(error.result.locales.map((l) => l.status)).toEqual(['success', 'failed']);
+        const after = await snapshot();
+        expect(after.fr_FR).toEqual(before.fr_FR);
+        expect(after.en_US.bundle).toContain('version: 2');
+    });
+});
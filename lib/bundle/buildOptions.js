@@ -0,0 +1,89 @@
+/**
+ * @file lib/bundle/buildOptions.js
+ * @description Merges the build options declared in `magepack.config.js` with the CLI flags.
+ *
+ * Precedence, lowest to highest:
+ *   1. `options` block of the config.
+ *   2. `profiles.<name>` selected with `--profile`.
+ *   3. Flags passed on the command line (or to the programmatic API).
+ *
+ * Defaults that apply when nothing sets an option (`minifyStrategy: 'safe'`,
+ * `batchSize: 50`) stay in the processor, so an unset CLI flag never masks a
+ * value from the config.
+ *
+ * @example
+ *   // magepack.config.js
+ *   module.exports = {
+ *       options: { minify: true, minifyStrategy: 'safe' },
+ *       profiles: {
+ *           staging: { fastCompression: true },
+ *           production: { minifyStrategy: 'aggressive', strict: true },
+ *       },
+ *       bundles: [...],
+ *   };
+ *
+ * @module bundle/buildOptions
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import consola from 'consola';
+import { ConfigError } from '../utils/errors.js';
+import { BUILD_OPTION_TYPES, validateBuildOptions } from '../validate/schema.js';
+
+/**
+ * Resolves the effective build options.
+ *
+ * @param {Object|Array} rawConfig - The loaded configuration (the legacy array form has no options).
+ * @param {Object} cliOptions - Command options; `undefined` values are treated as "not passed".
+ * @param {string} [cliOptions.profile] - Profile name (`--profile`).
+ * @returns {Object} `cliOptions` with every unset build option filled from the config.
+ * @throws {ConfigError} If the options are invalid or the profile does not exist.
+ */
+export default (rawConfig, cliOptions) => {
+    const config = Array.isArray(rawConfig) ? {} : rawConfig;
+    const baseOptions = config.options || {};
+    const profiles = config.profiles || {};
+
+    const issues = validateBuildOptions(baseOptions, 'options');
+
+    let profileOptions = {};
+    if (cliOptions.profile) {
+        if (!Object.hasOwn(profiles, cliOptions.profile)) {
+            const available = Object.keys(profiles);
+            throw new ConfigError(
+                `Unknown profile "${cliOptions.profile}". ` +
+                (available.length > 0 ? `Available profiles: ${available.join(', ')}.` : 'The configuration declares no profiles.')
+            );
+        }
+        profileOptions = profiles[cliOptions.profile];
+        issues.push(...validateBuildOptions(profileOptions, `profiles.${cliOptions.profile}`));
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError(`Invalid configuration: ${issues.map((issue) => issue.message).join(' ')}`);
+    }
+
+    const resolved = { ...cliOptions };
+
+    for (const key of Object.keys(BUILD_OPTION_TYPES)) {
+        if (resolved[key] !== undefined) continue;
+
+        if (profileOptions[key] !== undefined) {
+            resolved[key] = profileOptions[key];
+        } else if (baseOptions[key] !== undefined) {
+            resolved[key] = baseOptions[key];
+        }
+    }
+
+    if (cliOptions.profile) {
+        consola.info(`🧾 Using build profile "${cliOptions.profile}".`);
+    }
+    consola.debug(`Build options: ${JSON.stringify(
+        Object.fromEntries(Object.keys(BUILD_OPTION_TYPES).map((key) => [key, resolved[key]]))
+    )}`);
+
+    return resolved;
+};
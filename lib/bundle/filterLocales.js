@@ -0,0 +1,107 @@
+/**
+ * @file lib/bundle/filterLocales.js
+ * @description Narrows the locales returned by `getLocales` with the CLI filters.
+ *
+ * Patterns are matched with `glob` against the deployed static tree, relative to
+ * `pub/static/frontend`, so each locale is addressed as `Vendor/Theme/locale`:
+ *
+ *   - `--theme Vendor/Theme`   exact theme match.
+ *   - `--glob <pattern>`       e.g. `Amadeco/future/fr_*` or `Amadeco/*` (theme level).
+ *   - `--locale <code>`        repeatable, e.g. `fr_FR` or `de_*` (any theme).
+ *   - `--exclude <pattern>`    repeatable, same syntax as `--glob`, applied last.
+ *
+ * A pattern matching a vendor or theme directory selects every locale below it.
+ * All include filters must match (AND); a locale matching any exclusion is dropped.
+ *
+ * @module bundle/filterLocales
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import { glob } from 'glob';
+import consola from 'consola';
+
+/**
+ * Normalizes a single value or repeated CLI values into an array of patterns.
+ *
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+const toPatterns = (value) => {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value]).filter(Boolean);
+};
+
+/**
+ * Expands glob patterns against the static tree.
+ *
+ * @async
+ * @param {string[]} patterns - Glob patterns relative to `frontendPath`.
+ * @param {string} frontendPath - Absolute path to `pub/static/frontend`.
+ * @returns {Promise<Set<string>>} Matched paths, always `/`-separated.
+ */
+const expand = async (patterns, frontendPath) =>
+    new Set(await glob(patterns, { cwd: frontendPath, posix: true }));
+
+/**
+ * Checks whether a locale, its theme or its vendor directory was matched.
+ *
+ * @param {Set<string>} matched - Paths returned by `expand`.
+ * @param {{vendor: string, name: string, code: string}} locale
+ * @returns {boolean}
+ */
+const isMatched = (matched, { vendor, name, code }) =>
+    matched.has(`${vendor}/${name}/${code}`) ||
+    matched.has(`${vendor}/${name}`) ||
+    matched.has(vendor);
+
+/**
+ * Applies the theme, glob, locale and exclusion filters to a list of locales.
+ *
+ * @async
+ * @param {Array<{vendor: string, name: string, code: string}>} locales - From `getLocales`.
+ * @param {string} frontendPath - Absolute path to `pub/static/frontend`.
+ * @param {Object} [filters={}]
+ * @param {string} [filters.theme] - Exact `Vendor/Theme`.
+ * @param {string|string[]} [filters.glob] - Include pattern(s) over `Vendor/Theme/locale`.
+ * @param {string|string[]} [filters.locale] - Locale code(s) or code pattern(s).
+ * @param {string|string[]} [filters.exclude] - Exclude pattern(s) over `Vendor/Theme/locale`.
+ * @returns {Promise<Array<{vendor: string, name: string, code: string}>>} The selected locales.
+ *
+ * @example
+ *   await filterLocales(locales, frontendPath, { glob: 'Amadeco/*', locale: ['fr_FR'], exclude: ['Amadeco/b2b'] });
+ */
+export default async (locales, frontendPath, filters = {}) => {
+    const globPatterns = toPatterns(filters.glob);
+    const localePatterns = toPatterns(filters.locale).map((code) => `*/*/${code}`);
+    const excludePatterns = toPatterns(filters.exclude);
+
+    let selected = locales;
+
+    if (filters.theme) {
+        selected = selected.filter((l) => `${l.vendor}/${l.name}` === filters.theme);
+    }
+
+    if (globPatterns.length > 0) {
+        const matched = await expand(globPatterns, frontendPath);
+        selected = selected.filter((l) => isMatched(matched, l));
+    }
+
+    if (localePatterns.length > 0) {
+        const matched = await expand(localePatterns, frontendPath);
+        selected = selected.filter((l) => isMatched(matched, l));
+    }
+
+    if (excludePatterns.length > 0) {
+        const matched = await expand(excludePatterns, frontendPath);
+        selected = selected.filter((l) => !isMatched(matched, l));
+    }
+
+    if (selected.length !== locales.length) {
+        consola.info(`🎯 ${selected.length} of ${locales.length} locale(s) selected by filters.`);
+    }
+
+    return selected;
+};
@@ -1,7 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import consola from 'consola';
-import { PATHS } from '../utils/constants.js';
+import { StaticContentError } from '../utils/errors.js';
 
 /**
  * Helper to get subdirectories of a given path.
@@ -23,22 +23,22 @@ async function getDirectories(source) {
  * Scans the Magento directory structure to find deployed locales.
  * Structure expected: pub/static/frontend/<Vendor>/<Theme>/<Locale>
  *
- * @param {string} rootPath - The root directory of the Magento installation.
+ * @param {string} frontendPath - The frontend static directory
+ *   (`pub/static/frontend`, see `resolveStaticDir`).
  * @returns {Promise<Array<{vendor: string, name: string, code: string}>>}
+ * @throws {StaticContentError} If the static directory is missing or holds no locale.
  */
-export default async (rootPath) => {
-    // Construct the path to frontend static assets
-    const frontendPath = path.join(rootPath, PATHS.STATIC_FRONTEND);
+export default async (frontendPath) => {
     const locales = [];
 
     // 1. Verify that the base directory exists
     try {
         await fs.access(frontendPath);
     } catch (e) {
-        throw new Error(
+        throw new StaticContentError(
             `Could not find static directory at: ${frontendPath}\n` +
             `Make sure you are running this command from the Magento Root directory ` +
-            `and that you have run 'bin/magento setup:static-content:deploy'.`
+            `(or pass --root / --static-dir) and that you have run 'bin/magento setup:static-content:deploy'.`
         );
     }
 
@@ -72,7 +72,7 @@ export default async (rootPath) => {
     }
 
     if (locales.length === 0) {
-        throw new Error(`No locales found in ${frontendPath}. Please check your generated static content.`);
+        throw new StaticContentError(`No locales found in ${frontendPath}. Please check your generated static content.`);
     }
 
     return locales;
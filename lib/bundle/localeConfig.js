@@ -0,0 +1,114 @@
+/**
+ * @file lib/bundle/localeConfig.js
+ * @description Resolves which bundle definitions apply to a deployed locale.
+ *
+ * Besides the top-level `bundles` (the default), the config may declare
+ * theme-scoped sections, each with optional per-locale overrides:
+ *
+ * @example
+ *   module.exports = {
+ *       bundles: [...],                    // default, used by any other theme
+ *       exclusions: ['Vendor_Payment/'],   // applies everywhere
+ *       themes: {
+ *           'Amadeco/b2b': {
+ *               bundles: [...],
+ *               exclusions: ['Amadeco_Quote/'],
+ *               locales: {
+ *                   de_DE: { bundles: [...] },
+ *               },
+ *           },
+ *       },
+ *   };
+ *
+ * Bundles come from the most specific level defining them
+ * (`themes[T].locales[code]` → `themes[T]` → top level). Exclusions accumulate
+ * across all levels.
+ *
+ * @module bundle/localeConfig
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+/**
+ * @typedef {Object} LocaleConfig
+ * @property {string} scope - Most specific config level that sets bundles or
+ *   exclusions: `default`, `Vendor/Theme` or `Vendor/Theme/locale`. Locales with
+ *   the same scope get the same bundles and exclusions.
+ * @property {Array<Object>} bundles - Bundle definitions (not cloned).
+ * @property {string[]} exclusions - Module ID prefixes to exclude.
+ */
+
+/**
+ * Resolves the bundles and exclusions for a locale.
+ *
+ * @param {Object|Array} rawConfig - The loaded configuration (or legacy bundle array).
+ * @param {{vendor: string, name: string, code?: string}} locale
+ * @returns {LocaleConfig|null} Null when no level defines bundles for the locale.
+ */
+export const resolveLocaleConfig = (rawConfig, locale) => {
+    if (Array.isArray(rawConfig)) {
+        return { scope: 'default', bundles: rawConfig, exclusions: [] };
+    }
+
+    const themeKey = `${locale.vendor}/${locale.name}`;
+    const theme = rawConfig.themes?.[themeKey];
+    const localeEntry = locale.code === undefined ? undefined : theme?.locales?.[locale.code];
+
+    const bundles = localeEntry?.bundles || theme?.bundles || rawConfig.bundles;
+    if (!bundles) {
+        return null;
+    }
+
+    const contributes = (section) => Boolean(section && (section.bundles || section.exclusions));
+
+    let scope = 'default';
+    if (contributes(localeEntry)) {
+        scope = `${themeKey}/${locale.code}`;
+    } else if (contributes(theme)) {
+        scope = themeKey;
+    }
+
+    return {
+        scope,
+        bundles,
+        exclusions: [
+            ...(rawConfig.exclusions || []),
+            ...(theme?.exclusions || []),
+            ...(localeEntry?.exclusions || []),
+        ],
+    };
+};
+
+/**
+ * Lists every distinct configuration scope declared in the config,
+ * independently of what is deployed.
+ *
+ * @param {Object|Array} rawConfig - The loaded configuration.
+ * @returns {LocaleConfig[]}
+ */
+export const listConfigScopes = (rawConfig) => {
+    if (Array.isArray(rawConfig)) {
+        return [resolveLocaleConfig(rawConfig, {})];
+    }
+
+    /** @type {Map<string, LocaleConfig>} */
+    const scopes = new Map();
+
+    if (rawConfig.bundles) {
+        scopes.set('default', { scope: 'default', bundles: rawConfig.bundles, exclusions: rawConfig.exclusions || [] });
+    }
+
+    for (const [themeKey, theme] of Object.entries(rawConfig.themes || {})) {
+        const [vendor, name] = themeKey.split('/');
+        const codes = [undefined, ...Object.keys(theme?.locales || {})];
+
+        for (const code of codes) {
+            const resolved = resolveLocaleConfig(rawConfig, { vendor, name, code });
+            if (resolved && !scopes.has(resolved.scope)) scopes.set(resolved.scope, resolved);
+        }
+    }
+
+    return [...scopes.values()];
+};
@@ -18,6 +18,16 @@
  * @author Amadeco Dev Team
  *
  * @changelog
+ *   - v3.2.0: Added `planBundle`, which resolves a bundle's files and mixin
+ *     compositions without building it (`magepack bundle --dry-run`).
+ *   - v3.2.0: Modules are minified in worker threads (`options.workerPool`), in parallel.
+ *   - v3.2.0: Terser and compression jobs go through the shared `options.taskQueue`.
+ *   - v3.2.0: `processBundle` returns the per-module `composition` of the bundle
+ *     (wrapped, minified and estimated gzip bytes, composed mixins) instead of discarding it.
+ *   - v3.2.0: Terser now runs per module through `minifyModules()`, backed by the
+ *     module cache (`service/moduleCache.js`). A single edited module no longer
+ *     forces a full re-minify of its bundle. Source maps are emitted as index maps.
+ *     A Terser failure now falls back to the raw source of the failing module only.
  *   - v3.1.0: Added mixin pre-application phase. When a bundle contains both a mixin
  *     target and its mixin factories, the processor now composes them into a single
  *     AMD module that returns the fully "mixined" result. The mixin factory modules
@@ -40,8 +50,9 @@ import moduleWrapper, { isText } from './moduleWrapper.js';
 import createPathResolver from './moduleMapResolver.js';
 import { buildTerserOptions } from './config/terserOptions.js';
 import { compressFile } from './service/compressor.js';
-import { reportBundleSize } from './service/reporter.js';
+import { estimateGzipShares, reportBundleSize } from './service/reporter.js';
 import { composeMixinTarget } from './service/mixinComposer.js';
+import { computeModuleCacheKey } from './service/moduleCache.js';
 
 /**
  * Sensitive module patterns that force "safe" Terser strategy regardless of --minify-strategy.
@@ -86,7 +97,7 @@ const chunkArray = (arr, size) =>
  * @param {boolean} isMinifyOn - Whether minification fallback is active.
  * @returns {Promise<string|null>} Absolute path to the file, or null if not found.
  */
-const resolveFile = async (rootDir, moduleName, modulePath, isMinifyOn) => {
+export const resolveFile = async (rootDir, moduleName, modulePath, isMinifyOn) => {
     const fullPath = path.resolve(rootDir, modulePath);
 
     if (moduleName.startsWith('text!') || /\.(html|json|css|txt|svg)$/i.test(fullPath)) {
@@ -118,6 +129,160 @@ const resolveFile = async (rootDir, moduleName, modulePath, isMinifyOn) => {
     }
 };
 
+/**
+ * Resolves the exact Terser option set used to build a bundle.
+ *
+ * Applies the sensitive-module strategy downgrade and the "sourcemap only"
+ * beautify mode. Shared with the incremental cache so the cache key reflects
+ * the options that actually fed the bundle, not just the requested strategy.
+ *
+ * @param {string[]} moduleNames - Module IDs declared in the bundle (before pruning).
+ * @param {Object} options - CLI options.
+ * @param {string} bundleFilename - Output filename (used for the source map URL).
+ * @returns {import('terser').MinifyOptions|null} The Terser options, or `null` when
+ *   Terser does not run for this bundle (raw concatenation).
+ */
+export const resolveTerserOptions = (moduleNames, options, bundleFilename) => {
+    const hasSensitive = moduleNames.some(name => SENSITIVE_PATTERNS.some(p => p.test(name)));
+    const requestedStrategy = options.minifyStrategy || 'safe';
+    const effectiveStrategy = hasSensitive ? 'safe' : requestedStrategy;
+
+    const shouldMinify = Boolean(options.minify) || effectiveStrategy === 'aggressive';
+    const sourceMap = Boolean(options.sourcemap);
+
+    if (!shouldMinify && !sourceMap) {
+        return null;
+    }
+
+    const terserOptions = buildTerserOptions(effectiveStrategy, sourceMap, bundleFilename);
+
+    if (!shouldMinify) {
+        terserOptions.compress = false;
+        terserOptions.mangle = false;
+        terserOptions.format = { beautify: true };
+    }
+
+    return terserOptions;
+};
+
+/**
+ * Minifies a bundle module by module, reusing cached output where available.
+ *
+ * Each wrapped module is minified by its own Terser call so that a module whose
+ * wrapped source is unchanged can be restored from the module cache instead of
+ * being re-minified. The per-module outputs are then concatenated in bundle order.
+ *
+ * When source maps are enabled, each module's map becomes one section of an
+ * index source map (`sections` with line offsets), which browsers resolve exactly
+ * like a flat map. The `sourceMappingURL` comment is appended once, after the
+ * last module.
+ *
+ * A module that Terser cannot parse is emitted raw (and not cached) instead of
+ * aborting the whole bundle.
+ *
+ * @async
+ * @param {Record<string, string>} sources - Wrapped module sources keyed by module ID.
+ * @param {import('terser').MinifyOptions} terserOptions - Options from `resolveTerserOptions`.
+ * @param {string} bundleName - The bundle identifier (for logging).
+ * @param {string} bundleFilename - Output filename (used as the map's `file`).
+ * @param {Object} [moduleCache] - Module cache from `createModuleCache` (optional).
+ * @param {Object} [workerPool] - Pool from `utils/workerPool.js` running `worker/minifyWorker.js`.
+ *   Without it, Terser runs on the calling thread.
+ * @returns {Promise<{ code: string, map: string|null, cachedCount: number, moduleCode: Map<string, string> }>}
+ *   `moduleCode` holds the output of each module.
+ */
+const minifyModules = async (sources, terserOptions, bundleName, bundleFilename, moduleCache, workerPool) => {
+    const withMap = Boolean(terserOptions.sourceMap);
+    const moduleOptions = {
+        ...terserOptions,
+        sourceMap: withMap ? { includeSources: true, asObject: true } : false,
+    };
+
+    const moduleEntries = Object.entries(sources);
+    const keys = moduleEntries.map(([moduleName, content]) =>
+        moduleCache ? computeModuleCacheKey(moduleName, content, terserOptions) : null
+    );
+    const cached = await Promise.all(keys.map((key) => (key ? moduleCache.get(key) : null)));
+
+    // In a worker thread when a pool is given, so modules minify in parallel.
+    const minifyModule = workerPool
+        ? (moduleName, content) => workerPool.run({ moduleName, content, options: moduleOptions })
+        : (moduleName, content) => minifyJs({ [moduleName]: content }, moduleOptions);
+
+    /** @type {Array<import('./service/moduleCache.js').ModuleCacheEntry>} */
+    const outputs = await Promise.all(moduleEntries.map(async ([moduleName, content], i) => {
+        if (cached[i]) {
+            return cached[i];
+        }
+
+        try {
+            const result = await minifyModule(moduleName, content);
+            const entry = { code: result.code || '' };
+
+            if (withMap && result.map) {
+                entry.map = result.map;
+            }
+
+            if (keys[i]) {
+                await moduleCache.set(keys[i], entry);
+            }
+            return entry;
+        } catch (err) {
+            consola.error(`❌ Minification failed for ${bundleName} → "${moduleName}". Writing raw module. Error: ${err.message}`);
+            return { code: content.trimEnd() };
+        }
+    }));
+    const cachedCount = cached.filter(Boolean).length;
+
+    let code = outputs.map((entry) => entry.code).join('\n');
+    let map = null;
+
+    if (withMap) {
+        const sections = [];
+        let line = 0;
+
+        for (const entry of outputs) {
+            if (entry.map) {
+                sections.push({ offset: { line, column: 0 }, map: entry.map });
+            }
+            line += entry.code.split('\n').length;
+        }
+
+        map = JSON.stringify({ version: 3, file: bundleFilename, sections });
+        code += `\n//# sourceMappingURL=${terserOptions.sourceMap.url}`;
+    }
+
+    const moduleCode = new Map(moduleEntries.map(([moduleName], i) => [moduleName, outputs[i].code]));
+
+    return { code, map, cachedCount, moduleCode };
+};
+
+/**
+ * @typedef {Object} BundleResult
+ * @property {string} name - The bundle identifier.
+ * @property {string|null} fileName - Output file name (e.g. `bundle-common.min.js`),
+ *   or `null` when the bundle was empty and skipped.
+ * @property {boolean} cached - True if the output was restored from the bundle cache.
+ * @property {number} moduleCount - Number of modules declared after pruning.
+ * @property {string[]} missingModules - Modules pruned because they are missing on disk.
+ * @property {string[]} absorbedMixins - Mixin modules absorbed into composed targets.
+ * @property {{raw: number, gzip: number, brotli: number, zstd: number}|null} sizes -
+ *   Output sizes in bytes, or `null` when the bundle was skipped.
+ * @property {ModuleComposition[]|null} composition - Per-module contribution to the
+ *   output, in bundle order, or `null` when the bundle was skipped.
+ */
+
+/**
+ * @typedef {Object} ModuleComposition
+ * @property {string} id - Module ID.
+ * @property {number} raw - Wrapped source size in bytes (before Terser).
+ * @property {number} minified - Size of the module in the written bundle, in bytes
+ *   (equal to `raw` when Terser does not run).
+ * @property {number} gzip - Estimated share of the bundle's gzip size, in bytes
+ *   (see `estimateGzipShares`).
+ * @property {string[]} [mixins] - Mixin modules composed into this target by `mixinComposer`.
+ */
+
 /**
  * Core Bundle Processor Function.
  *
@@ -127,7 +292,8 @@ const resolveFile = async (rootDir, moduleName, modulePath, isMinifyOn) => {
  *   3. **Wrap**: Apply AMD wrapper to non-AMD, anonymous AMD, and text modules.
  *   4. **Compose Mixins**: Pre-apply mixin chains on bundled targets (v3.1.0).
  *   5. **Prune**: Remove ghost modules and absorbed mixins from `bundle.modules`.
- *   6. **Minify JS**: Run Terser with strategy-aware configuration.
+ *   6. **Minify JS**: Run Terser per module with strategy-aware configuration,
+ *      reusing cached output for unchanged modules.
  *   7. **Write**: Output the concatenated/minified bundle to the build directory.
  *   8. **Compress**: Generate `.gz`, `.br`, and `.zst` static compressed variants.
  *
@@ -149,13 +315,19 @@ const resolveFile = async (rootDir, moduleName, modulePath, isMinifyOn) => {
  * @param {string} localePath - Source directory for resolving modules.
  * @param {string} outputDir - Destination directory for generated bundles.
  * @param {Object} options - CLI options.
+ * @param {Object} [options.taskQueue] - Shared queue from `utils/taskQueue.js` bounding
+ *   concurrent Terser and compression jobs. Without it they start immediately.
+ * @param {Object} [options.workerPool] - Worker pool running Terser off the main thread
+ *   (`worker/minifyWorker.js`). Without it, Terser runs in-thread.
  * @param {boolean} isMinifyOn - True if minification is active for this locale.
  * @param {Map<string, import('./service/mixinResolver.js').MixinTargetInfo>} [mixinMap] -
  *   Optional mixin map for this bundle.
  * @param {Set<string>} [allMixinModuleIds] - Set of all known mixin module IDs.
- * @returns {Promise<void>}
+ * @param {Object} [moduleCache] - Per-module minification cache from
+ *   `createModuleCache` (optional). Without it every module is minified.
+ * @returns {Promise<BundleResult>} What was written for this bundle.
  */
-export const processBundle = async (bundle, localePath, outputDir, options, isMinifyOn, mixinMap, allMixinModuleIds) => {
+export const processBundle = async (bundle, localePath, outputDir, options, isMinifyOn, mixinMap, allMixinModuleIds, moduleCache) => {
     const outputExt = isMinifyOn ? '.min.js' : '.js';
     const bundleFilename = `bundle-${bundle.name}${outputExt}`;
 
@@ -262,6 +434,9 @@ export const processBundle = async (bundle, localePath, outputDir, options, isMi
     /** @type {Set<string>} Mixin modules absorbed into composites */
     const absorbedMixins = new Set();
 
+    /** @type {Map<string, string[]>} Composed target → its absorbed mixins */
+    const composedTargets = new Map();
+
     if (effectiveMixinMap.size > 0) {
         for (const [targetId, mixinInfo] of effectiveMixinMap) {
             const targetContent = wrappedModules.get(targetId);
@@ -305,6 +480,7 @@ export const processBundle = async (bundle, localePath, outputDir, options, isMi
 
             wrappedModules.set(targetId, compositeContent);
             absorbedMixinIds.forEach((id) => absorbedMixins.add(id));
+            composedTargets.set(targetId, absorbedMixinIds);
         }
     }
 
@@ -336,9 +512,20 @@ export const processBundle = async (bundle, localePath, outputDir, options, isMi
         );
     }
 
+    const result = {
+        name: bundle.name,
+        fileName: null,
+        cached: false,
+        moduleCount: Object.keys(bundle.modules).length,
+        missingModules: [...missingModules],
+        absorbedMixins: [...absorbedMixins],
+        sizes: null,
+        composition: null,
+    };
+
     if (wrappedModules.size === 0) {
         consola.warn(`⚠️  Skipping empty bundle: ${bundleFilename}`);
-        return;
+        return result;
     }
 
     // Build Terser sources map from remaining wrapped modules.
@@ -358,39 +545,47 @@ export const processBundle = async (bundle, localePath, outputDir, options, isMi
     // --- STEP 4: JS Minification Configuration ---
     let finalContent = '';
 
-    const hasSensitive = moduleNames.some(name => SENSITIVE_PATTERNS.some(p => p.test(name)));
-    const requestedStrategy = options.minifyStrategy || 'safe';
-    const effectiveStrategy = hasSensitive ? 'safe' : requestedStrategy;
-
-    if (hasSensitive && requestedStrategy === 'aggressive') {
+    if (
+        moduleNames.some(name => SENSITIVE_PATTERNS.some(p => p.test(name))) &&
+        options.minifyStrategy === 'aggressive'
+    ) {
         consola.debug(`   🛡️  [${bundle.name}] Safe mode enforced (sensitive modules detected).`);
     }
 
-    const shouldMinify = Boolean(options.minify) || effectiveStrategy === 'aggressive';
+    const terserOptions = resolveTerserOptions(moduleNames, options, bundleFilename);
     const sourceMap = Boolean(options.sourcemap);
 
     // --- STEP 5: Terser JS Processing ---
-    if (shouldMinify || sourceMap) {
-        try {
-            const terserOptions = buildTerserOptions(effectiveStrategy, sourceMap, bundleFilename);
-
-            if (!shouldMinify) {
-                terserOptions.compress = false;
-                terserOptions.mangle = false;
-                terserOptions.format = { beautify: true };
-            }
-
-            const result = await minifyJs(sources, terserOptions);
+    // Module-level: only modules whose wrapped source changed since a previous
+    // build are re-minified; the rest come from the module cache.
+    /** @type {Map<string, string>} Output of each module, for size attribution. */
+    let moduleCode = new Map(Object.entries(sources));
+
+    // Terser and compression run through the shared task queue (when given), which
+    // bounds heavy jobs across every locale and bundle of the run.
+    const runHeavy = options.taskQueue ? options.taskQueue.run : (task) => task();
+
+    if (terserOptions) {
+        const { code, map, cachedCount, moduleCode: minifiedCode } = await runHeavy(() => minifyModules(
+            sources,
+            terserOptions,
+            bundle.name,
+            bundleFilename,
+            moduleCache,
+            options.workerPool
+        ));
+
+        finalContent = code;
+        moduleCode = minifiedCode;
+        if (sourceMap && map) {
+            await fs.mkdir(destDir, { recursive: true });
+            await fs.writeFile(`${destPath}.map`, map, 'utf8');
+        }
 
-            if (result.code) {
-                finalContent = result.code;
-                if (sourceMap && result.map) {
-                    await fs.writeFile(`${destPath}.map`, result.map, 'utf8');
-                }
-            }
-        } catch (err) {
-            consola.error(`❌ Minification failed for ${bundle.name}. Writing raw output. Error: ${err.message}`);
-            finalContent = Object.values(sources).join('\n');
+        if (cachedCount > 0) {
+            consola.info(
+                `   [${bundle.name}] ♻️  Reused ${cachedCount}/${Object.keys(sources).length} minified module(s) from cache.`
+            );
         }
     } else {
         finalContent = Object.values(sources).join('\n');
@@ -399,6 +594,105 @@ export const processBundle = async (bundle, localePath, outputDir, options, isMi
     // --- STEP 6: Write & Compress (Parallel) ---
     await fs.mkdir(destDir, { recursive: true });
     await fs.writeFile(destPath, finalContent, 'utf8');
-    await compressFile(destPath, options);
-    await reportBundleSize(destPath);
+    await runHeavy(() => compressFile(destPath, options));
+    const sizes = await reportBundleSize(destPath);
+
+    // Per-module contribution, for the heaviest-module listing and `magepack analyze`.
+    const gzipShares = await runHeavy(() => estimateGzipShares([...moduleCode.values()], sizes.gzip));
+    const composition = [...moduleCode].map(([moduleName, code], i) => ({
+        id: moduleName,
+        raw: Buffer.byteLength(sources[moduleName]),
+        minified: Buffer.byteLength(code),
+        gzip: gzipShares[i],
+        ...(composedTargets.has(moduleName) ? { mixins: composedTargets.get(moduleName) } : {}),
+    }));
+
+    return { ...result, fileName: bundleFilename, sizes, composition };
+};
+
+/**
+ * @typedef {Object} BundlePlan
+ * @property {string} name - The bundle identifier.
+ * @property {string|null} fileName - File the bundle would be written to, or `null` when it
+ *   would be empty and skipped.
+ * @property {number} declaredCount - Number of modules in the configuration (after exclusions).
+ * @property {number} moduleCount - Number of modules that would be declared after pruning.
+ * @property {string[]} missingModules - Modules that would be pruned because they are missing on disk.
+ * @property {string[]} absorbedMixins - Mixin modules that would be absorbed into composed targets.
+ * @property {Array<{target: string, mixins: string[], externalMixins: string[]}>} compositions -
+ *   Mixin targets that would be composed, with the mixins bundled into them and
+ *   those still applied at runtime by the `mixins!` plugin.
+ */
+
+/**
+ * Dry-run counterpart of `processBundle`: resolves the module files and the
+ * mixin compositions of a bundle without reading, minifying or writing anything.
+ *
+ * Modules and mixins are only checked for existence, so a module that exists
+ * but fails to read or wrap is still counted as included.
+ *
+ * @async
+ * @param {Object} bundle - The bundle configuration object. **Mutated in place**:
+ *   missing modules and absorbed mixins are pruned, as `processBundle` would.
+ * @param {string} localePath - Source directory for resolving modules.
+ * @param {Object} options - CLI options.
+ * @param {boolean} isMinifyOn - True if minification is active for this locale.
+ * @param {Map<string, import('./service/mixinResolver.js').MixinTargetInfo>} [mixinMap] -
+ *   Optional mixin map for this bundle.
+ * @returns {Promise<BundlePlan>} What `processBundle` would do with this bundle.
+ * @throws {Error} In strict mode, if a module is missing (like `processBundle`).
+ */
+export const planBundle = async (bundle, localePath, options, isMinifyOn, mixinMap) => {
+    const resolveMap = await createPathResolver(localePath, isMinifyOn);
+    const moduleNames = Object.keys(bundle.modules || {});
+
+    /** @type {Set<string>} */
+    const includedModules = new Set();
+
+    /** @type {string[]} */
+    const missingModules = [];
+
+    for (const chunk of chunkArray(moduleNames, 50)) {
+        const resolved = await Promise.all(chunk.map((moduleName) => {
+            const mappedPath = resolveMap(bundle.modules[moduleName]);
+            return resolveFile(localePath, moduleName, mappedPath, isMinifyOn).then((absPath) => ({ moduleName, mappedPath, absPath }));
+        }));
+
+        for (const { moduleName, mappedPath, absPath } of resolved) {
+            if (absPath) {
+                includedModules.add(moduleName);
+                continue;
+            }
+            if (options.strict) {
+                throw new Error(`[Strict Mode] Module "${moduleName}" is missing at path: ${mappedPath}`);
+            }
+            missingModules.push(moduleName);
+        }
+    }
+
+    // Same selection as STEP 2 of processBundle: a present target absorbs its present mixins.
+    const compositions = [];
+    for (const [targetId, mixinInfo] of mixinMap || new Map()) {
+        if (!includedModules.has(targetId)) continue;
+
+        const mixins = mixinInfo.bundledMixinIds.filter((mixinId) => includedModules.has(mixinId));
+        if (mixins.length > 0) {
+            compositions.push({ target: targetId, mixins, externalMixins: mixinInfo.externalMixinIds });
+        }
+    }
+
+    const absorbedMixins = [...new Set(compositions.flatMap((composition) => composition.mixins))];
+    for (const moduleName of [...missingModules, ...absorbedMixins]) {
+        delete bundle.modules[moduleName];
+    }
+
+    return {
+        name: bundle.name,
+        fileName: includedModules.size > 0 ? `bundle-${bundle.name}${isMinifyOn ? '.min.js' : '.js'}` : null,
+        declaredCount: moduleNames.length,
+        moduleCount: Object.keys(bundle.modules).length,
+        missingModules,
+        absorbedMixins,
+        compositions,
+    };
 };
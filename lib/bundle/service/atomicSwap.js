@@ -0,0 +1,103 @@
+/**
+ * @file lib/bundle/service/atomicSwap.js
+ * @description Swaps a staging directory into a locale's live `magepack/` directory.
+ *
+ * The previous `magepack/` directory is renamed to `magepack_backup/` and kept
+ * until `dropBackup()`, so `revertSwap()` can put it back. Used by `bundle`
+ * (from `magepack_build/`) and by `rollback` (from a history entry).
+ *
+ * @module bundle/service/atomicSwap
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Added `revertSwapSync` for the SIGINT/SIGTERM cleanup of `bundle`.
+ *   - v3.2.0: Initial implementation, extracted from `finalizeBuild` in `bundle.js`.
+ */
+
+import fs from 'node:fs/promises';
+import { rmSync, renameSync } from 'node:fs';
+import path from 'node:path';
+import { PATHS } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} SwapState
+ * @property {boolean} movedAside - The previous `magepack/` was renamed to `magepack_backup/`.
+ * @property {boolean} swapped - The staging directory became `magepack/`.
+ */
+
+/**
+ * Renames `stagingDir` to `magepack/`, moving the current `magepack/` aside.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {string} stagingDir - Absolute path of the new output directory.
+ * @param {SwapState} [state={ movedAside: false, swapped: false }] - **Mutated** as each
+ *   step completes, so a failure part-way can still be reverted.
+ * @returns {Promise<SwapState>}
+ */
+export const swapIn = async (localePath, stagingDir, state = { movedAside: false, swapped: false }) => {
+    const finalDir = path.join(localePath, PATHS.MAGEPACK_DIR);
+    const backupDir = path.join(localePath, PATHS.BACKUP_DIR);
+
+    let previousExists = false;
+    try {
+        await fs.access(finalDir);
+        previousExists = true;
+    } catch { /* ignore */ }
+
+    if (previousExists) {
+        await fs.rm(backupDir, { recursive: true, force: true });
+        await fs.rename(finalDir, backupDir);
+        state.movedAside = true;
+    }
+
+    await fs.rename(stagingDir, finalDir);
+    state.swapped = true;
+
+    return state;
+};
+
+/**
+ * Undoes `swapIn`: the new output is deleted and the previous `magepack/` restored.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {string} stagingDir - The staging directory given to `swapIn` (deleted if not swapped yet).
+ * @param {SwapState} state - The state filled by `swapIn`.
+ * @returns {Promise<void>}
+ */
+export const revertSwap = async (localePath, stagingDir, state) => {
+    const finalDir = path.join(localePath, PATHS.MAGEPACK_DIR);
+
+    await fs.rm(state.swapped ? finalDir : stagingDir, { recursive: true, force: true });
+
+    if (state.movedAside) {
+        await fs.rename(path.join(localePath, PATHS.BACKUP_DIR), finalDir);
+    }
+};
+
+/**
+ * Synchronous `revertSwap`, for signal handlers: pending asynchronous work keeps
+ * running while a handler awaits, and could swap or delete in between.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {string} stagingDir - The staging directory given to `swapIn`.
+ * @param {SwapState} state - The state filled by `swapIn`.
+ * @returns {void}
+ */
+export const revertSwapSync = (localePath, stagingDir, state) => {
+    const finalDir = path.join(localePath, PATHS.MAGEPACK_DIR);
+
+    rmSync(state.swapped ? finalDir : stagingDir, { recursive: true, force: true });
+
+    if (state.movedAside) {
+        renameSync(path.join(localePath, PATHS.BACKUP_DIR), finalDir);
+    }
+};
+
+/**
+ * Deletes the backup of the previous output once a swap is final.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @returns {Promise<void>}
+ */
+export const dropBackup = (localePath) =>
+    fs.rm(path.join(localePath, PATHS.BACKUP_DIR), { recursive: true, force: true });
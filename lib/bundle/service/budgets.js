@@ -0,0 +1,156 @@
+/**
+ * @file lib/bundle/service/budgets.js
+ * @description Bundle size budgets declared in `magepack.config.js`.
+ *
+ * Budgets are keyed by bundle name (`'*'` applies to every bundle and is
+ * merged under a named entry). Each entry limits one or more compression
+ * formats, as an absolute maximum and/or as a maximum growth compared with the
+ * live `magepack/` build being replaced:
+ *
+ * @example
+ *   budgets: {
+ *       '*': { max: { gzip: '300 KB' } },
+ *       common: {
+ *           max: { gzip: '150 KB', brotli: '130 KB' },
+ *           maxDelta: { gzip: '10 KB', raw: '5%' },
+ *       },
+ *   }
+ *
+ * Sizes are bytes (number) or strings with a `B`, `KB` or `MB` unit (1024-based,
+ * like the size report). Deltas may also be a percentage of the previous size.
+ *
+ * @module bundle/service/budgets
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import { formatBytes } from './reporter.js';
+
+/**
+ * Formats a budget can limit.
+ * @type {string[]}
+ */
+export const BUDGET_FORMATS = ['raw', 'gzip', 'brotli', 'zstd'];
+
+/**
+ * Budget limit kinds.
+ * @type {string[]}
+ */
+export const BUDGET_KINDS = ['max', 'maxDelta'];
+
+const UNITS = { B: 1, KB: 1024, MB: 1024 * 1024 };
+
+/**
+ * @typedef {Object} BudgetViolation
+ * @property {string} bundle - Bundle name.
+ * @property {string} format - `raw`, `gzip`, `brotli` or `zstd`.
+ * @property {'max'|'maxDelta'} kind - Which limit was exceeded.
+ * @property {number} limit - Limit in bytes (resolved from a percentage for deltas).
+ * @property {number} actual - New size (`max`) or growth (`maxDelta`), in bytes.
+ * @property {number|null} previous - Size in the live build, when known.
+ */
+
+/**
+ * Parses a size limit.
+ *
+ * @param {number|string} value - e.g. `153600`, `'150 KB'`, `'1.5MB'`.
+ * @returns {number|null} Bytes, or null when the value is not a valid size.
+ */
+export const parseSize = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)?$/i);
+    return match ? Math.round(Number(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]) : null;
+};
+
+/**
+ * Parses a delta limit: a size, or a percentage of the previous size.
+ *
+ * @param {number|string} value - e.g. `'10 KB'` or `'5%'`.
+ * @param {number} previous - Previous size in bytes.
+ * @returns {number|null} Bytes, or null when the value is invalid.
+ */
+const parseDelta = (value, previous) => {
+    const percent = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*%$/);
+    return percent ? Math.round((previous * Number(percent[1])) / 100) : parseSize(value);
+};
+
+/**
+ * Checks whether a value is a valid budget limit.
+ *
+ * @param {unknown} value
+ * @param {'max'|'maxDelta'} kind
+ * @returns {boolean}
+ */
+export const isValidLimit = (value, kind) =>
+    parseSize(value) !== null || (kind === 'maxDelta' && typeof value === 'string' && /^\s*\d+(\.\d+)?\s*%$/.test(value));
+
+/**
+ * Merges the `'*'` entry under the entry of a bundle.
+ *
+ * @param {Object} budgets - The `budgets` config section.
+ * @param {string} bundleName
+ * @returns {{max: Object, maxDelta: Object}}
+ */
+const budgetFor = (budgets, bundleName) => {
+    const wildcard = budgets['*'] || {};
+    const named = budgets[bundleName] || {};
+    return {
+        max: { ...wildcard.max, ...named.max },
+        maxDelta: { ...wildcard.maxDelta, ...named.maxDelta },
+    };
+};
+
+/**
+ * Compares bundle sizes against the budgets.
+ *
+ * @param {Object} budgets - The `budgets` config section.
+ * @param {Array<{name: string, sizes: Object|null}>} bundleResults - Built bundles.
+ * @param {Map<string, Object>} previousSizes - Sizes of the live build, by bundle name.
+ * @returns {BudgetViolation[]}
+ */
+export const checkBudgets = (budgets, bundleResults, previousSizes) => {
+    /** @type {BudgetViolation[]} */
+    const violations = [];
+
+    for (const { name, sizes } of bundleResults) {
+        if (!sizes) continue;
+
+        const budget = budgetFor(budgets, name);
+        const previous = previousSizes.get(name) || null;
+
+        for (const format of BUDGET_FORMATS) {
+            const max = budget.max[format] === undefined ? null : parseSize(budget.max[format]);
+            if (max !== null && sizes[format] > max) {
+                violations.push({
+                    bundle: name, format, kind: 'max', limit: max, actual: sizes[format], previous: previous?.[format] ?? null,
+                });
+            }
+
+            if (budget.maxDelta[format] === undefined || !previous) continue;
+
+            const limit = parseDelta(budget.maxDelta[format], previous[format]);
+            const growth = sizes[format] - previous[format];
+            if (limit !== null && growth > limit) {
+                violations.push({
+                    bundle: name, format, kind: 'maxDelta', limit, actual: growth, previous: previous[format],
+                });
+            }
+        }
+    }
+
+    return violations;
+};
+
+/**
+ * Formats a violation as a single log line.
+ *
+ * @param {BudgetViolation} v
+ * @returns {string}
+ */
+export const formatViolation = (v) => (v.kind === 'max'
+    ? `[${v.bundle}] ${v.format} ${formatBytes(v.actual)} exceeds the ${formatBytes(v.limit)} budget.`
+    : `[${v.bundle}] ${v.format} grew by ${formatBytes(v.actual)} (${formatBytes(v.previous)} → ${formatBytes(v.previous + v.actual)}), above the allowed ${formatBytes(v.limit)}.`);
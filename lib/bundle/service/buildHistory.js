@@ -0,0 +1,265 @@
+/**
+ * @file lib/bundle/service/buildHistory.js
+ * @description Keeps the last builds of each locale so `magepack rollback` can restore them.
+ *
+ * After each successful swap, the live build is recorded in
+ * `{localePath}/.magepack-history/{id}/`:
+ * ```
+ * manifest.json           Bundles, exact require.config blocks, SRI entries
+ * magepack/               Hardlinks to the bundle files (.js, .gz, .br, .zst, .map)
+ * .magepack-cache.json    Bundle cache and build stats matching these files,
+ * .magepack-stats.json    restored with them so the next build compares correctly
+ * ```
+ *
+ * Bundle files are never modified in place (every build writes new files and
+ * renames the directory), so hardlinks cost no extra space while a build is
+ * live. `current` holds the id of the live build; the oldest builds beyond the
+ * configured count are deleted.
+ *
+ * @module bundle/service/buildHistory
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import consola from 'consola';
+import { PATHS, FILES } from '../../utils/constants.js';
+import { CACHE_FILENAME } from './bundleCache.js';
+import { STATS_FILENAME } from './buildStats.js';
+import { readRequireConfigBlocks } from './configInjector.js';
+import { generateSriHash } from './sriUpdater.js';
+
+export const HISTORY_DIRNAME = '.magepack-history';
+
+/**
+ * Builds kept per locale when `keepBuilds` is not set.
+ * @type {number}
+ */
+export const DEFAULT_KEEP_BUILDS = 3;
+
+const MANIFEST_FILENAME = 'manifest.json';
+const CURRENT_FILENAME = 'current';
+
+/**
+ * Locale state files stored alongside the bundles of each build.
+ * @type {string[]}
+ */
+const STATE_FILES = [CACHE_FILENAME, STATS_FILENAME];
+
+/**
+ * @typedef {Object} BuildManifest
+ * @property {string} id - Sortable build id (ISO date with `-` separators).
+ * @property {string} createdAt - ISO date of the build.
+ * @property {boolean} minify - Whether the bundles are minified.
+ * @property {Array<{name: string, modules: string[]}>} bundles - Bundles and their final module lists.
+ * @property {Object<string, string|null>} requireConfig - Injected Magepack block by config file name.
+ * @property {Object<string, string>} sri - `sri-hashes.json` entries of the bundle and config files.
+ */
+
+/**
+ * Hardlinks (or copies, where hardlinks are refused) every file of a directory.
+ *
+ * @param {string} srcDir
+ * @param {string} destDir - Created if needed.
+ * @returns {Promise<string[]>} The linked file names.
+ */
+const linkDirectory = async (srcDir, destDir) => {
+    await fs.mkdir(destDir, { recursive: true });
+    const fileNames = await fs.readdir(srcDir);
+
+    await Promise.all(fileNames.map(async (fileName) => {
+        const src = path.join(srcDir, fileName);
+        const dest = path.join(destDir, fileName);
+        try {
+            await fs.link(src, dest);
+        } catch {
+            await fs.copyFile(src, dest);
+        }
+    }));
+
+    return fileNames;
+};
+
+/**
+ * Lists the recorded builds of a locale.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @returns {Promise<{current: string|null, builds: BuildManifest[]}>} Builds newest first.
+ */
+export const listBuilds = async (localePath) => {
+    const historyDir = path.join(localePath, HISTORY_DIRNAME);
+
+    let names;
+    try {
+        names = await fs.readdir(historyDir);
+    } catch {
+        return { current: null, builds: [] };
+    }
+
+    const builds = [];
+    for (const name of names.sort().reverse()) {
+        try {
+            builds.push(JSON.parse(await fs.readFile(path.join(historyDir, name, MANIFEST_FILENAME), 'utf8')));
+        } catch {
+            // Not a build (the `current` file, or an incomplete entry).
+        }
+    }
+
+    const current = (await fs.readFile(path.join(historyDir, CURRENT_FILENAME), 'utf8').catch(() => '')).trim() || null;
+    return { current, builds };
+};
+
+/**
+ * Records the live build of a locale and deletes the builds beyond `keep`.
+ *
+ * Failures are logged as warnings: history never fails a build.
+ *
+ * @async
+ * @param {string} localePath - Absolute locale path.
+ * @param {string} localeKey - `sri-hashes.json` key prefix (`frontend/Vendor/Theme/code`).
+ * @param {Object} build
+ * @param {Array<{name: string, modules: Object}>} build.bundles - Bundles with their pruned module maps.
+ * @param {boolean} build.isMinifyOn - Whether the bundles are minified.
+ * @param {number} keep - Number of builds to keep (>= 1).
+ * @returns {Promise<string|null>} The id of the recorded build, `null` on failure.
+ */
+export const recordBuild = async (localePath, localeKey, { bundles, isMinifyOn }, keep) => {
+    const historyDir = path.join(localePath, HISTORY_DIRNAME);
+    const id = new Date().toISOString().replace(/[:.]/g, '-');
+    const entryDir = path.join(historyDir, id);
+    const tmpDir = `${entryDir}.tmp`;
+
+    try {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+        const fileNames = await linkDirectory(path.join(localePath, PATHS.MAGEPACK_DIR), path.join(tmpDir, PATHS.MAGEPACK_DIR));
+
+        await Promise.all(STATE_FILES.map((fileName) =>
+            fs.copyFile(path.join(localePath, fileName), path.join(tmpDir, fileName)).catch(() => {})
+        ));
+
+        // Same entries as sriUpdater: primary bundle files and both RequireJS configs.
+        const sri = {};
+        const hashed = [
+            ...fileNames.filter((f) => f.endsWith('.js')).map((f) => [`${PATHS.MAGEPACK_DIR}/${f}`, path.join(tmpDir, PATHS.MAGEPACK_DIR, f)]),
+            ...[FILES.REQUIREJS_CONFIG, FILES.REQUIREJS_CONFIG_MIN].map((f) => [f, path.join(localePath, f)]),
+        ];
+        for (const [relPath, filePath] of hashed) {
+            const buffer = await fs.readFile(filePath).catch(() => null);
+            if (buffer) sri[`${localeKey}/${relPath}`] = generateSriHash(buffer);
+        }
+
+        /** @type {BuildManifest} */
+        const manifest = {
+            id,
+            createdAt: new Date().toISOString(),
+            minify: isMinifyOn,
+            bundles: bundles.map((bundle) => ({ name: bundle.name, modules: Object.keys(bundle.modules) })),
+            requireConfig: await readRequireConfigBlocks(localePath),
+            sri,
+        };
+        await fs.writeFile(path.join(tmpDir, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2), 'utf8');
+
+        await fs.rename(tmpDir, entryDir);
+        await fs.writeFile(path.join(historyDir, CURRENT_FILENAME), id, 'utf8');
+
+        const { builds } = await listBuilds(localePath);
+        for (const old of builds.slice(keep)) {
+            await fs.rm(path.join(historyDir, old.id), { recursive: true, force: true });
+        }
+
+        return id;
+    } catch (e) {
+        consola.warn(`⚠️  Could not record the build history in ${historyDir}: ${e.message}`);
+        await fs.rm(tmpDir, { recursive: true, force: true });
+        return null;
+    }
+};
+
+/**
+ * Checks the bundle files of a directory against the SRI hashes recorded with a build.
+ *
+ * @async
+ * @param {string} dir - Directory holding the bundle files (`magepack/` or a staging directory).
+ * @param {BuildManifest} manifest - The recorded build.
+ * @returns {Promise<string|null>} The first missing or different file, `null` if all match.
+ */
+export const findMismatchedFile = async (dir, manifest) => {
+    const prefix = `/${PATHS.MAGEPACK_DIR}/`;
+
+    for (const [key, hash] of Object.entries(manifest.sri)) {
+        if (!key.includes(prefix)) continue;
+
+        const fileName = key.slice(key.lastIndexOf(prefix) + prefix.length);
+        const buffer = await fs.readFile(path.join(dir, fileName)).catch(() => null);
+        if (!buffer || generateSriHash(buffer) !== hash) {
+            return fileName;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Links the bundle files of a recorded build into a staging directory and
+ * checks them against the SRI hashes recorded with the build.
+ *
+ * @async
+ * @param {string} localePath - Absolute locale path.
+ * @param {BuildManifest} manifest - The build to stage.
+ * @param {string} stagingDir - Destination (created if needed).
+ * @returns {Promise<void>}
+ * @throws {Error} If a bundle file no longer matches its recorded hash.
+ */
+export const stageBuild = async (localePath, manifest, stagingDir) => {
+    await linkDirectory(path.join(localePath, HISTORY_DIRNAME, manifest.id, PATHS.MAGEPACK_DIR), stagingDir);
+
+    const mismatch = await findMismatchedFile(stagingDir, manifest);
+    if (mismatch) {
+        throw new Error(`Recorded build ${manifest.id} is corrupted: ${mismatch} does not match its SRI hash.`);
+    }
+};
+
+/**
+ * Restores the bundle cache and build stats recorded with a build, and marks
+ * it as the live build. Call once the build has been swapped in.
+ *
+ * @async
+ * @param {string} localePath - Absolute locale path.
+ * @param {BuildManifest} manifest - The restored build.
+ * @returns {Promise<void>}
+ */
+export const markRestored = async (localePath, manifest) => {
+    const historyDir = path.join(localePath, HISTORY_DIRNAME);
+
+    await Promise.all(STATE_FILES.map(async (fileName) => {
+        try {
+            await fs.copyFile(path.join(historyDir, manifest.id, fileName), path.join(localePath, fileName));
+        } catch {
+            // Not recorded: the next build starts without it.
+            await fs.rm(path.join(localePath, fileName), { force: true });
+        }
+    }));
+
+    await fs.writeFile(path.join(historyDir, CURRENT_FILENAME), manifest.id, 'utf8');
+};
+
+/**
+ * Deletes the entries of builds whose recording was interrupted.
+ *
+ * @async
+ * @param {string} localePath - Absolute locale path.
+ * @param {boolean} [dryRun=false] - Only count the entries, without deleting them.
+ * @returns {Promise<number>} The number of deleted (or, in a dry run, deletable) entries.
+ */
+export const removeIncompleteEntries = async (localePath, dryRun = false) => {
+    const historyDir = path.join(localePath, HISTORY_DIRNAME);
+    const names = await fs.readdir(historyDir).catch(() => []);
+    const incomplete = names.filter((name) => name.endsWith('.tmp'));
+
+    if (dryRun) return incomplete.length;
+    await Promise.all(incomplete.map((name) => fs.rm(path.join(historyDir, name), { recursive: true, force: true })));
+    return incomplete.length;
+};
@@ -0,0 +1,193 @@
+/**
+ * @file lib/bundle/service/buildReport.js
+ * @description Writes machine-readable build reports (`--report json|junit`).
+ *
+ * The JSON report is meant for graphing bundle weight over time; the JUnit
+ * report lets CI systems display each bundle as a test case and each failed
+ * locale as a failure. Both are derived from the `BundleRunResult` returned by
+ * `lib/bundle.js`, and are written even when the build fails.
+ *
+ * @module bundle/service/buildReport
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import consola from 'consola';
+import { ConfigError } from '../../utils/errors.js';
+
+const { version } = createRequire(import.meta.url)('../../../package.json');
+
+/**
+ * Report file names, by format.
+ * @type {Object<string, string>}
+ */
+export const REPORT_FILES = {
+    json: 'magepack-report.json',
+    junit: 'magepack-report.xml',
+};
+
+/**
+ * Converts the in-memory result into a plain, portable report object.
+ * Paths are made relative to the static directory so reports from different
+ * machines can be compared.
+ *
+ * @param {import('../../bundle.js').BundleRunResult} result
+ * @returns {Object}
+ */
+export const buildJsonReport = (result) => {
+    const locales = result.locales.map((l) => ({
+        locale: `${l.locale.vendor}/${l.locale.name}/${l.locale.code}`,
+        theme: `${l.locale.vendor}/${l.locale.name}`,
+        code: l.locale.code,
+        status: l.status,
+        duration: l.duration ?? null,
+        ...(l.error ? { error: l.error.message ?? String(l.error) } : {}),
+        budgetViolations: l.budgetViolations || [],
+        diff: l.diff ?? null,
+        bundles: (l.bundles || []).map((b) => ({
+            name: b.name,
+            file: b.file ? path.relative(result.staticDir, b.file).split(path.sep).join('/') : null,
+            cache: b.cached ? 'hit' : b.sharedFrom ? 'shared' : 'miss',
+            ...(b.sharedFrom ? { sharedFrom: b.sharedFrom } : {}),
+            duration: b.duration ?? null,
+            moduleCount: b.moduleCount,
+            prunedModules: b.missingModules,
+            absorbedMixins: b.absorbedMixins,
+            sizes: b.sizes,
+            heaviestModules: b.heaviestModules || [],
+            ...(b.invalid ? { invalid: b.invalid } : {}),
+        })),
+    }));
+
+    const allBundles = locales.flatMap((l) => l.bundles);
+
+    return {
+        magepackVersion: version,
+        generatedAt: new Date().toISOString(),
+        success: locales.every((l) => l.status === 'success'),
+        duration: result.duration,
+        totals: {
+            locales: locales.length,
+            failedLocales: locales.filter((l) => l.status !== 'success').length,
+            budgetViolations: locales.reduce((sum, l) => sum + l.budgetViolations.length, 0),
+            bundles: allBundles.length,
+            cacheHits: allBundles.filter((b) => b.cache === 'hit').length,
+            sizes: ['raw', 'gzip', 'brotli', 'zstd'].reduce((totals, key) => {
+                totals[key] = allBundles.reduce((sum, b) => sum + (b.sizes?.[key] || 0), 0);
+                return totals;
+            }, {}),
+        },
+        locales,
+    };
+};
+
+/**
+ * Escapes a string for use in XML text and attribute values.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+const xml = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * Renders a JSON report as JUnit XML: one `<testsuite>` per locale, one
+ * `<testcase>` per bundle, and a failing test case for a failed locale.
+ *
+ * @param {Object} report - Output of `buildJsonReport`.
+ * @returns {string}
+ */
+export const renderJunitReport = (report) => {
+    const suites = report.locales.map((l) => {
+        const cases = l.bundles.map((b) => {
+            const details = [
+                `cache=${b.cache}`,
+                `modules=${b.moduleCount}`,
+                `pruned=${b.prunedModules.length}`,
+                `absorbedMixins=${b.absorbedMixins.length}`,
+                ...(b.sizes ? Object.entries(b.sizes).map(([k, v]) => `${k}=${v}`) : []),
+            ].join(' ');
+
+            return `    <testcase classname="${xml(l.locale)}" name="${xml(b.name)}" time="${b.duration ?? 0}">\n` +
+                `      <system-out>${xml(details)}</system-out>\n` +
+                '    </testcase>';
+        });
+
+        if (l.status !== 'success') {
+            cases.push(
+                `    <testcase classname="${xml(l.locale)}" name="build" time="${l.duration ?? 0}">\n` +
+                `      <failure message="${xml(l.error || 'Locale build failed')}"/>\n` +
+                '    </testcase>'
+            );
+        }
+
+        return `  <testsuite name="${xml(l.locale)}" tests="${cases.length}" failures="${l.status === 'success' ? 0 : 1}" time="${l.duration ?? 0}">\n` +
+            `${cases.join('\n')}\n` +
+            '  </testsuite>';
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="magepack" tests="${report.totals.bundles + report.totals.failedLocales}" failures="${report.totals.failedLocales}" time="${report.duration}">\n` +
+        `${suites.join('\n')}\n` +
+        '</testsuites>\n';
+};
+
+/**
+ * Normalizes the `--report` option into a list of formats.
+ *
+ * @param {string|string[]|undefined} value - e.g. `'json'`, `['json', 'junit']` or `'json,junit'`.
+ * @returns {string[]}
+ * @throws {ConfigError} On an unknown format.
+ */
+export const parseReportFormats = (value) => {
+    const formats = [...new Set(
+        (Array.isArray(value) ? value : [value])
+            .filter(Boolean)
+            .flatMap((v) => String(v).split(','))
+            .map((v) => v.trim().toLowerCase())
+            .filter(Boolean)
+    )];
+
+    const unknown = formats.filter((f) => !REPORT_FILES[f]);
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown report format(s): ${unknown.join(', ')}. Expected: ${Object.keys(REPORT_FILES).join(', ')}.`);
+    }
+
+    return formats;
+};
+
+/**
+ * Writes the requested reports.
+ *
+ * @async
+ * @param {import('../../bundle.js').BundleRunResult} result - The build result.
+ * @param {string[]} formats - From `parseReportFormats`.
+ * @param {string} reportDir - Absolute directory to write the reports to.
+ * @returns {Promise<string[]>} Absolute paths of the written files.
+ */
+export const writeBuildReports = async (result, formats, reportDir) => {
+    if (formats.length === 0) return [];
+
+    const report = buildJsonReport(result);
+    await fs.mkdir(reportDir, { recursive: true });
+
+    return Promise.all(formats.map(async (format) => {
+        const filePath = path.join(reportDir, REPORT_FILES[format]);
+        const content = format === 'junit'
+            ? renderJunitReport(report)
+            : `${JSON.stringify(report, null, 2)}\n`;
+
+        await fs.writeFile(filePath, content);
+        consola.info(`🧾 ${format.toUpperCase()} build report written to ${filePath}`);
+        return filePath;
+    }));
+};
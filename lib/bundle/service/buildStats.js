@@ -0,0 +1,260 @@
+/**
+ * @file lib/bundle/service/buildStats.js
+ * @description Build-over-build comparison of bundle sizes and module placement.
+ *
+ * After each successful swap, the sizes and the final module list of every
+ * bundle are persisted next to the bundle cache, so the next build can report
+ * what changed between two deployments: bundles that grew or shrank, bundles
+ * added or removed, and modules added, removed or moved between bundles.
+ *
+ * Stats file location: `{localePath}/.magepack-stats.json`
+ *
+ * Stats shape:
+ * ```json
+ * {
+ *   "generatedAt": "2026-05-04T09:12:00.000Z",
+ *   "bundles": {
+ *     "common": {
+ *       "sizes": { "raw": 412000, "gzip": 98000, "brotli": 84000, "zstd": 90000 },
+ *       "modules": ["jquery", "mage/cookies", ...],
+ *       "composition": [{ "id": "jquery", "raw": 289000, "minified": 89000 }, ...]
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * Module lists are recorded after ghost-module pruning and mixin absorption,
+ * i.e. exactly what the bundle ships. `composition` is the per-module size
+ * breakdown from `processBundle`, read by `magepack analyze`. The stats are kept
+ * separate from `.magepack-cache.json` because they must survive cache invalidation.
+ *
+ * @module bundle/service/buildStats
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import consola from 'consola';
+import { formatBytes } from './reporter.js';
+
+export const STATS_FILENAME = '.magepack-stats.json';
+
+/**
+ * @typedef {Object} BuildStats
+ * @property {string} generatedAt - ISO date of the build.
+ * @property {Object<string, {sizes: Object|null, modules: string[], composition: Array<Object>|null}>} bundles -
+ *   Per-bundle stats.
+ */
+
+/**
+ * @typedef {Object} BundleSizeChange
+ * @property {string} bundle - Bundle name.
+ * @property {'added'|'removed'|'grew'|'shrank'} change - Kind of change.
+ * @property {Object|null} previous - Previous sizes (`null` for an added bundle).
+ * @property {Object|null} current - New sizes (`null` for a removed bundle).
+ * @property {Object<string, number>} delta - Size difference per format, in bytes.
+ */
+
+/**
+ * @typedef {Object} StatsDiff
+ * @property {string|null} since - `generatedAt` of the previous build, `null` on the first build.
+ * @property {BundleSizeChange[]} bundles - Bundles whose size changed.
+ * @property {Array<{module: string, bundles: string[]}>} addedModules - Modules new to the build.
+ * @property {Array<{module: string, bundles: string[]}>} removedModules - Modules no longer bundled.
+ * @property {Array<{module: string, from: string[], to: string[]}>} movedModules -
+ *   Modules still bundled, but in different bundles.
+ */
+
+/**
+ * Loads the stats of the previous build.
+ *
+ * @param {string} localePath - Absolute path to the locale's static directory.
+ * @returns {Promise<BuildStats|null>} Null on the first build or an unreadable file.
+ */
+export const loadStats = async (localePath) => {
+    try {
+        const stats = JSON.parse(await fs.readFile(path.join(localePath, STATS_FILENAME), 'utf8'));
+        return stats && typeof stats.bundles === 'object' ? stats : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Persists the stats of the current build. Failures only warn: the next build
+ * simply has nothing to compare against.
+ *
+ * @param {string} localePath - Absolute path to the locale's static directory.
+ * @param {BuildStats} stats
+ * @returns {Promise<void>}
+ */
+export const saveStats = async (localePath, stats) => {
+    const statsPath = path.join(localePath, STATS_FILENAME);
+    try {
+        await fs.writeFile(statsPath, JSON.stringify(stats, null, 2), 'utf8');
+    } catch (e) {
+        consola.warn(`⚠️  Could not write build stats at ${statsPath}: ${e.message}`);
+    }
+};
+
+/**
+ * Collects the stats of a finished locale build.
+ *
+ * @param {Array<{name: string, sizes: Object|null, composition: Array<Object>|null}>} bundleResults -
+ *   Built bundles.
+ * @param {Array<{name: string, modules: Object<string, string>}>} bundles - The locale's
+ *   bundle definitions, after pruning by the processor (or the cache restore).
+ * @returns {BuildStats}
+ */
+export const collectStats = (bundleResults, bundles) => {
+    const resultsByName = new Map(bundleResults.map((r) => [r.name, r]));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        bundles: Object.fromEntries(bundles.map((bundle) => [bundle.name, {
+            sizes: resultsByName.get(bundle.name)?.sizes || null,
+            modules: Object.keys(bundle.modules).sort(),
+            composition: resultsByName.get(bundle.name)?.composition || null,
+        }])),
+    };
+};
+
+/**
+ * Maps each module ID to the sorted names of the bundles that contain it.
+ *
+ * @param {BuildStats} stats
+ * @returns {Map<string, string[]>}
+ */
+const indexModules = (stats) => {
+    const index = new Map();
+    for (const [name, { modules }] of Object.entries(stats.bundles)) {
+        for (const moduleName of modules || []) {
+            index.set(moduleName, [...(index.get(moduleName) || []), name].sort());
+        }
+    }
+    return index;
+};
+
+/**
+ * Compares two builds.
+ *
+ * @param {BuildStats|null} previous - Stats of the previous build.
+ * @param {BuildStats} current - Stats of this build.
+ * @returns {StatsDiff|null} Null when there is no previous build to compare with.
+ */
+export const diffStats = (previous, current) => {
+    if (!previous) return null;
+
+    const formats = ['raw', 'gzip', 'brotli', 'zstd'];
+    const names = [...new Set([...Object.keys(previous.bundles), ...Object.keys(current.bundles)])].sort();
+
+    /** @type {BundleSizeChange[]} */
+    const bundles = [];
+    for (const name of names) {
+        const before = previous.bundles[name]?.sizes ?? null;
+        const after = current.bundles[name]?.sizes ?? null;
+        if (!before && !after) continue;
+
+        const delta = Object.fromEntries(formats.map((f) => [f, (after?.[f] || 0) - (before?.[f] || 0)]));
+
+        let change;
+        if (!(name in previous.bundles)) change = 'added';
+        else if (!(name in current.bundles)) change = 'removed';
+        else if (delta.raw > 0) change = 'grew';
+        else if (delta.raw < 0) change = 'shrank';
+        else continue;
+
+        bundles.push({ bundle: name, change, previous: before, current: after, delta });
+    }
+
+    const before = indexModules(previous);
+    const after = indexModules(current);
+
+    const addedModules = [];
+    const movedModules = [];
+    for (const [moduleName, to] of after) {
+        const from = before.get(moduleName);
+        if (!from) {
+            addedModules.push({ module: moduleName, bundles: to });
+        } else if (from.join() !== to.join()) {
+            movedModules.push({ module: moduleName, from, to });
+        }
+    }
+
+    const removedModules = [...before]
+        .filter(([moduleName]) => !after.has(moduleName))
+        .map(([moduleName, bundleNames]) => ({ module: moduleName, bundles: bundleNames }));
+
+    const byModule = (a, b) => a.module.localeCompare(b.module);
+
+    return {
+        since: previous.generatedAt ?? null,
+        bundles,
+        addedModules: addedModules.sort(byModule),
+        removedModules: removedModules.sort(byModule),
+        movedModules: movedModules.sort(byModule),
+    };
+};
+
+/**
+ * Returns true when a diff contains at least one change.
+ *
+ * @param {StatsDiff|null} diff
+ * @returns {boolean}
+ */
+export const hasChanges = (diff) => Boolean(diff) && (
+    diff.bundles.length + diff.addedModules.length + diff.removedModules.length + diff.movedModules.length > 0
+);
+
+/**
+ * Formats a signed byte difference (`+2.9 KB`, `-512 B`).
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatDelta = (bytes) => `${bytes < 0 ? '-' : '+'}${formatBytes(Math.abs(bytes))}`;
+
+/**
+ * Prints the diff of a locale.
+ *
+ * @param {string} label - Locale display label.
+ * @param {StatsDiff|null} diff
+ * @param {number} [maxModules=20] - Maximum modules listed per category; the rest are counted.
+ * @returns {void}
+ */
+export const printStatsDiff = (label, diff, maxModules = 20) => {
+    if (!diff) {
+        consola.info(`📊 ${label}: first build, nothing to compare with.`);
+        return;
+    }
+    if (!hasChanges(diff)) {
+        consola.info(`📊 ${label}: no bundle or module changes since the previous build.`);
+        return;
+    }
+
+    consola.info(`📊 ${label}: changes since the build of ${diff.since}`);
+
+    const icons = { added: '🆕', removed: '🗑️', grew: '📈', shrank: '📉' };
+    diff.bundles.forEach((b) => {
+        const detail = b.change === 'added' || b.change === 'removed'
+            ? `${formatBytes((b.current || b.previous).raw)} raw, ${formatBytes((b.current || b.previous).gzip)} gzip`
+            : `${formatDelta(b.delta.raw)} raw (${formatBytes(b.previous.raw)} → ${formatBytes(b.current.raw)}), ${formatDelta(b.delta.gzip)} gzip`;
+        consola.info(`   ${icons[b.change]} [${b.bundle}] ${b.change}: ${detail}`);
+    });
+
+    const list = (title, entries, describe) => {
+        if (entries.length === 0) return;
+        consola.info(`   ${title} (${entries.length}):`);
+        entries.slice(0, maxModules).forEach((entry) => consola.info(`      ${describe(entry)}`));
+        if (entries.length > maxModules) {
+            consola.info(`      … and ${entries.length - maxModules} more.`);
+        }
+    };
+
+    list('➕ Modules added', diff.addedModules, (m) => `${m.module} → ${m.bundles.join(', ')}`);
+    list('➖ Modules removed', diff.removedModules, (m) => `${m.module} (was in ${m.bundles.join(', ')})`);
+    list('🔀 Modules moved', diff.movedModules, (m) => `${m.module}: ${m.from.join(', ')} → ${m.to.join(', ')}`);
+};
@@ -2,10 +2,11 @@
  * @file lib/bundle/service/bundleCache.js
  * @description Incremental bundle cache using content-addressable hashing.
  *
- * Skips re-processing unchanged bundles by hashing the module map and build
- * options. On a cache hit, bundle files are copied from the previous `magepack/`
- * output into the new `magepack_build/` directory, avoiding costly Terser +
- * compression work for unmodified bundles.
+ * Skips re-processing unchanged bundles by hashing the module map, the content
+ * of every module file, the bundle's mixin map and the Terser option set. On a
+ * cache hit, bundle files are copied from the previous `magepack/` output into
+ * the new `magepack_build/` directory, avoiding costly Terser + compression work
+ * for unmodified bundles.
  *
  * Cache file location: `{localePath}/.magepack-cache.json`
  *
@@ -14,7 +15,11 @@
  * {
  *   "vendor": {
  *     "hash": "a1b2c3d4e5f6a7b8",
- *     "moduleKeys": ["jquery/jquery", "underscore", ...]
+ *     "moduleKeys": ["jquery/jquery", "underscore", ...],
+ *     "builtAt": "2026-05-04T09:12:00.000Z",
+ *     "files": {
+ *       "jquery/jquery": { "path": "jquery/jquery.js", "size": 89476, "mtimeMs": 1712000000000, "hash": "9f86d081..." }
+ *     }
  *   }
  * }
  * ```
@@ -25,8 +30,22 @@
  * `require.config({bundles:…})` declaration as the previous build without
  * re-running the full pipeline.
  *
+ * `builtAt` is the date the bundle was last actually built; restoring it from
+ * cache keeps the original date (`magepack cache status` reports its age).
+ *
+ * `files` stores one content fingerprint per module (`null` for modules missing
+ * on disk). The `size` and `mtimeMs` fields act as a cheap pre-check: a file
+ * whose resolved path, size and mtime are unchanged reuses its previous content
+ * hash instead of being read and rehashed.
+ *
  * @module bundle/service/bundleCache
  * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: The cache key now includes per-file content fingerprints, the
+ *     bundle's mixin map and the resolved Terser option set. Previously only the
+ *     module ID → path map was hashed, so a deploy that changed a module's source
+ *     without touching the config restored a stale bundle from cache.
  */
 
 import fs from 'node:fs/promises';
@@ -34,8 +53,93 @@ import path from 'node:path';
 import crypto from 'node:crypto';
 import consola from 'consola';
 import { PATHS } from '../../utils/constants.js';
+import { resolveFile } from '../processor.js';
+
+export const CACHE_FILENAME = '.magepack-cache.json';
+
+/**
+ * Number of module files stat'ed / hashed concurrently while fingerprinting.
+ * Mirrors the default read batch size of the processor to stay clear of EMFILE.
+ *
+ * @type {number}
+ */
+const FINGERPRINT_BATCH_SIZE = 50;
+
+/**
+ * @typedef {Object} FileFingerprint
+ * @property {string} path - Resolved file path, relative to the locale directory.
+ * @property {number} size - File size in bytes.
+ * @property {number} mtimeMs - Last modification time in milliseconds.
+ * @property {string} hash - SHA-256 hex digest of the file content.
+ */
+
+/**
+ * Fingerprints every module file of a bundle.
+ *
+ * Files are resolved exactly as `processBundle` resolves them (version map +
+ * `.js` / `.min.js` fallback). For each resolved file, the previous fingerprint
+ * is reused when its path, size and mtime all match; otherwise the file is read
+ * and its content rehashed. Modules missing on disk are recorded as `null`, so
+ * a module appearing (or disappearing) between builds also invalidates the cache.
+ *
+ * @async
+ * @param {Object} bundle - The bundle configuration object.
+ * @param {Object<string, string>} bundle.modules - Map of module IDs to file paths.
+ * @param {string} localePath - Absolute path to the locale's static directory.
+ * @param {boolean} isMinifyOn - Whether minification is enabled for this locale.
+ * @param {function(string): string} resolveMap - Path resolver from `createPathResolver`.
+ * @param {Object<string, FileFingerprint|null>} [previousFiles={}] - Fingerprints stored
+ *   by the previous build for this bundle.
+ * @returns {Promise<Object<string, FileFingerprint|null>>} Fingerprints keyed by module ID.
+ */
+export const fingerprintBundleFiles = async (bundle, localePath, isMinifyOn, resolveMap, previousFiles = {}) => {
+    const moduleNames = Object.keys(bundle.modules || {}).sort();
+
+    /** @type {Object<string, FileFingerprint|null>} */
+    const fingerprints = {};
+
+    for (let i = 0; i < moduleNames.length; i += FINGERPRINT_BATCH_SIZE) {
+        const chunk = moduleNames.slice(i, i + FINGERPRINT_BATCH_SIZE);
+
+        await Promise.all(chunk.map(async (moduleName) => {
+            const mappedPath = resolveMap(bundle.modules[moduleName]);
+            const absPath = await resolveFile(localePath, moduleName, mappedPath, isMinifyOn);
+
+            if (!absPath) {
+                fingerprints[moduleName] = null;
+                return;
+            }
+
+            try {
+                const stat = await fs.stat(absPath);
+                const relPath = path.relative(localePath, absPath);
+                const previous = previousFiles[moduleName];
 
-const CACHE_FILENAME = '.magepack-cache.json';
+                if (
+                    previous &&
+                    previous.path === relPath &&
+                    previous.size === stat.size &&
+                    previous.mtimeMs === stat.mtimeMs
+                ) {
+                    fingerprints[moduleName] = previous;
+                    return;
+                }
+
+                const content = await fs.readFile(absPath);
+                fingerprints[moduleName] = {
+                    path: relPath,
+                    size: stat.size,
+                    mtimeMs: stat.mtimeMs,
+                    hash: crypto.createHash('sha256').update(content).digest('hex'),
+                };
+            } catch {
+                fingerprints[moduleName] = null;
+            }
+        }));
+    }
+
+    return fingerprints;
+};
 
 /**
  * Computes a deterministic 16-char hex hash for a bundle configuration.
@@ -44,26 +148,45 @@ const CACHE_FILENAME = '.magepack-cache.json';
  *   - Sorted module entries (module ID → path pairs)
  *   - Whether minification is active
  *   - The effective Terser strategy ('safe' | 'aggressive' | 'none')
+ *   - The content fingerprint of every module file (see `fingerprintBundleFiles`)
+ *   - The bundle's mixin map (which targets absorb which mixin factories)
+ *   - The resolved Terser option set (`null` when Terser does not run)
  *
- * Any change to the module list, module paths, or build strategy invalidates
- * the cache entry, forcing a full rebuild for that bundle.
+ * Any change to the module list, module paths, module sources, mixin
+ * declarations or build options invalidates the cache entry, forcing a full
+ * rebuild for that bundle.
  *
  * @param {Object} bundle - The bundle configuration object.
  * @param {string} bundle.name - Bundle identifier.
  * @param {Object<string, string>} bundle.modules - Map of module IDs to file paths.
  * @param {boolean} isMinifyOn - Whether minification is enabled for this locale.
  * @param {string} [minifyStrategy='safe'] - Terser strategy ('safe' | 'aggressive').
+ * @param {Object} [inputs={}] - Build inputs that feed the bundle output.
+ * @param {Object<string, FileFingerprint|null>} [inputs.files] - Module file fingerprints.
+ * @param {Map<string, import('./mixinResolver.js').MixinTargetInfo>} [inputs.mixinMap] -
+ *   Mixin map for this bundle.
+ * @param {import('terser').MinifyOptions|null} [inputs.terserOptions] - Resolved Terser options.
  * @returns {string} A 16-character lowercase hex hash.
  */
-export const computeBundleHash = (bundle, isMinifyOn, minifyStrategy = 'safe') => {
+export const computeBundleHash = (bundle, isMinifyOn, minifyStrategy = 'safe', inputs = {}) => {
     const sortedModules = Object.entries(bundle.modules || {})
         .sort(([a], [b]) => a.localeCompare(b));
 
+    const fileHashes = Object.entries(inputs.files || {})
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([moduleName, fingerprint]) => [moduleName, fingerprint ? fingerprint.hash : null]);
+
+    const mixins = [...(inputs.mixinMap || new Map()).entries()]
+        .sort(([a], [b]) => a.localeCompare(b));
+
     const payload = JSON.stringify({
         name: bundle.name,
         modules: sortedModules,
         minify: isMinifyOn,
         strategy: isMinifyOn ? minifyStrategy : 'none',
+        files: fileHashes,
+        mixins,
+        terser: inputs.terserOptions ?? null,
     });
 
     return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
@@ -155,7 +278,7 @@ export const isCacheHit = async (localePath, bundleName, currentHash, isMinifyOn
  * @param {Object} bundle - The bundle configuration object. **Mutated in place** to
  *   restore the previously pruned module list.
  * @param {boolean} isMinifyOn - Whether minification is active.
- * @param {Object} cacheEntry - The cache entry for this bundle (`{ hash, moduleKeys }`).
+ * @param {Object} cacheEntry - The cache entry for this bundle (`{ hash, moduleKeys, files }`).
  * @returns {Promise<void>}
  */
 export const restoreFromCache = async (localePath, buildDir, bundle, isMinifyOn, cacheEntry) => {
@@ -0,0 +1,69 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fingerprintBundleFiles, computeBundleHash, isCacheHit } from './bundleCache.js';
+
+describe('bundleCache', () => {
+    let localePath;
+    const bundle = { name: 'common', modules: { 'Acme_Foo/js/a': 'Acme_Foo/js/a', 'Acme_Foo/js/b': 'Acme_Foo/js/b' } };
+    const resolveMap = (modulePath) => modulePath;
+
+    beforeEach(async () => {
+        localePath = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-cache-'));
+        await fs.mkdir(path.join(localePath, 'Acme_Foo/js'), { recursive: true });
+        await fs.writeFile(path.join(localePath, 'Acme_Foo/js/a.js'), 'define([], function () { return 1; });');
+    });
+
+    afterEach(async () => {
+        await fs.rm(localePath, { recursive: true, force: true });
+    });
+
+    /** Fingerprints the bundle files and hashes the bundle, as `buildLocale` does. */
+    const hashBundle = async (previousFiles, inputs = {}) => {
+        const files = await fingerprintBundleFiles(bundle, localePath, false, resolveMap, previousFiles);
+        return { files, hash: computeBundleHash(bundle, false, 'safe', { files, ...inputs }) };
+    };
+
+    test('keeps the hash when a file is touched without changing', async () => {
+        const first = await hashBundle();
+        const later = new Date(Date.now() + 60 * 1000);
+        await fs.utimes(path.join(localePath, 'Acme_Foo/js/a.js'), later, later);
+
+        expect((await hashBundle(first.files)).hash).toBe(first.hash);
+    });
+
+    test('changes the hash when a module file changes, even with the same size', async () => {
+        const first = await hashBundle();
+        await fs.writeFile(path.join(localePath, 'Acme_Foo/js/a.js'), 'define([], function () { return 2; });');
+
+        expect((await hashBundle(first.files)).hash).not.toBe(first.hash);
+    });
+
+    test('changes the hash when a missing module file appears', async () => {
+        const first = await hashBundle();
+        expect(first.files['Acme_Foo/js/b']).toBeNull();
+
+        await fs.writeFile(path.join(localePath, 'Acme_Foo/js/b.js'), 'define([], function () {});');
+        expect((await hashBundle(first.files)).hash).not.toBe(first.hash);
+    });
+
+    test('changes the hash when the mixins or Terser options change', async () => {
+        const first = await hashBundle();
+        const mixinMap = new Map([['Acme_Foo/js/a', { mixins: ['Acme_Foo/js/a-mixin'] }]]);
+
+        expect((await hashBundle(first.files, { mixinMap })).hash).not.toBe(first.hash);
+        expect((await hashBundle(first.files, { terserOptions: { ecma: 2020 } })).hash).not.toBe(first.hash);
+    });
+
+    test('only hits when the hash matches and the previous output still exists', async () => {
+        const { hash } = await hashBundle();
+        const cache = { common: { hash } };
+
+        expect(await isCacheHit(localePath, 'common', hash, false, cache)).toBe(false);
+
+        await fs.mkdir(path.join(localePath, 'magepack'));
+        await fs.writeFile(path.join(localePath, 'magepack/bundle-common.js'), '');
+        expect(await isCacheHit(localePath, 'common', hash, false, cache)).toBe(true);
+        expect(await isCacheHit(localePath, 'common', 'another', false, cache)).toBe(false);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @file lib/bundle/service/bundleValidator.js
+ * @description Checks each written bundle before it is swapped in.
+ *
+ * A module Terser cannot parse is written raw, and a wrapper can turn an odd
+ * source file (an ES module, a file ending in an unterminated comment...) into
+ * broken code. Either way the bundle used to ship, and nothing noticed until
+ * the storefront threw. Each bundle in `magepack_build/` is now parsed with
+ * acorn as a script at the configured ECMAScript version, and every module ID
+ * the RequireJS config will declare must have a `define('<id>', ...)` call in
+ * it: a declared module without one leaves `require()` waiting forever.
+ *
+ * Bundles are parsed at the latest ECMAScript version acorn supports: Terser's
+ * `ecma` option only bounds the syntax it introduces, and modules keep the
+ * modern syntax they are written in (object spread, optional chaining...).
+ * `ecmaVersion` (`--ecma-version`) sets an explicit ceiling, for storefronts
+ * that must not ship newer syntax.
+ *
+ * @module bundle/service/bundleValidator
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Parses at the latest ECMAScript version by default, instead of the
+ *     Terser `ecma` level of the minification strategy (2017 for "safe"), which
+ *     rejected valid modules using ES2018+ syntax.
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+
+/**
+ * Matches a named `define()` call, to locate the module around a syntax error.
+ * @type {RegExp}
+ */
+const NAMED_DEFINE_PATTERN = /define\(\s*(['"])((?:(?!\1).)+)\1/g;
+
+/**
+ * Resolves the ECMAScript version bundles are parsed at.
+ *
+ * @param {Object} options - Build options.
+ * @param {number|string} [options.ecmaVersion] - Explicit ceiling (e.g. `2020`).
+ * @returns {number|'latest'} The version as a year, or `'latest'` when none is set.
+ */
+export const resolveEcmaVersion = (options) => (
+    options.ecmaVersion === undefined ? 'latest' : Number(options.ecmaVersion)
+);
+
+/**
+ * Finds the module defined last before a position of the bundle.
+ *
+ * @param {string} code - Bundle source.
+ * @param {number} pos - Character offset.
+ * @returns {string|null}
+ */
+const moduleAt = (code, pos) => {
+    let moduleId = null;
+    for (const match of code.slice(0, pos).matchAll(NAMED_DEFINE_PATTERN)) {
+        moduleId = match[2];
+    }
+    return moduleId;
+};
+
+/**
+ * Parses a bundle and checks that it defines every declared module.
+ *
+ * @async
+ * @param {string} filePath - Absolute path of the written bundle.
+ * @param {string[]} moduleIds - Module IDs the RequireJS config will declare for it.
+ * @param {number|'latest'} ecmaVersion - ECMAScript version to parse at (see `resolveEcmaVersion`).
+ * @returns {Promise<string[]>} The problems found (empty when the bundle is valid).
+ *
+ * @example
+ *   await validateBundle('/.../magepack_build/bundle-common.min.js', ['jquery'], 'latest');
+ *   // => ['syntax error in or after module "Vendor_Module/js/broken" (latest ECMAScript): Unexpected token (1:4082)']
+ */
+export const validateBundle = async (filePath, moduleIds, ecmaVersion) => {
+    const code = await fs.readFile(filePath, 'utf8');
+
+    let ast;
+    try {
+        ast = acorn.parse(code, { ecmaVersion, sourceType: 'script' });
+    } catch (e) {
+        const moduleId = typeof e.pos === 'number' ? moduleAt(code, e.pos) : null;
+        const version = ecmaVersion === 'latest' ? 'latest ECMAScript' : `ECMAScript ${ecmaVersion}`;
+        return [`syntax error${moduleId ? ` in or after module "${moduleId}"` : ''} (${version}): ${e.message}`];
+    }
+
+    /** @type {Set<string>} */
+    const defined = new Set();
+
+    walk.simple(ast, {
+        CallExpression(node) {
+            const [id] = node.arguments;
+            if (node.callee.type === 'Identifier' && node.callee.name === 'define'
+                && id?.type === 'Literal' && typeof id.value === 'string') {
+                defined.add(id.value);
+            }
+        },
+    });
+
+    return moduleIds
+        .filter((moduleId) => !defined.has(moduleId))
+        .map((moduleId) => `module "${moduleId}" is declared but has no define('${moduleId}', ...) in the bundle`);
+};
@@ -0,0 +1,57 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { validateBundle, resolveEcmaVersion } from './bundleValidator.js';
+
+describe('bundleValidator', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-validator-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const writeBundle = async (code) => {
+        const filePath = path.join(dir, 'bundle-common.min.js');
+        await fs.writeFile(filePath, code);
+        return filePath;
+    };
+
+    // Object spread (ES2018) and optional chaining (ES2020), kept by Terser whatever its `ecma`.
+    const modern = 'define("a",[],function(){var n={x:1};return{...n,y:n?.x}});';
+
+    test('accepts ES2018+ syntax by default, whatever the minification strategy', async () => {
+        const filePath = await writeBundle(modern);
+
+        for (const minifyStrategy of ['safe', 'aggressive']) {
+            const ecmaVersion = resolveEcmaVersion({ minifyStrategy });
+            expect(ecmaVersion).toBe('latest');
+            expect(await validateBundle(filePath, ['a'], ecmaVersion)).toEqual([]);
+        }
+    });
+
+    test('enforces an explicit --ecma-version ceiling', async () => {
+        const filePath = await writeBundle(modern);
+
+        const [issue] = await validateBundle(filePath, ['a'], resolveEcmaVersion({ ecmaVersion: '2017' }));
+        expect(issue).toMatch(/^syntax error in or after module "a" \(ECMAScript 2017\): /);
+    });
+
+    test('reports a syntax error with the module it is in', async () => {
+        const filePath = await writeBundle('define("a",[],function(){return 1});define("b",[],function(){return (});');
+
+        const [issue] = await validateBundle(filePath, ['a', 'b'], 'latest');
+        expect(issue).toMatch(/^syntax error in or after module "b" \(latest ECMAScript\): Unexpected token/);
+    });
+
+    test('reports declared modules without a define()', async () => {
+        const filePath = await writeBundle('define("a",[],function(){return 1});');
+
+        expect(await validateBundle(filePath, ['a', 'b'], 'latest')).toEqual([
+            'module "b" is declared but has no define(\'b\', ...) in the bundle',
+        ]);
+    });
+});
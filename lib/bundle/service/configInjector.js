@@ -12,6 +12,13 @@
  * @author Amadeco Dev Team
  *
  * @changelog
+ *   - v3.2.0: A config file that cannot be read or written makes `injectRequireConfig`
+ *     and `restoreRequireConfigBlocks` throw (a missing file is still skipped), so
+ *     the caller rolls the locale back instead of shipping bundles without their config.
+ *   - v3.2.0: `buildRequireConfigContent` is exported, and `planRequireConfig` returns
+ *     the blocks `injectRequireConfig` would write (`magepack bundle --dry-run`).
+ *   - v3.2.0: Added `readRequireConfigBlocks` / `restoreRequireConfigBlocks`, used
+ *     by the build history to re-inject the exact block of a previous build.
  *   - v3.0.1: Fixed scope mismatch where the minified `paths` mapping (with `.min`
  *     suffixes) was injected into the non-minified `requirejs-config.js` and vice versa.
  *     The injector now generates two distinct config payloads and writes each only to
@@ -34,6 +41,16 @@ const escapeRegExp = (string) => {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+/**
+ * Builds the pattern matching an injected Magepack block, with its leading newline.
+ *
+ * @returns {RegExp} A global regular expression (create one per use).
+ */
+const magepackBlockPattern = () => new RegExp(
+    `\\n?${escapeRegExp(MARKERS.START)}[\\s\\S]*?${escapeRegExp(MARKERS.END)}`,
+    'g'
+);
+
 /**
  * Generates the content for the RequireJS configuration block.
  *
@@ -52,7 +69,7 @@ const escapeRegExp = (string) => {
  *   buildRequireConfigContent(bundles, true);
  *   // => 'require.config({bundles: {"magepack/bundle-vendor": [...]}, paths: {"magepack/bundle-vendor": "magepack/bundle-vendor.min"}});'
  */
-const buildRequireConfigContent = (config, isMinifyTarget) => {
+export const buildRequireConfigContent = (config, isMinifyTarget) => {
     /** @type {Record<string, string[]>} */
     const bundles = {};
 
@@ -99,6 +116,7 @@ const buildRequireConfigContent = (config, isMinifyTarget) => {
  *   This parameter is preserved for API compatibility but does not affect injection
  *   scope — both files are always processed when they exist.
  * @returns {Promise<void>}
+ * @throws {Error} If an existing config file cannot be read or written.
  */
 export const injectRequireConfig = async (localePath, config, isMinifyOn) => {
     /**
@@ -116,10 +134,7 @@ export const injectRequireConfig = async (localePath, config, isMinifyOn) => {
     ];
 
     // Regex pattern to match and remove existing Magepack injection blocks
-    const cleanRegex = new RegExp(
-        `\\n?${escapeRegExp(MARKERS.START)}[\\s\\S]*?${escapeRegExp(MARKERS.END)}`,
-        'g'
-    );
+    const cleanRegex = magepackBlockPattern();
 
     for (const { fileName, isMinifyTarget } of targets) {
         const mainConfigPath = path.join(localePath, fileName);
@@ -147,9 +162,91 @@ export const injectRequireConfig = async (localePath, config, isMinifyOn) => {
             consola.success(`   ✅ Config injected into: ${label}`);
         } catch (e) {
             // ENOENT is expected when the file doesn't exist (e.g., .min.js in dev mode)
-            if (e.code !== 'ENOENT') {
-                consola.warn(`   ⚠️  Injection failed for ${label}: ${e.message}`);
-            }
+            if (e.code === 'ENOENT') continue;
+
+            // The bundles are live by now: the caller must restore the previous ones.
+            consola.error(`   ❌ Injection failed for ${label}: ${e.message}`);
+            throw e;
         }
     }
 };
+
+/**
+ * Returns the configuration `injectRequireConfig` would write, without writing it.
+ *
+ * @async
+ * @param {string} localePath - The absolute path to the locale's static directory.
+ * @param {Array<Object>} config - The bundle configuration to generate.
+ * @returns {Promise<Array<{fileName: string, content: string}>>} The `require.config` call
+ *   for each config file present in the locale.
+ */
+export const planRequireConfig = async (localePath, config) => {
+    const targets = [
+        { fileName: FILES.REQUIREJS_CONFIG, isMinifyTarget: false },
+        { fileName: FILES.REQUIREJS_CONFIG_MIN, isMinifyTarget: true },
+    ];
+    const planned = [];
+
+    for (const { fileName, isMinifyTarget } of targets) {
+        try {
+            await fs.access(path.join(localePath, fileName));
+        } catch {
+            continue;
+        }
+        planned.push({ fileName, content: buildRequireConfigContent(config, isMinifyTarget) });
+    }
+
+    return planned;
+};
+
+/**
+ * Reads the Magepack blocks currently injected in a locale's RequireJS config files,
+ * markers included, so `restoreRequireConfigBlocks` can write them back verbatim.
+ *
+ * @async
+ * @param {string} localePath - The absolute path to the locale's static directory.
+ * @returns {Promise<Object<string, string|null>>} Block by config file name (`null` when
+ *   the file is missing or has no Magepack block).
+ */
+export const readRequireConfigBlocks = async (localePath) => {
+    const blocks = {};
+
+    for (const fileName of [FILES.REQUIREJS_CONFIG, FILES.REQUIREJS_CONFIG_MIN]) {
+        const content = await fs.readFile(path.join(localePath, fileName), 'utf8').catch(() => null);
+        const match = content?.match(magepackBlockPattern());
+        blocks[fileName] = match ? match[0].replace(/^\n/, '') : null;
+    }
+
+    return blocks;
+};
+
+/**
+ * Replaces the Magepack block of each config file with a block recorded by
+ * `readRequireConfigBlocks` (used by `magepack rollback`). A `null` block only
+ * removes the current one. Missing config files are skipped.
+ *
+ * @async
+ * @param {string} localePath - The absolute path to the locale's static directory.
+ * @param {Object<string, string|null>} blocks - Block by config file name.
+ * @returns {Promise<void>}
+ * @throws {Error} If an existing config file cannot be read or written.
+ */
+export const restoreRequireConfigBlocks = async (localePath, blocks) => {
+    for (const [fileName, block] of Object.entries(blocks)) {
+        const mainConfigPath = path.join(localePath, fileName);
+
+        let mainConfig;
+        try {
+            mainConfig = (await fs.readFile(mainConfigPath, 'utf8')).replace(magepackBlockPattern(), '');
+        } catch (e) {
+            if (e.code === 'ENOENT') continue;
+
+            consola.error(`   ❌ Injection failed for ${fileName}: ${e.message}`);
+            throw e;
+        }
+
+        const finalContent = block ? `${mainConfig.trim().replace(/;+$/, '')};\n${block}` : mainConfig;
+        await fs.writeFile(mainConfigPath, finalContent, 'utf8');
+        consola.success(`   ✅ Config restored into: ${fileName}`);
+    }
+};
@@ -0,0 +1,52 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import { MARKERS } from '../../utils/constants.js';
+import { injectRequireConfig, readRequireConfigBlocks, restoreRequireConfigBlocks } from './configInjector.js';
+
+describe('configInjector', () => {
+    let localePath;
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        localePath = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-injector-'));
+        await fs.writeFile(path.join(localePath, 'requirejs-config.js'), 'require.config({});');
+    });
+
+    afterEach(async () => {
+        await fs.rm(localePath, { recursive: true, force: true });
+    });
+
+    const bundles = [{ name: 'common', modules: { jquery: 'jquery' } }];
+
+    test('injects the block and skips a missing minified config', async () => {
+        await injectRequireConfig(localePath, bundles, false);
+
+        const content = await fs.readFile(path.join(localePath, 'requirejs-config.js'), 'utf8');
+        expect(content).toContain(`${MARKERS.START}require.config({bundles: {"magepack/bundle-common":["jquery"]}`);
+    });
+
+    test('throws when an existing config file cannot be read or written', async () => {
+        // A directory in place of the file: EISDIR, whatever the user running the test.
+        await fs.mkdir(path.join(localePath, 'requirejs-config.min.js'));
+
+        await expect(injectRequireConfig(localePath, bundles, true)).rejects.toMatchObject({ code: 'EISDIR' });
+    });
+
+    test('restores recorded blocks and throws on unreadable files', async () => {
+        await injectRequireConfig(localePath, bundles, false);
+        const blocks = await readRequireConfigBlocks(localePath);
+        await fs.writeFile(path.join(localePath, 'requirejs-config.js'), 'require.config({});');
+
+        await restoreRequireConfigBlocks(localePath, blocks);
+        expect((await readRequireConfigBlocks(localePath))['requirejs-config.js']).toBe(blocks['requirejs-config.js']);
+
+        await fs.mkdir(path.join(localePath, 'requirejs-config.min.js'));
+        await expect(restoreRequireConfigBlocks(localePath, { 'requirejs-config.min.js': null }))
+            .rejects.toMatchObject({ code: 'EISDIR' });
+    });
+});
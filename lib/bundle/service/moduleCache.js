@@ -0,0 +1,174 @@
+/**
+ * @file lib/bundle/service/moduleCache.js
+ * @description Per-module minification cache for the bundle processor.
+ *
+ * The bundle-level cache (`bundleCache.js`) only helps when nothing in a bundle
+ * changed. A single edited module in a 300-module checkout bundle still forces a
+ * full Terser pass over the whole bundle. This service stores the Terser output of
+ * each wrapped module individually so that `processBundle` only re-minifies the
+ * modules whose wrapped source actually changed, then concatenates the results.
+ *
+ * Cache location: `{localePath}/.magepack-module-cache/{key}.json`, or
+ * `{cacheDir}/modules/{key}.json` with `--cache-dir` (see `persistentCache.js`).
+ *
+ * Entry shape:
+ * ```json
+ * { "code": "define(\"jquery\",...);", "map": { "version": 3, ... } }
+ * ```
+ *
+ * `map` is only present when the entry was produced with source maps enabled.
+ *
+ * Keys are content-addressed (module ID + wrapped content + Terser options), so
+ * entries never need explicit invalidation. Entries not read or written for
+ * `MODULE_CACHE_TTL_MS` are removed by `prune()` to keep the directory bounded.
+ *
+ * @module bundle/service/moduleCache
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ *   - v3.2.0: The cache directory can be overridden, so `--cache-dir` keeps
+ *     entries across deployments, and `refresh` skips reads for `--no-cache`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import consola from 'consola';
+
+export const MODULE_CACHE_DIRNAME = '.magepack-module-cache';
+
+/**
+ * Entries untouched for longer than this are removed by `prune()` (7 days).
+ *
+ * @type {number}
+ */
+const MODULE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ModuleCacheEntry
+ * @property {string} code - Minified module code (no `sourceMappingURL` comment).
+ * @property {Object} [map] - Raw source map object for `code`.
+ */
+
+/**
+ * Computes the cache key of a single wrapped module.
+ *
+ * The Terser `sourceMap` option is reduced to a boolean: its `filename`/`url`
+ * depend on the bundle file name and are applied at concatenation time, so the
+ * same module minified for two different bundles shares a single entry.
+ *
+ * @param {string} moduleName - The RequireJS module ID (used as the source name in maps).
+ * @param {string} content - The wrapped module source handed to Terser.
+ * @param {import('terser').MinifyOptions} terserOptions - The resolved Terser options.
+ * @returns {string} A 64-character lowercase hex SHA-256 digest.
+ */
+export const computeModuleCacheKey = (moduleName, content, terserOptions) => {
+    const optionsKey = JSON.stringify({
+        ...terserOptions,
+        sourceMap: Boolean(terserOptions.sourceMap),
+    });
+
+    return crypto
+        .createHash('sha256')
+        .update(optionsKey)
+        .update('\0')
+        .update(moduleName)
+        .update('\0')
+        .update(content)
+        .digest('hex');
+};
+
+/**
+ * Asynchronous factory that creates the module cache for a specific locale.
+ *
+ * All methods are failure-tolerant: a read error is a cache miss, and write or
+ * prune errors are logged at debug level. The cache can never fail a build.
+ *
+ * @async
+ * @param {string} localePath - Absolute path to the locale's static directory.
+ * @param {Object} [settings={}]
+ * @param {string} [settings.dir] - Directory for the entries (default:
+ *   `{localePath}/.magepack-module-cache`). Keys are locale-independent, so
+ *   several locales can share one directory.
+ * @param {boolean} [settings.refresh=false] - Never read entries (every `get` is a
+ *   miss) but still write them, for forced rebuilds (`--no-cache`).
+ * @returns {Promise<{
+ *   get: function(string): Promise<ModuleCacheEntry|null>,
+ *   set: function(string, ModuleCacheEntry): Promise<void>,
+ *   prune: function(): Promise<number>
+ * }>}
+ *
+ * @example
+ *   const moduleCache = await createModuleCache(localePath);
+ *   const entry = await moduleCache.get(key);
+ */
+export default async function createModuleCache(localePath, { dir, refresh = false } = {}) {
+    const cacheDir = dir || path.join(localePath, MODULE_CACHE_DIRNAME);
+    await fs.mkdir(cacheDir, { recursive: true });
+
+    const entryPath = (key) => path.join(cacheDir, `${key}.json`);
+
+    return {
+        /**
+         * Reads an entry and refreshes its mtime so `prune()` keeps it.
+         *
+         * @param {string} key - Key from `computeModuleCacheKey`.
+         * @returns {Promise<ModuleCacheEntry|null>}
+         */
+        async get(key) {
+            if (refresh) return null;
+
+            try {
+                const entry = JSON.parse(await fs.readFile(entryPath(key), 'utf8'));
+                if (!entry || typeof entry.code !== 'string') {
+                    return null;
+                }
+
+                const now = new Date();
+                await fs.utimes(entryPath(key), now, now).catch(() => {});
+                return entry;
+            } catch {
+                return null;
+            }
+        },
+
+        /**
+         * Stores an entry.
+         *
+         * @param {string} key - Key from `computeModuleCacheKey`.
+         * @param {ModuleCacheEntry} entry - The minified module.
+         * @returns {Promise<void>}
+         */
+        async set(key, entry) {
+            try {
+                await fs.writeFile(entryPath(key), JSON.stringify(entry), 'utf8');
+            } catch (e) {
+                consola.debug(`   Could not write module cache entry ${key}: ${e.message}`);
+            }
+        },
+
+        /**
+         * Removes entries that were not read or written within the TTL.
+         *
+         * @returns {Promise<number>} The number of removed entries.
+         */
+        async prune() {
+            let removed = 0;
+            try {
+                const cutoff = Date.now() - MODULE_CACHE_TTL_MS;
+                for (const fileName of await fs.readdir(cacheDir)) {
+                    const filePath = path.join(cacheDir, fileName);
+                    const stat = await fs.stat(filePath).catch(() => null);
+                    if (stat && stat.mtimeMs < cutoff) {
+                        await fs.rm(filePath, { force: true });
+                        removed++;
+                    }
+                }
+            } catch (e) {
+                consola.debug(`   Could not prune module cache at ${cacheDir}: ${e.message}`);
+            }
+            return removed;
+        },
+    };
+}
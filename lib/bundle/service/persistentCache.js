@@ -0,0 +1,224 @@
+/**
+ * @file lib/bundle/service/persistentCache.js
+ * @description Durable, content-addressed bundle store shared across deployments.
+ *
+ * `.magepack-cache.json`, `.magepack-module-cache/` and the previous `magepack/`
+ * output all live inside the locale's static directory, which
+ * `setup:static-content:deploy` wipes on every deploy. With `--cache-dir`, the
+ * built artifacts and the metadata needed to reuse them are also stored in a
+ * directory that survives deploys, keyed by the bundle hash from
+ * `bundleCache.js` (module contents, mixins, build options; never the locale).
+ *
+ * Layout:
+ * ```
+ * {cacheDir}/
+ *   bundles/{hash}/meta.json              Pruned module list, pruning details, composition
+ *   bundles/{hash}/bundle-common.min.js   Bundle + .gz/.br/.zst/.map variants
+ *   modules/{key}.json                    Per-module Terser output (see moduleCache.js)
+ * ```
+ *
+ * Entries are written to a temporary directory and renamed into place, so a
+ * concurrent or interrupted build never leaves a partial entry behind.
+ * Entries not restored or stored for `BUNDLE_STORE_TTL_MS` are removed by
+ * `prune()`.
+ *
+ * @module bundle/service/persistentCache
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import consola from 'consola';
+
+/**
+ * Subdirectory holding one directory per bundle hash.
+ * @type {string}
+ */
+export const BUNDLES_DIRNAME = 'bundles';
+
+/**
+ * Subdirectory holding the per-module minification cache.
+ * @type {string}
+ */
+export const MODULES_DIRNAME = 'modules';
+
+const META_FILENAME = 'meta.json';
+
+/**
+ * Suffixes of the files written for one bundle, after its primary file.
+ * @type {string[]}
+ */
+const VARIANT_SUFFIXES = ['.gz', '.br', '.zst', '.map'];
+
+/**
+ * Entries unused for longer than this are removed by `prune()` (30 days).
+ * Longer than the module cache TTL: deployments can be weeks apart.
+ *
+ * @type {number}
+ */
+const BUNDLE_STORE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} StoredBundle
+ * @property {string} name - Bundle name.
+ * @property {string|null} fileName - Output file name, `null` for a bundle without output.
+ * @property {string[]} moduleKeys - Module list after ghost pruning and mixin absorption.
+ * @property {string[]} missingModules - Modules pruned as missing on disk.
+ * @property {string[]} absorbedMixins - Mixins composed into their targets.
+ * @property {Array<Object>|null} composition - Per-module composition.
+ * @property {string} [builtAt] - ISO date the bundle was built.
+ */
+
+/**
+ * Creates the persistent cache rooted at a directory.
+ *
+ * Like the module cache, it can never fail a build: read errors are misses,
+ * write and prune errors are logged as warnings.
+ *
+ * @async
+ * @param {string} cacheDir - Absolute path of the cache directory (created if needed).
+ * @returns {Promise<{
+ *   dir: string,
+ *   moduleDir: string,
+ *   restore: function(string, string, Object): Promise<StoredBundle|null>,
+ *   store: function(string, string, StoredBundle): Promise<void>,
+ *   prune: function(): Promise<number>
+ * }>}
+ *
+ * @example
+ *   const store = await createPersistentCache('/var/cache/magepack');
+ *   const stored = await store.restore(hash, buildDir, bundle);
+ */
+export default async function createPersistentCache(cacheDir) {
+    const bundlesDir = path.join(cacheDir, BUNDLES_DIRNAME);
+    const moduleDir = path.join(cacheDir, MODULES_DIRNAME);
+    await fs.mkdir(bundlesDir, { recursive: true });
+    await fs.mkdir(moduleDir, { recursive: true });
+
+    const entryDir = (hash) => path.join(bundlesDir, hash);
+    const touch = (hash) => {
+        const now = new Date();
+        return fs.utimes(path.join(entryDir(hash), META_FILENAME), now, now).catch(() => {});
+    };
+
+    return {
+        dir: cacheDir,
+        moduleDir,
+
+        /**
+         * Copies a stored bundle into the build directory.
+         *
+         * @param {string} hash - Bundle hash from `computeBundleHash`.
+         * @param {string} buildDir - The locale's `magepack_build/` directory.
+         * @param {Object} bundle - The bundle definition. **Mutated in place** on a hit:
+         *   its module list is pruned like the stored build's.
+         * @returns {Promise<StoredBundle|null>} The stored metadata, or `null` on a miss.
+         */
+        async restore(hash, buildDir, bundle) {
+            let meta;
+            try {
+                meta = JSON.parse(await fs.readFile(path.join(entryDir(hash), META_FILENAME), 'utf8'));
+            } catch {
+                return null;
+            }
+
+            if (meta.fileName) {
+                try {
+                    await fs.copyFile(path.join(entryDir(hash), meta.fileName), path.join(buildDir, meta.fileName));
+                } catch {
+                    return null;
+                }
+                await Promise.all(VARIANT_SUFFIXES.map((suffix) =>
+                    fs.copyFile(
+                        path.join(entryDir(hash), `${meta.fileName}${suffix}`),
+                        path.join(buildDir, `${meta.fileName}${suffix}`)
+                    ).catch(() => {
+                        // Compressed variants and source maps are optional.
+                    })
+                ));
+            }
+
+            const keep = new Set(meta.moduleKeys);
+            for (const key of Object.keys(bundle.modules)) {
+                if (!keep.has(key)) delete bundle.modules[key];
+            }
+
+            await touch(hash);
+            return meta;
+        },
+
+        /**
+         * Stores a built bundle, unless its hash is already stored.
+         *
+         * @param {string} hash - Bundle hash from `computeBundleHash`.
+         * @param {string} buildDir - Directory holding the bundle files.
+         * @param {StoredBundle} meta - Metadata needed to reuse the bundle.
+         * @returns {Promise<void>}
+         */
+        async store(hash, buildDir, meta) {
+            try {
+                await fs.access(path.join(entryDir(hash), META_FILENAME));
+                await touch(hash);
+                return;
+            } catch { /* not stored yet */ }
+
+            const tmpDir = `${entryDir(hash)}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+            try {
+                await fs.mkdir(tmpDir, { recursive: true });
+
+                if (meta.fileName) {
+                    await fs.copyFile(path.join(buildDir, meta.fileName), path.join(tmpDir, meta.fileName));
+                    await Promise.all(VARIANT_SUFFIXES.map((suffix) =>
+                        fs.copyFile(
+                            path.join(buildDir, `${meta.fileName}${suffix}`),
+                            path.join(tmpDir, `${meta.fileName}${suffix}`)
+                        ).catch(() => {})
+                    ));
+                }
+
+                // meta.json last: its presence marks a complete entry.
+                await fs.writeFile(path.join(tmpDir, META_FILENAME), JSON.stringify(meta), 'utf8');
+                await fs.rename(tmpDir, entryDir(hash));
+            } catch (e) {
+                // ENOTEMPTY / EEXIST: another build stored the same hash first.
+                if (e.code !== 'ENOTEMPTY' && e.code !== 'EEXIST') {
+                    consola.warn(`⚠️  Could not store bundle "${meta.name}" in the cache directory ${cacheDir}: ${e.message}`);
+                }
+            } finally {
+                await fs.rm(tmpDir, { recursive: true, force: true });
+            }
+        },
+
+        /**
+         * Removes bundle entries that were not restored or stored within the TTL,
+         * and leftovers of interrupted writes.
+         *
+         * @returns {Promise<number>} The number of removed entries.
+         */
+        async prune() {
+            let removed = 0;
+            try {
+                const cutoff = Date.now() - BUNDLE_STORE_TTL_MS;
+                for (const name of await fs.readdir(bundlesDir)) {
+                    const dir = path.join(bundlesDir, name);
+                    const stat = await fs.stat(path.join(dir, META_FILENAME)).catch(() => null);
+                    // A temporary directory may belong to a build running right now.
+                    const isStaleTmp = name.includes('.tmp-') &&
+                        (await fs.stat(dir).catch(() => null))?.mtimeMs < cutoff;
+
+                    if ((stat && stat.mtimeMs < cutoff) || isStaleTmp) {
+                        await fs.rm(dir, { recursive: true, force: true });
+                        removed++;
+                    }
+                }
+            } catch (e) {
+                consola.warn(`⚠️  Could not prune the cache directory ${cacheDir}: ${e.message}`);
+            }
+            return removed;
+        },
+    };
+}
@@ -0,0 +1,72 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import createPersistentCache, { BUNDLES_DIRNAME } from './persistentCache.js';
+
+describe('persistentCache', () => {
+    let tmp;
+    let buildDir;
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-persistent-'));
+        buildDir = path.join(tmp, 'magepack_build');
+        await fs.mkdir(buildDir);
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmp, { recursive: true, force: true });
+    });
+
+    const meta = {
+        name: 'common',
+        fileName: 'bundle-common.min.js',
+        moduleKeys: ['jquery'],
+        missingModules: ['Acme_Foo/js/ghost'],
+        absorbedMixins: [],
+        composition: null,
+    };
+
+    test('restores a stored bundle into another build directory, pruned like the stored build', async () => {
+        const cache = await createPersistentCache(path.join(tmp, 'cache'));
+        await fs.writeFile(path.join(buildDir, 'bundle-common.min.js'), 'bundle');
+        await fs.writeFile(path.join(buildDir, 'bundle-common.min.js.gz'), 'gz');
+        await cache.store('abc', buildDir, meta);
+
+        const otherBuildDir = path.join(tmp, 'other');
+        await fs.mkdir(otherBuildDir);
+        const bundle = { name: 'common', modules: { jquery: 'jquery', 'Acme_Foo/js/ghost': 'Acme_Foo/js/ghost' } };
+
+        expect(await cache.restore('abc', otherBuildDir, bundle)).toMatchObject(meta);
+        expect((await fs.readdir(otherBuildDir)).sort()).toEqual(['bundle-common.min.js', 'bundle-common.min.js.gz']);
+        expect(Object.keys(bundle.modules)).toEqual(['jquery']);
+    });
+
+    test('misses on an unknown hash and on an entry whose bundle file is gone', async () => {
+        const cache = await createPersistentCache(path.join(tmp, 'cache'));
+        await fs.writeFile(path.join(buildDir, 'bundle-common.min.js'), 'bundle');
+        await cache.store('abc', buildDir, meta);
+        await fs.rm(path.join(tmp, 'cache', BUNDLES_DIRNAME, 'abc', 'bundle-common.min.js'));
+
+        const bundle = { name: 'common', modules: { jquery: 'jquery' } };
+        expect(await cache.restore('unknown', buildDir, bundle)).toBeNull();
+        expect(await cache.restore('abc', buildDir, bundle)).toBeNull();
+    });
+
+    test('prunes entries unused for 30 days', async () => {
+        const cache = await createPersistentCache(path.join(tmp, 'cache'));
+        await fs.writeFile(path.join(buildDir, 'bundle-common.min.js'), 'bundle');
+        await cache.store('old', buildDir, meta);
+        await cache.store('recent', buildDir, meta);
+
+        const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+        await fs.utimes(path.join(tmp, 'cache', BUNDLES_DIRNAME, 'old', 'meta.json'), old, old);
+
+        expect(await cache.prune()).toBe(1);
+        expect(await fs.readdir(path.join(tmp, 'cache', BUNDLES_DIRNAME))).toEqual(['recent']);
+    });
+});
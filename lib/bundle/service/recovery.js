@@ -0,0 +1,146 @@
+/**
+ * @file lib/bundle/service/recovery.js
+ * @description Repairs locales left behind by an interrupted `bundle` or `rollback`.
+ *
+ * A locale is swapped in two renames (`magepack/` → `magepack_backup/`, then
+ * `magepack_build/` → `magepack/`), followed by the RequireJS config injection.
+ * A process killed in between leaves one of these states, detected on the next
+ * `bundle`, `disable` or `rollback` start:
+ *
+ * - `magepack_build/`: a build that failed or never swapped. It is deleted.
+ * - `magepack_backup/` without `magepack/`: killed between the two renames, the
+ *   storefront has no bundles while its config still declares them. The backup
+ *   is renamed back to `magepack/`.
+ * - `magepack_backup/` and `magepack/`: killed after the swap but before the
+ *   locale was complete, so the bundle cache, the stats and possibly the config
+ *   still describe the backup. When the backup matches the live build recorded
+ *   in the build history, it is restored with the config block recorded for it.
+ *   Otherwise (no history, or a backup partially deleted) the backup is
+ *   removed, the new bundles are kept and a warning asks for a rebuild.
+ *
+ * @module bundle/service/recovery
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: `dryRun` lists the repairs without making them (`disable --dry-run`).
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import consola from 'consola';
+import { PATHS } from '../../utils/constants.js';
+import { getLocalePath } from '../../utils/paths.js';
+import { listBuilds, findMismatchedFile, removeIncompleteEntries } from './buildHistory.js';
+import { restoreRequireConfigBlocks } from './configInjector.js';
+
+/**
+ * @typedef {Object} LocaleRecovery
+ * @property {string} label - Display label (e.g. `Vendor/Theme (en_US)`).
+ * @property {string[]} actions - What was repaired.
+ * @property {string[]} warnings - What could not be repaired.
+ */
+
+/**
+ * @param {string} target
+ * @returns {Promise<boolean>}
+ */
+const exists = (target) => fs.access(target).then(() => true, () => false);
+
+/**
+ * Repairs the leftovers of an interrupted swap in one locale.
+ *
+ * @async
+ * @param {string} localePath - Absolute locale path.
+ * @param {boolean} [dryRun=false] - Only describe the repairs (as "would ..."), without applying them.
+ * @returns {Promise<{actions: string[], warnings: string[]}>} Empty lists when the locale was clean.
+ */
+export const recoverLocale = async (localePath, dryRun = false) => {
+    const buildDir = path.join(localePath, PATHS.BUILD_DIR);
+    const backupDir = path.join(localePath, PATHS.BACKUP_DIR);
+    const finalDir = path.join(localePath, PATHS.MAGEPACK_DIR);
+    const actions = [];
+    const warnings = [];
+
+    /**
+     * Runs a repair and records it, or only records it in a dry run.
+     *
+     * @param {[string, string]} verbs - Past and base form (e.g. `['removed', 'remove']`).
+     * @param {string} description - What is repaired.
+     * @param {function(): Promise<unknown>} repair
+     */
+    const apply = async ([done, planned], description, repair) => {
+        if (!dryRun) await repair();
+        actions.push(`${dryRun ? `would ${planned}` : done} ${description}`);
+    };
+
+    if (await exists(buildDir)) {
+        await apply(['removed', 'remove'], `the leftover ${PATHS.BUILD_DIR}/ directory of an unfinished build`, () =>
+            fs.rm(buildDir, { recursive: true, force: true })
+        );
+    }
+
+    if (await exists(backupDir)) {
+        if (!(await exists(finalDir))) {
+            await apply(['restored', 'restore'], `${PATHS.MAGEPACK_DIR}/ from ${PATHS.BACKUP_DIR}/ (the swap was interrupted)`, () =>
+                fs.rename(backupDir, finalDir)
+            );
+        } else {
+            // Swapped, but the locale never completed. The backup is only trusted
+            // when it is the build recorded as live: an interrupted `dropBackup`
+            // leaves a partial one.
+            const { current, builds } = await listBuilds(localePath);
+            const manifest = builds.find((build) => build.id === current);
+
+            if (manifest && !(await findMismatchedFile(backupDir, manifest))) {
+                await apply(['restored', 'restore'], `build ${manifest.id} from ${PATHS.BACKUP_DIR}/ with its RequireJS config (the build was interrupted after its swap)`, async () => {
+                    await fs.rm(finalDir, { recursive: true, force: true });
+                    await fs.rename(backupDir, finalDir);
+                    await restoreRequireConfigBlocks(localePath, manifest.requireConfig);
+                });
+            } else {
+                await apply(['removed', 'remove'], `${PATHS.BACKUP_DIR}/ left by an interrupted build, keeping the current ${PATHS.MAGEPACK_DIR}/`, () =>
+                    fs.rm(backupDir, { recursive: true, force: true })
+                );
+                warnings.push('the RequireJS config, bundle cache and stats may not match the bundles; run "magepack bundle" to rebuild them');
+            }
+        }
+    }
+
+    const incomplete = await removeIncompleteEntries(localePath, dryRun);
+    if (incomplete > 0) {
+        actions.push(`${dryRun ? 'would remove' : 'removed'} ${incomplete} incomplete build history entr${incomplete === 1 ? 'y' : 'ies'}`);
+    }
+
+    return { actions, warnings };
+};
+
+/**
+ * Repairs every given locale and logs what was done.
+ *
+ * Run it before a command touches the locales, and never while another
+ * `bundle` or `rollback` is running on them: their staging directories would
+ * be taken for leftovers.
+ *
+ * @async
+ * @param {Array<{vendor: string, name: string, code: string}>} locales - Selected locales.
+ * @param {string} staticDir - Absolute frontend static directory.
+ * @param {boolean} [dryRun=false] - Only log the repairs that would be made (`disable --dry-run`).
+ * @returns {Promise<LocaleRecovery[]>} The locales that needed (or need) repairs.
+ */
+export const recoverLocales = async (locales, staticDir, dryRun = false) => {
+    const recovered = [];
+
+    for (const locale of locales) {
+        const label = `${locale.vendor}/${locale.name} (${locale.code})`;
+        const { actions, warnings } = await recoverLocale(getLocalePath(staticDir, locale), dryRun);
+
+        if (actions.length === 0 && warnings.length === 0) continue;
+
+        actions.forEach((action) => consola.warn(`🩹 ${label}: ${action}.`));
+        warnings.forEach((warning) => consola.warn(`⚠️  ${label}: ${warning}.`));
+        recovered.push({ label, actions, warnings });
+    }
+
+    return recovered;
+};
@@ -0,0 +1,111 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import { recoverLocale, recoverLocales } from './recovery.js';
+import { recordBuild, HISTORY_DIRNAME } from './buildHistory.js';
+import { MARKERS } from '../../utils/constants.js';
+
+describe('recovery', () => {
+    let staticDir;
+    let localePath;
+    const locale = { vendor: 'Acme', name: 'luma', code: 'en_US' };
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        staticDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-recovery-'));
+        localePath = path.join(staticDir, 'Acme/luma/en_US');
+        await fs.mkdir(localePath, { recursive: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(staticDir, { recursive: true, force: true });
+    });
+
+    const write = async (relPath, content) => {
+        await fs.mkdir(path.dirname(path.join(localePath, relPath)), { recursive: true });
+        await fs.writeFile(path.join(localePath, relPath), content);
+    };
+    const read = (relPath) => fs.readFile(path.join(localePath, relPath), 'utf8');
+    const config = (version) => `require.config({});\n${MARKERS.START}require.config({bundles: {v${version}: []}});${MARKERS.END}`;
+
+    /** Live build 1 in the history, swapped out by build 2 that was killed before completing the locale. */
+    const interruptAfterSwap = async () => {
+        await write('magepack/bundle-common.js', 'v1');
+        await write('requirejs-config.js', config(1));
+        await recordBuild(localePath, 'frontend/Acme/luma/en_US', { bundles: [], isMinifyOn: false }, 3);
+
+        await fs.rename(path.join(localePath, 'magepack'), path.join(localePath, 'magepack_backup'));
+        await write('magepack/bundle-common.js', 'v2');
+        await write('requirejs-config.js', config(2));
+    };
+
+    test('removes a leftover build and restores a backup swapped out without a replacement', async () => {
+        await write('magepack_build/bundle-common.js', 'v2');
+        await write('magepack_backup/bundle-common.js', 'v1');
+
+        const { actions, warnings } = await recoverLocale(localePath);
+
+        expect(actions).toHaveLength(2);
+        expect(warnings).toEqual([]);
+        expect((await fs.readdir(localePath)).sort()).toEqual(['magepack']);
+        expect(await read('magepack/bundle-common.js')).toBe('v1');
+    });
+
+    test('restores the backup of the live build with its RequireJS config', async () => {
+        await interruptAfterSwap();
+
+        const { actions, warnings } = await recoverLocale(localePath);
+
+        expect(actions).toEqual([expect.stringMatching(/^restored build .+ from magepack_backup\/ with its RequireJS config/)]);
+        expect(warnings).toEqual([]);
+        expect(await read('magepack/bundle-common.js')).toBe('v1');
+        expect(await read('requirejs-config.js')).toBe(config(1));
+        expect(await fs.readdir(localePath)).not.toContain('magepack_backup');
+    });
+
+    test('keeps the new bundles and warns when the backup is not the recorded live build', async () => {
+        await interruptAfterSwap();
+        await fs.writeFile(path.join(localePath, 'magepack_backup/bundle-common.js'), 'partially deleted');
+
+        const { actions, warnings } = await recoverLocale(localePath);
+
+        expect(actions).toEqual(['removed magepack_backup/ left by an interrupted build, keeping the current magepack/']);
+        expect(warnings).toHaveLength(1);
+        expect(await read('magepack/bundle-common.js')).toBe('v2');
+        expect(await read('requirejs-config.js')).toBe(config(2));
+    });
+
+    test('removes incomplete build history entries', async () => {
+        await write(`${HISTORY_DIRNAME}/2024-01-01T00-00-00-000Z.tmp/manifest.json`, '');
+
+        expect((await recoverLocale(localePath)).actions).toEqual(['removed 1 incomplete build history entry']);
+        expect(await fs.readdir(path.join(localePath, HISTORY_DIRNAME))).toEqual([]);
+    });
+
+    test('only lists the repairs in a dry run', async () => {
+        await interruptAfterSwap();
+        await write('magepack_build/bundle-common.js', 'v3');
+        const before = (await fs.readdir(localePath)).sort();
+
+        const [recovered] = await recoverLocales([locale], staticDir, true);
+
+        expect(recovered.label).toBe('Acme/luma (en_US)');
+        expect(recovered.actions).toEqual([
+            'would remove the leftover magepack_build/ directory of an unfinished build',
+            expect.stringMatching(/^would restore build .+ from magepack_backup\//),
+        ]);
+        expect((await fs.readdir(localePath)).sort()).toEqual(before);
+        expect(await read('magepack/bundle-common.js')).toBe('v2');
+        expect(await read('requirejs-config.js')).toBe(config(2));
+    });
+
+    test('skips clean locales', async () => {
+        await write('magepack/bundle-common.js', 'v1');
+
+        expect(await recoverLocales([locale], staticDir)).toEqual([]);
+    });
+});
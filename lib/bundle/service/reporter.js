@@ -1,15 +1,19 @@
 import fs from 'node:fs/promises';
 import consola from 'consola';
 import path from 'node:path';
+import { gzip } from 'node:zlib';
+import { promisify } from 'node:util';
 import chalk from 'chalk';
 
+const gzipAsync = promisify(gzip);
+
 /**
  * Format bytes into a human-readable string.
  *
  * @param {number} bytes
  * @returns {string}
  */
-const formatBytes = (bytes) => {
+export const formatBytes = (bytes) => {
     if (!Number.isFinite(bytes) || bytes < 0) return 'n/a';
     const units = ['B', 'KB', 'MB'];
     let i = 0;
@@ -31,17 +35,32 @@ const formatBytes = (bytes) => {
 const statSize = async (p) => (await fs.stat(p).catch(() => ({ size: 0 }))).size;
 
 /**
- * Displays the size report for a generated bundle.
+ * Reads the on-disk size of a bundle and its static compressed variants.
+ *
  * @param {string} filePath
+ * @returns {Promise<{raw: number, gzip: number, brotli: number, zstd: number}>}
+ *   Sizes in bytes (0 for a missing file).
  */
-export const reportBundleSize = async (filePath) => {
-    const [raw, gz, br, zst] = await Promise.all([
+export const getBundleSizes = async (filePath) => {
+    const [raw, gzip, brotli, zstd] = await Promise.all([
         statSize(filePath),
         statSize(`${filePath}.gz`),
         statSize(`${filePath}.br`),
         statSize(`${filePath}.zst`),
     ]);
 
+    return { raw, gzip, brotli, zstd };
+};
+
+/**
+ * Displays the size report for a generated bundle.
+ * @param {string} filePath
+ * @returns {Promise<{raw: number, gzip: number, brotli: number, zstd: number}>} The reported sizes.
+ */
+export const reportBundleSize = async (filePath) => {
+    const sizes = await getBundleSizes(filePath);
+    const { raw, gzip: gz, brotli: br, zstd: zst } = sizes;
+
     const pct = (compressed) =>
         raw > 0 ? `${((1 - compressed / raw) * 100).toFixed(1)}%` : 'n/a';
 
@@ -52,4 +71,59 @@ export const reportBundleSize = async (filePath) => {
     const parts = path.normalize(filePath).split(path.sep);
     const shortPath = parts.length > 4 ? `.../${parts.slice(-3).join('/')}` : filePath;
     consola.info(`📍 Location: ${shortPath}`);
+
+    return sizes;
+};
+
+/**
+ * Estimates how many bytes of the compressed bundle each module accounts for.
+ *
+ * Modules are gzipped one by one and the standalone sizes are scaled so they add
+ * up to the real `.gz` size of the bundle. Compression across module boundaries
+ * makes this an approximation, but it ranks modules by their compressed weight.
+ *
+ * @param {string[]} codes - Output code of each module, in bundle order.
+ * @param {number} bundleGzipSize - Size of the bundle's `.gz` file (0 if absent).
+ * @returns {Promise<number[]>} Estimated gzip bytes per module, in the same order.
+ */
+export const estimateGzipShares = async (codes, bundleGzipSize) => {
+    const standalone = await Promise.all(codes.map(async (code) => (await gzipAsync(code)).length));
+    const sum = standalone.reduce((total, size) => total + size, 0);
+
+    if (sum === 0 || !bundleGzipSize) return standalone;
+    return standalone.map((size) => Math.round((size * bundleGzipSize) / sum));
+};
+
+/**
+ * Returns the modules of a bundle that weigh the most in the shipped file.
+ *
+ * @param {import('../processor.js').ModuleComposition[]|null} composition
+ * @param {number} limit - Maximum number of modules (0 returns none).
+ * @returns {import('../processor.js').ModuleComposition[]} Sorted by minified size, descending.
+ */
+export const heaviestModules = (composition, limit) =>
+    (composition || [])
+        .slice()
+        .sort((a, b) => b.minified - a.minified)
+        .slice(0, Math.max(0, limit));
+
+/**
+ * Displays the heaviest modules of a bundle, with their share of the bundle.
+ *
+ * @param {string} prefix - Log prefix (e.g. `[Vendor/Theme (en_US)] [common]`).
+ * @param {import('../processor.js').ModuleComposition[]|null} composition
+ * @param {number} limit - Number of modules to list.
+ * @returns {void}
+ */
+export const reportHeaviestModules = (prefix, composition, limit) => {
+    const top = heaviestModules(composition, limit);
+    if (top.length === 0) return;
+
+    const total = composition.reduce((sum, m) => sum + m.minified, 0);
+    consola.info(`   ${prefix} 🏋️  ${top.length} heaviest of ${composition.length} module(s):`);
+    top.forEach((m, i) => {
+        const share = total > 0 ? ((m.minified / total) * 100).toFixed(1) : '0.0';
+        const gz = m.gzip === undefined ? '' : `, ≈${formatBytes(m.gzip)} gzip`;
+        consola.info(`      ${i + 1}. ${m.id}: ${formatBytes(m.minified)} (${share}%) - raw ${formatBytes(m.raw)}${gz}`);
+    });
 };
@@ -0,0 +1,170 @@
+/**
+ * @file lib/bundle/service/sharedOutputs.js
+ * @description Cross-locale deduplication of identical bundle output within one run.
+ *
+ * Locales of a theme usually differ only by their translation files, so
+ * `bundle-vendor` (and often more) is byte-identical in `en_US`, `fr_FR`,
+ * `de_DE`... The bundle hash from `bundleCache.js` is computed from module
+ * contents, mixins and build options only, never from the locale path, so two
+ * bundles with the same hash produce the same files.
+ *
+ * The first locale to reach a hash claims it and builds the bundle. Once the
+ * bundle is built and validated, its files (bundle, `.gz`, `.br`, `.zst`, `.map`)
+ * are hardlinked into `{staticDir}/.magepack-shared/<hash>/`, a directory owned
+ * by the run: the producer's own `magepack_build/` is later swapped, rolled back
+ * or trimmed by `--lenient`, and its live `magepack/` may still hold the previous
+ * build. Every other locale waits for that publication and hardlinks the files
+ * from the shared directory into its own build directory, falling back to a
+ * copy when the filesystem refuses hardlinks. If the producer fails, or its
+ * bundle is invalid, or a file is missing, the waiting locales build the
+ * bundle themselves.
+ *
+ * @module bundle/service/sharedOutputs
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Outputs are published to a run-scoped directory, once validated, and
+ *     only linked from there (never from the producer's live `magepack/`).
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Name of the run-scoped directory holding the published outputs, in the static directory.
+ * @type {string}
+ */
+export const SHARED_DIRNAME = '.magepack-shared';
+
+/**
+ * Suffixes of the files written for one bundle, after its primary file.
+ * @type {string[]}
+ */
+const VARIANT_SUFFIXES = ['.gz', '.br', '.zst', '.map'];
+
+/**
+ * @typedef {Object} SharedOutput
+ * @property {string} label - Locale that built the bundle.
+ * @property {string} dir - Run-scoped directory holding the published files.
+ * @property {string[]} moduleKeys - Module list after pruning by the producer.
+ * @property {import('../processor.js').BundleResult} result - The producer's result.
+ */
+
+/**
+ * Hardlinks (or copies) a file.
+ *
+ * @param {string} srcDir
+ * @param {string} fileName
+ * @param {string} destDir
+ * @returns {Promise<boolean>} False when the source file does not exist.
+ */
+const linkFile = async (srcDir, fileName, destDir) => {
+    const src = path.join(srcDir, fileName);
+    const dest = path.join(destDir, fileName);
+
+    try {
+        await fs.link(src, dest);
+        return true;
+    } catch (e) {
+        if (e.code === 'ENOENT') return false;
+    }
+
+    // Cross-device or hardlinks not permitted: copy instead.
+    try {
+        await fs.copyFile(src, dest);
+        return true;
+    } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+    }
+};
+
+/**
+ * Creates the registry of bundles built during a run.
+ *
+ * @param {string} staticDir - Absolute frontend static directory; the published
+ *   files live in its `SHARED_DIRNAME` directory until `dispose()`.
+ * @returns {{
+ *   dir: string,
+ *   lookup: function(string): Promise<SharedOutput|null>|undefined,
+ *   claim: function(string): function({label: string, buildDir: string, moduleKeys: string[], result: Object}|null): Promise<void>,
+ *   dispose: function(): Promise<void>
+ * }} `lookup` returns the pending or settled output of a hash; `claim` registers a
+ *   hash and returns the function that publishes its validated output from the
+ *   producer's build directory (`null` when the build failed or is invalid);
+ *   `dispose` deletes the published files at the end of the run.
+ */
+export default function createSharedOutputs(staticDir) {
+    const dir = path.join(staticDir, SHARED_DIRNAME);
+
+    /** @type {Map<string, Promise<SharedOutput|null>>} */
+    const outputs = new Map();
+
+    return {
+        dir,
+        lookup: (hash) => outputs.get(hash),
+        claim: (hash) => {
+            let resolve;
+            outputs.set(hash, new Promise((r) => {
+                resolve = r;
+            }));
+
+            return async (output) => {
+                if (!output) {
+                    resolve(null);
+                    return;
+                }
+
+                const { fileName } = output.result;
+                const hashDir = path.join(dir, hash);
+                try {
+                    await fs.mkdir(hashDir, { recursive: true });
+                    if (fileName) {
+                        if (!(await linkFile(output.buildDir, fileName, hashDir))) {
+                            resolve(null);
+                            return;
+                        }
+                        await Promise.all(VARIANT_SUFFIXES.map((suffix) =>
+                            linkFile(output.buildDir, `${fileName}${suffix}`, hashDir)
+                        ));
+                    }
+                    resolve({ label: output.label, dir: hashDir, moduleKeys: output.moduleKeys, result: output.result });
+                } catch {
+                    // Not shared: the other locales build the bundle themselves.
+                    resolve(null);
+                }
+            };
+        },
+        dispose: () => fs.rm(dir, { recursive: true, force: true }),
+    };
+}
+
+/**
+ * Reuses a bundle built by another locale.
+ *
+ * @param {SharedOutput} shared - The producer's output.
+ * @param {string} buildDir - This locale's `magepack_build/` directory.
+ * @param {Object} bundle - This locale's bundle definition. **Mutated in place**:
+ *   its module list is pruned like the producer's.
+ * @returns {Promise<boolean>} False when a published file is missing; the caller
+ *   then builds the bundle itself.
+ */
+export const reuseSharedOutput = async (shared, buildDir, bundle) => {
+    const { fileName } = shared.result;
+
+    if (fileName) {
+        if (!(await linkFile(shared.dir, fileName, buildDir))) {
+            return false;
+        }
+        // Compressed variants and source maps are optional.
+        await Promise.all(VARIANT_SUFFIXES.map((suffix) => linkFile(shared.dir, `${fileName}${suffix}`, buildDir)));
+    }
+
+    const keep = new Set(shared.moduleKeys);
+    for (const key of Object.keys(bundle.modules)) {
+        if (!keep.has(key)) delete bundle.modules[key];
+    }
+
+    return true;
+};
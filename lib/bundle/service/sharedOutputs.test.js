@@ -0,0 +1,78 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import createSharedOutputs, { reuseSharedOutput, SHARED_DIRNAME } from './sharedOutputs.js';
+
+describe('sharedOutputs', () => {
+    let staticDir;
+    let producerDir;
+    let consumerDir;
+
+    beforeEach(async () => {
+        staticDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-shared-'));
+        producerDir = path.join(staticDir, 'Vendor/theme/en_US/magepack_build');
+        consumerDir = path.join(staticDir, 'Vendor/theme/fr_FR/magepack_build');
+        await fs.mkdir(producerDir, { recursive: true });
+        await fs.mkdir(consumerDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(staticDir, { recursive: true, force: true });
+    });
+
+    const result = { name: 'vendor', fileName: 'bundle-vendor.min.js' };
+    const bundle = () => ({ name: 'vendor', modules: { jquery: 'jquery', underscore: 'underscore' } });
+
+    test('links the published files even after the producer build directory is gone', async () => {
+        await fs.writeFile(path.join(producerDir, 'bundle-vendor.min.js'), 'new');
+        await fs.writeFile(path.join(producerDir, 'bundle-vendor.min.js.gz'), 'new.gz');
+
+        const shared = createSharedOutputs(staticDir);
+        await shared.claim('abc')({ label: 'en_US', buildDir: producerDir, moduleKeys: ['jquery'], result });
+        // Swapped in (or rolled back) by the producer locale.
+        await fs.rm(producerDir, { recursive: true });
+
+        const output = await shared.lookup('abc');
+        const consumerBundle = bundle();
+        expect(output.dir).toBe(path.join(staticDir, SHARED_DIRNAME, 'abc'));
+        expect(await reuseSharedOutput(output, consumerDir, consumerBundle)).toBe(true);
+        expect(await fs.readFile(path.join(consumerDir, 'bundle-vendor.min.js'), 'utf8')).toBe('new');
+        expect(await fs.readFile(path.join(consumerDir, 'bundle-vendor.min.js.gz'), 'utf8')).toBe('new.gz');
+        expect(Object.keys(consumerBundle.modules)).toEqual(['jquery']);
+
+        await shared.dispose();
+        await expect(fs.access(shared.dir)).rejects.toThrow();
+    });
+
+    test('never falls back to the producer live directory', async () => {
+        // Previous build, still live in the producer locale.
+        const liveDir = path.join(staticDir, 'Vendor/theme/en_US/magepack');
+        await fs.mkdir(liveDir);
+        await fs.writeFile(path.join(liveDir, 'bundle-vendor.min.js'), 'stale');
+
+        const shared = createSharedOutputs(staticDir);
+        await shared.claim('abc')({ label: 'en_US', buildDir: producerDir, moduleKeys: ['jquery'], result });
+
+        expect(await shared.lookup('abc')).toBeNull();
+    });
+
+    test('tells the consumer to rebuild when a published file is missing', async () => {
+        await fs.writeFile(path.join(producerDir, 'bundle-vendor.min.js'), 'new');
+
+        const shared = createSharedOutputs(staticDir);
+        await shared.claim('abc')({ label: 'en_US', buildDir: producerDir, moduleKeys: ['jquery'], result });
+        const output = await shared.lookup('abc');
+        await fs.rm(path.join(output.dir, 'bundle-vendor.min.js'));
+
+        const consumerBundle = bundle();
+        expect(await reuseSharedOutput(output, consumerDir, consumerBundle)).toBe(false);
+        expect(Object.keys(consumerBundle.modules)).toEqual(['jquery', 'underscore']);
+    });
+
+    test('publishes nothing for a failed or invalid build', async () => {
+        const shared = createSharedOutputs(staticDir);
+        await shared.claim('abc')(null);
+
+        expect(await shared.lookup('abc')).toBeNull();
+    });
+});
@@ -3,6 +3,7 @@ import path from 'node:path';
 import { createHash } from 'node:crypto';
 import consola from 'consola';
 import { PATHS, FILES } from '../../utils/constants.js';
+import { getLocalePath } from '../../utils/paths.js';
 
 /**
  * Calculates the SRI hash (SHA-256) for a given file buffer.
@@ -10,7 +11,7 @@ import { PATHS, FILES } from '../../utils/constants.js';
  * @param {Buffer} buffer - The file content buffer.
  * @returns {string} The formatted SRI hash string (e.g., "sha256-xxx...").
  */
-const generateSriHash = (buffer) => {
+export const generateSriHash = (buffer) => {
     const hash = createHash('sha256').update(buffer).digest('base64');
     return `sha256-${hash}`;
 };
@@ -22,9 +23,10 @@ const generateSriHash = (buffer) => {
  * @param {string} filePath - The absolute file system path to the file.
  * @param {string} cacheKey - The key used in the SRI JSON object (frontend/Vendor/Theme/Locale/...).
  * @param {Object} sriData - The mutable SRI data object loaded from sri-hashes.json.
+ * @param {boolean} [strict=false] - Rethrow read errors other than a missing file.
  * @returns {Promise<boolean>} Returns true if the hash was updated or added, false otherwise.
  */
-const processFileHash = async (filePath, cacheKey, sriData) => {
+const processFileHash = async (filePath, cacheKey, sriData, strict = false) => {
     try {
         const buffer = await fs.readFile(filePath);
         const newHash = generateSriHash(buffer);
@@ -34,6 +36,7 @@ const processFileHash = async (filePath, cacheKey, sriData) => {
             return true;
         }
     } catch (error) {
+        if (strict && error.code !== 'ENOENT') throw error;
         // Silently fail if file does not exist (e.g. .min.js in dev mode), consistent with previous logic.
         return false;
     }
@@ -46,12 +49,16 @@ const processFileHash = async (filePath, cacheKey, sriData) => {
  *
  * @param {Array<Object>} locales - List of processed locales.
  * @param {Array<Object>} bundles - List of generated bundles.
+ * @param {string} staticDir - Absolute frontend static directory (holds `sri-hashes.json`).
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw on any failure instead of logging it, so a
+ *   transactional commit can roll back rather than deploy with stale hashes.
  * @returns {Promise<void>}
+ * @throws {Error} When the write verification fails or, in strict mode, on any failure.
  */
-export const updateSriHashes = async (locales, bundles) => {
+export const updateSriHashes = async (locales, bundles, staticDir, { strict = false } = {}) => {
     try {
-        const rootPath = process.cwd();
-        const sriPath = path.resolve(rootPath, PATHS.STATIC_FRONTEND, FILES.SRI_HASHES);
+        const sriPath = path.join(staticDir, FILES.SRI_HASHES);
 
         // Fail fast if SRI file doesn't exist (Feature not active in Magento)
         try {
@@ -70,8 +77,7 @@ export const updateSriHashes = async (locales, bundles) => {
         for (const locale of locales) {
             // 1. Construct File System Path (OS Dependent)
             // e.g., pub/static/frontend/Vendor/Theme/Locale
-            const localePathRelativeFS = path.join(locale.vendor, locale.name, locale.code);
-            const localePathAbsolute = path.join(rootPath, PATHS.STATIC_FRONTEND, localePathRelativeFS);
+            const localePathAbsolute = getLocalePath(staticDir, locale);
 
             // 2. Construct JSON Key Prefix (Standardized with forward slashes)
             // e.g., "frontend/Vendor/Theme/Locale"
@@ -85,7 +91,8 @@ export const updateSriHashes = async (locales, bundles) => {
                 const updated = await processFileHash(
                     path.join(localePathAbsolute, configFile),
                     `${localeKey}/${configFile}`,
-                    sriData
+                    sriData,
+                    strict
                 );
                 if (updated) updateCount++;
             }
@@ -100,7 +107,7 @@ export const updateSriHashes = async (locales, bundles) => {
                     const bundleKey = `${localeKey}/${PATHS.MAGEPACK_DIR}/${filename}`;
                     const bundlePath = path.join(localePathAbsolute, PATHS.MAGEPACK_DIR, filename);
 
-                    const updated = await processFileHash(bundlePath, bundleKey, sriData);
+                    const updated = await processFileHash(bundlePath, bundleKey, sriData, strict);
                     if (updated) updateCount++;
                 }
             }
@@ -130,7 +137,8 @@ export const updateSriHashes = async (locales, bundles) => {
         // SRI write verification failures are fatal: a corrupted sri-hashes.json
         // causes silent CSP validation breakage at runtime. Re-throw so the caller
         // exits with an error instead of reporting success on a broken build.
-        if (error.message && error.message.startsWith('SRI file write verification failed')) {
+        if (strict || (error.message && error.message.startsWith('SRI file write verification failed'))) {
+            consola.error(`❌ Failed to update SRI hashes: ${error.message}`);
             throw error;
         }
 
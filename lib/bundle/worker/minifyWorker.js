@@ -0,0 +1,33 @@
+/**
+ * @file lib/bundle/worker/minifyWorker.js
+ * @description Worker thread entry point running Terser for `processor.js`.
+ *
+ * Receives `{ moduleName, content, options }` from `utils/workerPool.js` and
+ * answers with the minified `{ code, map }` of that single module, or with the
+ * serialized Terser error (parse errors keep their `line`, `col` and `pos`).
+ *
+ * @module bundle/worker/minifyWorker
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { minify } from 'terser';
+
+parentPort.on('message', async ({ moduleName, content, options }) => {
+    try {
+        const result = await minify({ [moduleName]: content }, options);
+        parentPort.postMessage({ result: { code: result.code || '', map: result.map || null } });
+    } catch (error) {
+        // Only primitive properties are forwarded: they are all Terser errors carry,
+        // and anything else could not be cloned across threads.
+        const props = Object.fromEntries(
+            Object.entries(error).filter(([, value]) => value === null || !['object', 'function'].includes(typeof value))
+        );
+        parentPort.postMessage({
+            error: { ...props, name: error.name, message: error.message, stack: error.stack },
+        });
+    }
+});
@@ -0,0 +1,277 @@
+/**
+ * @file lib/cache.js
+ * @description `magepack cache status` and `magepack cache clear`.
+ *
+ * The incremental cache of a locale is spread over `.magepack-cache.json`
+ * (bundle hashes and file fingerprints), `.magepack-module-cache/` (per-module
+ * Terser output) and the live `magepack/` output the bundles are restored
+ * from. `status` reports, per locale and bundle, the cached hash, whether its
+ * bundle file still exists and when it was built; `clear` removes the cache
+ * files so the next `bundle` rebuilds everything. Neither touches the live
+ * bundles or `.magepack-stats.json`.
+ *
+ * With `--cache-dir`, both also cover the persistent cache directory of
+ * `bundle --cache-dir` (see `bundle/service/persistentCache.js`).
+ *
+ * @module cache
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import consola from 'consola';
+import { PATHS } from './utils/constants.js';
+import { resolveRoot, resolveStaticDir, getLocalePath } from './utils/paths.js';
+
+import getLocales from './bundle/getLocales.js';
+import filterLocales from './bundle/filterLocales.js';
+import { CACHE_FILENAME, loadCache } from './bundle/service/bundleCache.js';
+import { MODULE_CACHE_DIRNAME } from './bundle/service/moduleCache.js';
+import { BUNDLES_DIRNAME, MODULES_DIRNAME } from './bundle/service/persistentCache.js';
+import { formatBytes } from './bundle/service/reporter.js';
+import acquireLock from './utils/lock.js';
+
+/**
+ * @typedef {Object} BundleCacheStatus
+ * @property {string} name - Bundle name.
+ * @property {string} hash - Cached bundle hash.
+ * @property {string|null} file - Bundle file found in `magepack/`, `null` if missing.
+ * @property {string|null} builtAt - ISO date the bundle was built (`null` for entries
+ *   written before this was recorded).
+ * @property {number|null} age - Milliseconds since `builtAt`.
+ */
+
+/**
+ * @typedef {Object} LocaleCacheStatus
+ * @property {string} label - Display label (e.g. `Vendor/Theme (en_US)`).
+ * @property {string|null} updatedAt - ISO date `.magepack-cache.json` was last written.
+ * @property {BundleCacheStatus[]} bundles - One entry per cached bundle.
+ * @property {{entries: number, bytes: number}} moduleCache - Per-module cache usage.
+ */
+
+/**
+ * @typedef {Object} CacheStatus
+ * @property {LocaleCacheStatus[]} locales
+ * @property {{dir: string, bundles: {entries: number, bytes: number}, modules: {entries: number, bytes: number}}|null} cacheDir -
+ *   Persistent cache directory usage (`null` without `--cache-dir`).
+ */
+
+/**
+ * Formats a duration as a short age (`42s`, `5m`, `3h`, `12d`).
+ *
+ * @param {number|null} ms
+ * @returns {string}
+ */
+const formatAge = (ms) => {
+    if (ms === null || !Number.isFinite(ms)) return 'unknown age';
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+    return `${Math.round(seconds / 86400)}d`;
+};
+
+/**
+ * Counts the entries of a directory and the bytes of the files below it.
+ *
+ * @param {string} dir
+ * @returns {Promise<{entries: number, bytes: number}>} Zeros for a missing directory.
+ */
+const directoryUsage = async (dir) => {
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch {
+        return { entries: 0, bytes: 0 };
+    }
+
+    let bytes = 0;
+    for (const name of names) {
+        const entryPath = path.join(dir, name);
+        const stat = await fs.stat(entryPath).catch(() => null);
+        if (!stat) continue;
+        bytes += stat.isDirectory() ? (await directoryUsage(entryPath)).bytes : stat.size;
+    }
+
+    return { entries: names.length, bytes };
+};
+
+/**
+ * Resolves the selected locales.
+ *
+ * @param {Object} options - Command options.
+ * @returns {Promise<{staticDir: string, locales: Array<{locale: Object, label: string, localePath: string}>}>}
+ */
+const selectLocales = async (options) => {
+    const staticDir = resolveStaticDir(options);
+    const locales = await filterLocales(await getLocales(staticDir), staticDir, options);
+
+    return {
+        staticDir,
+        locales: locales.map((locale) => ({
+            locale,
+            label: `${locale.vendor}/${locale.name} (${locale.code})`,
+            localePath: getLocalePath(staticDir, locale),
+        })),
+    };
+};
+
+/**
+ * Reports the cache of every selected locale.
+ *
+ * @async
+ * @param {Object} options - Command options.
+ * @param {string} [options.root] - Magento root directory.
+ * @param {string} [options.staticDir] - Frontend static directory.
+ * @param {string} [options.theme] - Only this theme (`Vendor/Theme`).
+ * @param {string|string[]} [options.glob] - Locale include pattern(s).
+ * @param {string|string[]} [options.locale] - Locale code(s).
+ * @param {string|string[]} [options.exclude] - Locale exclude pattern(s).
+ * @param {string} [options.cacheDir] - Persistent cache directory, relative to the root.
+ * @param {boolean} [options.json] - Print the status as JSON instead of log lines.
+ * @returns {Promise<CacheStatus>}
+ */
+export const status = async (options) => {
+    const root = resolveRoot(options);
+    const { locales } = await selectLocales(options);
+    const now = Date.now();
+
+    /** @type {CacheStatus} */
+    const result = { locales: [], cacheDir: null };
+
+    for (const { label, localePath } of locales) {
+        const cache = await loadCache(localePath);
+        const cacheStat = await fs.stat(path.join(localePath, CACHE_FILENAME)).catch(() => null);
+
+        const bundles = await Promise.all(Object.entries(cache).map(async ([name, entry]) => {
+            const candidates = [`bundle-${name}.min.js`, `bundle-${name}.js`];
+            let file = null;
+            for (const candidate of candidates) {
+                if (await fs.access(path.join(localePath, PATHS.MAGEPACK_DIR, candidate)).then(() => true, () => false)) {
+                    file = candidate;
+                    break;
+                }
+            }
+
+            const builtAt = entry.builtAt || null;
+            return { name, hash: entry.hash, file, builtAt, age: builtAt ? now - Date.parse(builtAt) : null };
+        }));
+
+        result.locales.push({
+            label,
+            updatedAt: cacheStat ? cacheStat.mtime.toISOString() : null,
+            bundles,
+            moduleCache: await directoryUsage(path.join(localePath, MODULE_CACHE_DIRNAME)),
+        });
+    }
+
+    if (options.cacheDir) {
+        const dir = path.resolve(root, options.cacheDir);
+        result.cacheDir = {
+            dir,
+            bundles: await directoryUsage(path.join(dir, BUNDLES_DIRNAME)),
+            modules: await directoryUsage(path.join(dir, MODULES_DIRNAME)),
+        };
+    }
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+        return result;
+    }
+
+    for (const locale of result.locales) {
+        if (locale.bundles.length === 0 && locale.moduleCache.entries === 0) {
+            consola.info(`📭 ${locale.label}: no cache.`);
+            continue;
+        }
+
+        consola.info(
+            `🗃️  ${locale.label}: ${locale.bundles.length} cached bundle(s)` +
+            `${locale.updatedAt ? `, updated ${formatAge(now - Date.parse(locale.updatedAt))} ago` : ''}; ` +
+            `module cache: ${locale.moduleCache.entries} entries (${formatBytes(locale.moduleCache.bytes)}).`
+        );
+        locale.bundles.forEach((b) => consola.log(
+            `   ${b.file ? '✅' : '❌'} ${b.name.padEnd(12)} ${b.hash}  ` +
+            `${b.file || 'bundle file missing (next build rebuilds it)'}  built ${b.age === null ? 'at an unknown date' : `${formatAge(b.age)} ago`}`
+        ));
+    }
+
+    if (result.cacheDir) {
+        const { dir, bundles, modules } = result.cacheDir;
+        consola.info(
+            `🗄️  Cache directory ${dir}: ${bundles.entries} bundle(s) (${formatBytes(bundles.bytes)}), ` +
+            `${modules.entries} module entries (${formatBytes(modules.bytes)}).`
+        );
+    }
+
+    return result;
+};
+
+/**
+ * Removes the caches once the lock is held (see `clear`).
+ *
+ * @async
+ * @param {string} root - Absolute Magento root.
+ * @param {Array<{label: string, localePath: string}>} locales - Selected locales.
+ * @param {Object} options - Command options.
+ * @returns {Promise<{locales: string[], cacheDir: string|null}>}
+ */
+const clearLocked = async (root, locales, options) => {
+    const result = { locales: [], cacheDir: null };
+
+    for (const { label, localePath } of locales) {
+        const targets = [CACHE_FILENAME, MODULE_CACHE_DIRNAME].map((name) => path.join(localePath, name));
+        const existing = (await Promise.all(
+            targets.map((target) => fs.access(target).then(() => target, () => null))
+        )).filter(Boolean);
+
+        if (existing.length === 0) continue;
+
+        await Promise.all(existing.map((target) => fs.rm(target, { recursive: true, force: true })));
+        consola.success(`🧹 ${label}: cache cleared.`);
+        result.locales.push(label);
+    }
+
+    if (options.cacheDir) {
+        const dir = path.resolve(root, options.cacheDir);
+        await Promise.all(
+            [BUNDLES_DIRNAME, MODULES_DIRNAME].map((name) => fs.rm(path.join(dir, name), { recursive: true, force: true }))
+        );
+        consola.success(`🧹 Cache directory ${dir} cleared.`);
+        result.cacheDir = dir;
+    }
+
+    if (result.locales.length === 0 && !result.cacheDir) {
+        consola.info('📭 Nothing to clear.');
+    }
+
+    return result;
+};
+
+/**
+ * Removes the cache of every selected locale (and the persistent cache directory).
+ *
+ * @async
+ * @param {Object} options - Same selection options as `status`.
+ * @param {string} [options.cacheDir] - Persistent cache directory, relative to the root.
+ *   It is shared by all locales, so it is emptied entirely, whatever the filters.
+ * @param {boolean|number|string} [options.wait] - Wait for the lock of a running build.
+ * @param {boolean} [options.force] - Remove the lock of another run.
+ * @returns {Promise<{locales: string[], cacheDir: string|null}>} Labels of the cleared
+ *   locales and the emptied cache directory.
+ */
+export const clear = async (options) => {
+    const root = resolveRoot(options);
+    const { staticDir, locales } = await selectLocales(options);
+
+    // A running build reads and rewrites these files.
+    const lock = await acquireLock(staticDir, { command: 'cache clear', wait: options.wait, force: options.force });
+    try {
+        return await clearLocked(root, locales, options);
+    } finally {
+        await lock.release();
+    }
+};
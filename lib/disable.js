@@ -9,7 +9,12 @@ import { createHash } from 'node:crypto';
 import consola from 'consola';
 
 import { PATHS, FILES, MARKERS } from './utils/constants.js';
+import { DisableError, MagepackError } from './utils/errors.js';
+import { resolveRoot, resolveStaticDir, getLocalePath } from './utils/paths.js';
 import getLocales from './bundle/getLocales.js';
+import filterLocales from './bundle/filterLocales.js';
+import { recoverLocales } from './bundle/service/recovery.js';
+import acquireLock from './utils/lock.js';
 
 const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
@@ -23,9 +28,14 @@ const generateSriHash = (buffer) => {
 
 /**
  * Removes the Magepack injected configuration block from RequireJS config files.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {boolean} [dryRun=false] - Only find the blocks, without writing.
+ * @returns {Promise<string[]>} Names of the config files that were (or would be) cleaned.
  */
-const cleanRequireConfig = async (localePath) => {
+const cleanRequireConfig = async (localePath, dryRun = false) => {
     const targets = [FILES.REQUIREJS_CONFIG, FILES.REQUIREJS_CONFIG_MIN];
+    const cleaned = [];
     
     for (const fileName of targets) {
         const configPath = path.join(localePath, fileName);
@@ -37,6 +47,9 @@ const cleanRequireConfig = async (localePath) => {
             const cleanRegex = new RegExp(`\\n?${escapeRegExp(MARKERS.START)}[\\s\\S]*?${escapeRegExp(MARKERS.END)}`, 'g');
             
             if (cleanRegex.test(content)) {
+                cleaned.push(fileName);
+                if (dryRun) continue;
+
                 content = content.replace(cleanRegex, '');
                 await fs.writeFile(configPath, content, 'utf8');
                 consola.debug(`   Cleaned ${fileName}`);
@@ -45,49 +58,79 @@ const cleanRequireConfig = async (localePath) => {
             // File might not exist (e.g., .min.js in dev mode), gracefully ignore
         }
     }
+
+    return cleaned;
 };
 
 /**
  * Deletes the generated magepack bundle directory.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {boolean} [dryRun=false] - Only list the files, without deleting them.
+ * @returns {Promise<string[]|null>} Files of the removed (or to be removed) directory,
+ *   or `null` if there was none.
  */
-const deleteMagepackDir = async (localePath) => {
+const deleteMagepackDir = async (localePath, dryRun = false) => {
     const dirPath = path.join(localePath, PATHS.MAGEPACK_DIR);
     try {
-        await fs.rm(dirPath, { recursive: true, force: true });
-        consola.debug(`   Removed ${PATHS.MAGEPACK_DIR}/ directory`);
+        // In a dry run, a lone magepack_backup/ has not been restored as magepack/ by the recovery yet.
+        const files = (await fs.readdir(dirPath).catch((e) => {
+            if (!dryRun) throw e;
+            return fs.readdir(path.join(localePath, PATHS.BACKUP_DIR));
+        })).sort();
+        if (!dryRun) {
+            await fs.rm(dirPath, { recursive: true, force: true });
+            consola.debug(`   Removed ${PATHS.MAGEPACK_DIR}/ directory`);
+        }
+        return files;
     } catch (e) {
         // Directory already gone or doesn't exist
+        return null;
     }
 };
 
 /**
  * Prunes Magepack bundles from the SRI hashes and updates the RequireJS config hashes.
+ *
+ * @param {Array<Object>} locales - Processed locales.
+ * @param {string} staticDir - Absolute frontend static directory.
+ * @param {boolean} [dryRun=false] - Only find the bundle entries, without writing.
+ * @returns {Promise<{updated: boolean, removedKeys: string[]}>} Whether `sri-hashes.json`
+ *   was rewritten, and the bundle entries removed (or to be removed) from it.
  */
-const syncSriHashes = async (locales) => {
-    const rootPath = process.cwd();
-    const sriPath = path.resolve(rootPath, PATHS.STATIC_FRONTEND, FILES.SRI_HASHES);
+const syncSriHashes = async (locales, staticDir, dryRun = false) => {
+    const sriPath = path.join(staticDir, FILES.SRI_HASHES);
 
     try {
         await fs.access(sriPath);
     } catch {
-        return; // No SRI file found, feature inactive
+        return { updated: false, removedKeys: [] }; // No SRI file found, feature inactive
     }
 
-    consola.start('🔐 Synchronizing SRI hashes...');
     let sriData = JSON.parse(await fs.readFile(sriPath, 'utf8'));
-    let updated = false;
 
-    // 1. Remove Magepack bundle hashes from the JSON
-    for (const key of Object.keys(sriData)) {
-        if (key.includes(`/${PATHS.MAGEPACK_DIR}/bundle-`)) {
-            delete sriData[key];
-            updated = true;
-        }
+    // 1. Remove Magepack bundle hashes of the processed locales from the JSON.
+    //    Locales left out by the CLI filters keep their bundles, so their hashes stay.
+    const bundlePrefixes = locales.map(locale =>
+        [PATHS.FRONTEND, locale.vendor, locale.name, locale.code, PATHS.MAGEPACK_DIR, 'bundle-'].join('/')
+    );
+
+    const removedKeys = Object.keys(sriData).filter(key =>
+        bundlePrefixes.some(prefix => key.startsWith(prefix))
+    );
+
+    // The config files are not cleaned in a dry run, so there is no new hash to compute.
+    if (dryRun) {
+        return { updated: false, removedKeys };
     }
 
+    consola.start('🔐 Synchronizing SRI hashes...');
+    removedKeys.forEach(key => delete sriData[key]);
+    let updated = removedKeys.length > 0;
+
     // 2. Recalculate hashes for the cleaned RequireJS configs
     for (const locale of locales) {
-        const localePathAbsolute = path.join(rootPath, PATHS.STATIC_FRONTEND, locale.vendor, locale.name, locale.code);
+        const localePathAbsolute = getLocalePath(staticDir, locale);
         const localeKey = [PATHS.FRONTEND, locale.vendor, locale.name, locale.code].join('/');
 
         for (const file of [FILES.REQUIREJS_CONFIG, FILES.REQUIREJS_CONFIG_MIN]) {
@@ -111,33 +154,121 @@ const syncSriHashes = async (locales) => {
         await fs.writeFile(sriPath, JSON.stringify(sriData, null, 4));
         consola.success(`✅ Cleaned and synchronized ${FILES.SRI_HASHES}`);
     }
+
+    return { updated, removedKeys };
+};
+
+/**
+ * Prints what a dry run found in a locale.
+ *
+ * @param {string} label - Locale display label.
+ * @param {string[]} cleanedConfigs - Config files holding a Magepack block.
+ * @param {string[]|null} bundleFiles - Files of the `magepack/` directory.
+ * @returns {void}
+ */
+const printLocalePlan = (label, cleanedConfigs, bundleFiles) => {
+    if (cleanedConfigs.length === 0 && !bundleFiles) {
+        consola.info(`📝 ${label}: nothing to remove.`);
+        return;
+    }
+
+    consola.info(`📝 ${label}:`);
+    cleanedConfigs.forEach((fileName) => consola.log(`   Would remove the Magepack block from ${fileName}`));
+    if (bundleFiles) {
+        consola.log(`   Would delete ${PATHS.MAGEPACK_DIR}/ (${bundleFiles.length} file(s)):`);
+        bundleFiles.forEach((fileName) => consola.log(`      ${PATHS.MAGEPACK_DIR}/${fileName}`));
+    }
 };
 
 /**
  * Main command execution
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.root=process.cwd()] - Magento root directory.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory,
+ *   relative to the root.
+ * @param {string} [options.theme] - Disable only this theme (`Vendor/Theme`).
+ * @param {string|string[]} [options.glob] - Glob pattern(s) over `Vendor/Theme/locale`.
+ * @param {string|string[]} [options.locale] - Locale code(s) to disable.
+ * @param {string|string[]} [options.exclude] - Glob pattern(s) of locales to keep.
+ * @param {boolean|number|string} [options.wait] - Wait for the lock of another run (`true`
+ *   indefinitely, or at most that many seconds) instead of failing.
+ * @param {boolean} [options.force] - Remove the lock of another run.
+ * @param {boolean} [options.dryRun] - Only list what would be repaired and removed: no lock, no write.
+ * @returns {Promise<{
+ *   root: string,
+ *   staticDir: string,
+ *   locales: Array<{locale: Object, label: string, cleanedConfigs: string[], removedBundleDir: boolean, bundleFiles: string[]}>,
+ *   sriUpdated: boolean,
+ *   removedSriKeys: string[],
+ *   recovered: import('./bundle/service/recovery.js').LocaleRecovery[],
+ *   dryRun: boolean
+ * }>} What was (or, in a dry run, would be) cleaned, and the locales repaired (or to repair)
+ *   after an interrupted build.
+ * @throws {MagepackError} If the static content cannot be read or cleanup fails.
  */
-export default async () => {
-    consola.info('🚀 Disabling Magepack and cleaning up static files...');
-    
+export default async (options = {}) => {
+    const root = resolveRoot(options);
+    const staticDir = resolveStaticDir(options);
+
+    const dryRun = Boolean(options.dryRun);
+
+    consola.info(dryRun
+        ? '🔍 Dry run: listing what disabling Magepack would remove, nothing is deleted.'
+        : '🚀 Disabling Magepack and cleaning up static files...');
+
+    let lock = null;
     try {
-        const locales = await getLocales(process.cwd());
+        const locales = await filterLocales(await getLocales(staticDir), staticDir, options);
+        const results = [];
+
+        if (locales.length === 0) {
+            consola.error('No locales found matching criteria.');
+            return { root, staticDir, locales: results, sriUpdated: false, removedSriKeys: [], recovered: [], dryRun };
+        }
+
+        // A dry run only reads, so it does not wait for other runs.
+        if (!dryRun) {
+            lock = await acquireLock(staticDir, { command: 'disable', wait: options.wait, force: options.force });
+        }
+
+        // An interrupted build may have left magepack_backup/ or magepack_build/ behind.
+        // A dry run lists these repairs, since the actual run makes them first.
+        const recovered = await recoverLocales(locales, staticDir, dryRun);
 
         for (const locale of locales) {
-            const localePath = path.join(process.cwd(), PATHS.STATIC_FRONTEND, locale.vendor, locale.name, locale.code);
+            const localePath = getLocalePath(staticDir, locale);
             const label = `${locale.vendor}/${locale.name} (${locale.code})`;
             
-            consola.info(`Processing ${label}...`);
-            await cleanRequireConfig(localePath);
-            await deleteMagepackDir(localePath);
+            if (!dryRun) consola.info(`Processing ${label}...`);
+            const cleanedConfigs = await cleanRequireConfig(localePath, dryRun);
+            const bundleFiles = await deleteMagepackDir(localePath, dryRun);
+            if (dryRun) printLocalePlan(label, cleanedConfigs, bundleFiles);
+            results.push({ locale, label, cleanedConfigs, removedBundleDir: bundleFiles !== null, bundleFiles: bundleFiles ?? [] });
+        }
+
+        const { updated: sriUpdated, removedKeys: removedSriKeys } = await syncSriHashes(locales, staticDir, dryRun);
+
+        if (dryRun) {
+            if (removedSriKeys.length > 0) {
+                consola.info(`🔐 Would remove ${removedSriKeys.length} entr${removedSriKeys.length === 1 ? 'y' : 'ies'} from ${FILES.SRI_HASHES} (and refresh the hashes of the cleaned RequireJS config files):`);
+                removedSriKeys.forEach((key) => consola.log(`   ${key}`));
+            }
+            consola.success('✨ Dry run complete, nothing was removed.');
+            return { root, staticDir, locales: results, sriUpdated, removedSriKeys, recovered, dryRun };
         }
 
-        await syncSriHashes(locales);
-        
         consola.success('✨ Magepack has been successfully disabled across all locales.');
         consola.info('💡 Note: You can re-enable it by running the `magepack bundle` command again.');
-        
+
+        return { root, staticDir, locales: results, sriUpdated, removedSriKeys, recovered, dryRun };
     } catch (e) {
         consola.error('❌ Failed to disable Magepack: ', e.message);
-        process.exit(1);
+        if (e instanceof MagepackError) {
+            throw e;
+        }
+        throw new DisableError(`Failed to disable Magepack: ${e.message}`, { cause: e });
+    } finally {
+        await lock?.release();
     }
 };
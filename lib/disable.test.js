@@ -0,0 +1,57 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import disable from './disable.js';
+import { MARKERS } from './utils/constants.js';
+
+describe('disable', () => {
+    let root;
+    let localePath;
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-disable-'));
+        localePath = path.join(root, 'pub/static/frontend/Acme/luma/en_US');
+
+        // Killed between the two renames of a swap, with a half-written build next to it.
+        await fs.mkdir(path.join(localePath, 'magepack_backup'), { recursive: true });
+        await fs.mkdir(path.join(localePath, 'magepack_build'));
+        await fs.writeFile(path.join(localePath, 'magepack_backup/bundle-common.js'), '');
+        await fs.writeFile(path.join(localePath, 'magepack_build/bundle-common.js'), '');
+        await fs.writeFile(
+            path.join(localePath, 'requirejs-config.js'),
+            `require.config({});\n${MARKERS.START}require.config({bundles: {}});${MARKERS.END}`
+        );
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('--dry-run lists the repairs of leftovers it would make first, without making them', async () => {
+        const result = await disable({ root, dryRun: true });
+
+        expect(result.recovered).toHaveLength(1);
+        expect(result.recovered[0].actions).toEqual([
+            'would remove the leftover magepack_build/ directory of an unfinished build',
+            'would restore magepack/ from magepack_backup/ (the swap was interrupted)',
+        ]);
+        // magepack/ comes back from the backup, then is deleted.
+        expect(result.locales[0].bundleFiles).toEqual(['bundle-common.js']);
+        expect(result.locales[0].cleanedConfigs).toEqual(['requirejs-config.js']);
+        expect((await fs.readdir(localePath)).sort()).toEqual(['magepack_backup', 'magepack_build', 'requirejs-config.js']);
+    });
+
+    test('repairs, then removes everything the dry run listed', async () => {
+        const result = await disable({ root });
+
+        expect(result.recovered[0].actions).toHaveLength(2);
+        expect(result.locales[0].bundleFiles).toEqual(['bundle-common.js']);
+        expect(await fs.readdir(localePath)).toEqual(['requirejs-config.js']);
+        expect(await fs.readFile(path.join(localePath, 'requirejs-config.js'), 'utf8')).toBe('require.config({});');
+    });
+});
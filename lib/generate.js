@@ -1,11 +1,13 @@
 import puppeteer from 'puppeteer';
-import { stringify } from 'javascript-stringify';
 import fs from 'node:fs';
 import path from 'node:path';
-import { createRequire } from 'node:module';
 
 import logger from './utils/logger.js';
 import { FILES } from './utils/constants.js';
+import { ConfigError, GenerateError } from './utils/errors.js';
+import { resolveRoot } from './utils/paths.js';
+import { onShutdown } from './utils/shutdown.js';
+import { loadConfig, detectConfigFormat, serializeConfig } from './utils/configLoader.js';
 import * as collectors from './generate/collector/index.js';
 import extractCommonBundle from './generate/extractCommonBundle.js';
 
@@ -24,9 +26,32 @@ import extractCommonBundle from './generate/extractCommonBundle.js';
  * @param {string} [generationConfig.authPassword] - HTTP Basic Auth password (optional).
  * @param {string|number} generationConfig.timeout - Global timeout for browser operations in seconds.
  * @param {boolean} [generationConfig.skipCheckout] - Whether to skip the checkout bundle generation.
- * @returns {Promise<void>} Resolves when the configuration file has been written to disk.
+ * @param {string} [generationConfig.root=process.cwd()] - Base directory for relative paths.
+ * @param {string} [generationConfig.output='magepack.config.js'] - Config file to write, relative
+ *   to the root. An existing file at this path provides the preserved `exclusions`, `selectors`,
+ *   `options` and `profiles`,
+ *   and is rewritten in its own format (CommonJS, ESM or JSON). A new file's format follows its
+ *   extension (`.json`, `.mjs`, `.cjs`; `.js` is written as CommonJS).
+ * @param {string} [generationConfig.theme] - Write the bundles to `themes[theme]` (`Vendor/Theme`)
+ *   instead of the top-level `bundles`, which are then left untouched.
+ * @param {string} [generationConfig.locale] - With `theme`, write to `themes[theme].locales[locale]`.
+ * @returns {Promise<{configPath: string, config: Object}>} The written file and its content.
+ * @throws {ConfigError} If `locale` is given without `theme`.
+ * @throws {GenerateError} If a collector fails.
  */
 export default async (generationConfig) => {
+    const root = resolveRoot(generationConfig);
+    const outputPath = path.resolve(root, generationConfig.output || FILES.MAGEPACK_CONFIG);
+
+    if (generationConfig.locale && !generationConfig.theme) {
+        throw new ConfigError('A locale-scoped configuration (--locale) also requires --theme.');
+    }
+
+    /** @type {{theme: string, locale?: string}|null} Target section for theme-scoped generation. */
+    const scope = generationConfig.theme
+        ? { theme: generationConfig.theme, locale: generationConfig.locale }
+        : null;
+
     // Parse timeout to milliseconds, ensuring it is an integer.
     const timeout = parseInt(generationConfig.timeout, 10) * 1000;
 
@@ -55,19 +80,29 @@ export default async (generationConfig) => {
 
     logger.info(`Starting generation with timeout: ${generationConfig.timeout}s`);
     logger.info(`Viewport mode: ${isDesktop ? 'Desktop (1920x1080)' : 'Mobile (412x732)'}`);
+    if (scope) {
+        logger.info(`Writing bundles to the themes["${scope.theme}"]${scope.locale ? `.locales.${scope.locale}` : ''} section.`);
+    }
     logger.info('Launching Puppeteer browser...');
 
     // --- 1. PERSISTENCE STRATEGY (Safety Check) ---
-    // We read the existing config to preserve 'exclusions' and load 'selectors'.
-    const configPath = path.resolve(FILES.MAGEPACK_CONFIG);
+    // We read the existing config to preserve 'exclusions', 'options', 'profiles', 'themes' and 'budgets' and load 'selectors'.
     let preservedExclusions = [];
     let customSelectors = {};
+    let preservedBuildSettings = {};
+    let preservedDefaultBundles = null;
+    let outputFormat = detectConfigFormat(outputPath);
     
-    if (fs.existsSync(configPath)) {
+    if (fs.existsSync(outputPath)) {
         try {
-            const require = createRequire(import.meta.url);
-            const existingConfig = require(configPath);
+            const { config: existingConfig, format } = await loadConfig(outputPath);
+            outputFormat = format;
             
+            // A theme-scoped run only replaces its own section; keep the default bundles.
+            if (scope) {
+                preservedDefaultBundles = Array.isArray(existingConfig) ? existingConfig : existingConfig.bundles || null;
+            }
+
             // Check for modern object format
             if (!Array.isArray(existingConfig)) {
                 if (Array.isArray(existingConfig.exclusions)) {
@@ -80,6 +115,14 @@ export default async (generationConfig) => {
                     customSelectors = existingConfig.selectors;
                     logger.info(`Loaded custom selector overrides from config.`);
                 }
+
+                // Build options, profiles and theme sections are only read by `bundle`; carry them over untouched.
+                for (const key of ['options', 'profiles', 'themes', 'budgets']) {
+                    if (existingConfig[key] !== undefined) {
+                        preservedBuildSettings[key] = existingConfig[key];
+                        logger.info(`Preserving existing build "${key}".`);
+                    }
+                }
             }
         } catch (e) {
             logger.warn(`Could not read existing config to preserve settings: ${e.message}`);
@@ -107,84 +150,98 @@ export default async (generationConfig) => {
         ],
         defaultViewport: viewportConfig,
         ignoreHTTPSErrors: true,
+        // Closed by our own SIGINT/SIGTERM cleanup below, which lets the signal end the process.
+        handleSIGINT: false,
+        handleSIGTERM: false,
     });
 
-    // Create a clean browser context to isolate cookies/storage if needed.
-    const browserContext = await browser.createBrowserContext();
+    // Ctrl+C or a CI timeout must not leave Chromium running.
+    const releaseShutdown = onShutdown(() => browser.close());
+    const closeBrowser = async () => {
+        releaseShutdown();
+        await browser.close();
+    };
 
-    // Create a mutable copy of collectors to manage the execution list.
-    const activeCollectors = { ...collectors };
+    let bundles = [];
 
-    if (generationConfig.skipCheckout) {
-        delete activeCollectors['checkout'];
-    }
+    // Whatever throws between launch and the end of collection, Chromium is closed.
+    try {
+        // Create a clean browser context to isolate cookies/storage if needed.
+        const browserContext = await browser.createBrowserContext();
 
-    logger.info('Collecting bundle modules...');
+        // Create a mutable copy of collectors to manage the execution list.
+        const activeCollectors = { ...collectors };
 
-    let bundles = [];
+        if (generationConfig.skipCheckout) {
+            delete activeCollectors['checkout'];
+        }
 
-    // Split collectors into two execution groups:
-    //   - parallel: cms, category, product — fully independent, run concurrently.
-    //   - sequential: checkout — must run AFTER parallel phase because it needs
-    //     a populated cart (product page + add-to-cart) to navigate to checkout.
-    const { SEQUENTIAL_COLLECTORS } = collectors;
-    const parallelEntries = [];
-    const sequentialEntries = [];
-
-    for (const [name, collectorFn] of Object.entries(activeCollectors)) {
-        if (typeof collectorFn !== 'function') continue;
-        (SEQUENTIAL_COLLECTORS.has(name) ? sequentialEntries : parallelEntries).push([name, collectorFn]);
-    }
+        logger.info('Collecting bundle modules...');
 
-    // --- PARALLEL PHASE ---
-    if (parallelEntries.length > 0) {
-        logger.info(`Running ${parallelEntries.length} collector(s) in parallel: ${parallelEntries.map(([n]) => n).join(', ')}`);
+        // Split collectors into two execution groups:
+        //   - parallel: cms, category, product — fully independent, run concurrently.
+        //   - sequential: checkout — must run AFTER parallel phase because it needs
+        //     a populated cart (product page + add-to-cart) to navigate to checkout.
+        const { SEQUENTIAL_COLLECTORS } = collectors;
+        const parallelEntries = [];
+        const sequentialEntries = [];
 
-        const parallelResults = await Promise.allSettled(
-            parallelEntries.map(([name, collectorFn]) =>
-                collectorFn(browserContext, { ...generationConfig, timeout })
-                    .then(result => ({ name, result }))
-            )
-        );
+        for (const [name, collectorFn] of Object.entries(activeCollectors)) {
+            if (typeof collectorFn !== 'function') continue;
+            (SEQUENTIAL_COLLECTORS.has(name) ? sequentialEntries : parallelEntries).push([name, collectorFn]);
+        }
 
-        for (const settled of parallelResults) {
-            if (settled.status === 'rejected') {
-                logger.error('A parallel collector failed:');
-                logger.error(settled.reason);
-                await browser.close();
-                process.exit(1);
-            }
-            const { name, result } = settled.value;
-            logger.debug(`Collector "${name}" completed.`);
-            if (Array.isArray(result)) {
-                bundles.push(...result);
-            } else {
-                bundles.push(result);
+        // --- PARALLEL PHASE ---
+        if (parallelEntries.length > 0) {
+            logger.info(`Running ${parallelEntries.length} collector(s) in parallel: ${parallelEntries.map(([n]) => n).join(', ')}`);
+
+            const parallelResults = await Promise.allSettled(
+                parallelEntries.map(([name, collectorFn]) =>
+                    collectorFn(browserContext, { ...generationConfig, timeout })
+                        .then(result => ({ name, result }))
+                )
+            );
+
+            for (const settled of parallelResults) {
+                if (settled.status === 'rejected') {
+                    logger.error('A parallel collector failed:');
+                    logger.error(settled.reason);
+                    throw new GenerateError(
+                        `A parallel collector failed: ${settled.reason?.message ?? settled.reason}`,
+                        { cause: settled.reason }
+                    );
+                }
+                const { name, result } = settled.value;
+                logger.debug(`Collector "${name}" completed.`);
+                if (Array.isArray(result)) {
+                    bundles.push(...result);
+                } else {
+                    bundles.push(result);
+                }
             }
         }
-    }
 
-    // --- SEQUENTIAL PHASE (checkout) ---
-    for (const [name, collectorFn] of sequentialEntries) {
-        try {
-            logger.debug(`Starting sequential collector: ${name}`);
-            const result = await collectorFn(browserContext, { ...generationConfig, timeout });
-            if (Array.isArray(result)) {
-                bundles.push(...result);
-            } else {
-                bundles.push(result);
+        // --- SEQUENTIAL PHASE (checkout) ---
+        for (const [name, collectorFn] of sequentialEntries) {
+            try {
+                logger.debug(`Starting sequential collector: ${name}`);
+                const result = await collectorFn(browserContext, { ...generationConfig, timeout });
+                if (Array.isArray(result)) {
+                    bundles.push(...result);
+                } else {
+                    bundles.push(result);
+                }
+            } catch (error) {
+                logger.error(`Collector "${name}" failed with error:`);
+                logger.error(error);
+                throw new GenerateError(`Collector "${name}" failed: ${error.message}`, { cause: error });
             }
-        } catch (error) {
-            logger.error(`Collector "${name}" failed with error:`);
-            logger.error(error);
-            await browser.close();
-            process.exit(1);
         }
-    }
 
-    logger.debug('Finished collection, closing the browser.');
-
-    await browser.close();
+        logger.debug('Finished collection, closing the browser.');
+    } finally {
+        await closeBrowser();
+    }
 
     logger.debug('Extracting common modules into shared bundle...');
 
@@ -199,16 +256,16 @@ export default async (generationConfig) => {
         );
     });
 
-    /**
-     * Write the final configuration to `magepack.config.js`.
-     * Uses synchronous write to ensure CLI process doesn't exit before IO completion.
-     */
-    const outputPath = path.resolve('magepack.config.js');
-
     // --- 2. CONSTRUCT FINAL OUTPUT ---
-    const finalConfig = {
-        bundles: bundles
-    };
+    // With --theme, the crawl result replaces only `themes[theme]` (or its
+    // `locales[code]` override); the default `bundles` are kept as they were.
+    const finalConfig = {};
+
+    if (!scope) {
+        finalConfig.bundles = bundles;
+    } else if (preservedDefaultBundles) {
+        finalConfig.bundles = preservedDefaultBundles;
+    }
 
     // Only add exclusions key if we actually have some, to keep config clean
     if (preservedExclusions.length > 0) {
@@ -220,10 +277,33 @@ export default async (generationConfig) => {
         finalConfig.selectors = customSelectors;
     }
 
-    fs.writeFileSync(
-        outputPath,
-        `module.exports = ${stringify(finalConfig, null, '  ')};`
-    );
+    Object.assign(finalConfig, preservedBuildSettings);
+
+    if (scope) {
+        const themes = { ...(finalConfig.themes || {}) };
+        const themeSection = { ...(themes[scope.theme] || {}) };
+
+        if (scope.locale) {
+            themeSection.locales = {
+                ...(themeSection.locales || {}),
+                [scope.locale]: { ...(themeSection.locales?.[scope.locale] || {}), bundles },
+            };
+        } else {
+            themeSection.bundles = bundles;
+        }
+
+        themes[scope.theme] = themeSection;
+        finalConfig.themes = themes;
+    }
+
+    /**
+     * Write the final configuration to the output path (`--output`, default `magepack.config.js`).
+     * Uses synchronous write to ensure CLI process doesn't exit before IO completion.
+     */
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, serializeConfig(finalConfig, outputFormat));
     
-    logger.info(`Configuration saved to: ${outputPath}`);
+    logger.info(`Configuration saved to: ${outputPath} (${outputFormat}).`);
+
+    return { configPath: outputPath, config: finalConfig };
 };
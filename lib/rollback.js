@@ -0,0 +1,258 @@
+/**
+ * @file lib/rollback.js
+ * @description `magepack rollback`: restores a previous build recorded by `bundle`.
+ *
+ * Every successful `bundle` records the live build of each locale in
+ * `.magepack-history/` (see `bundle/service/buildHistory.js`). Rolling back a
+ * locale links the recorded bundle files into `magepack_build/`, checks them
+ * against their recorded SRI hashes, swaps them in like `bundle` does, writes
+ * back the exact `require.config` block injected with them, and restores the
+ * bundle cache and build stats of that build. Any failure before the locale is
+ * complete puts the previous bundles and config back.
+ *
+ * Once the locales are rolled back, `sri-hashes.json` gets the recorded bundle
+ * hashes (the hashes of bundles the restored build does not have are removed)
+ * and fresh hashes of the RequireJS config files.
+ *
+ * @module rollback
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import consola from 'consola';
+
+import { PATHS, FILES } from './utils/constants.js';
+import { RollbackError, MagepackError } from './utils/errors.js';
+import { resolveRoot, resolveStaticDir, getLocalePath } from './utils/paths.js';
+import getLocales from './bundle/getLocales.js';
+import filterLocales from './bundle/filterLocales.js';
+import { listBuilds, stageBuild, markRestored } from './bundle/service/buildHistory.js';
+import { recoverLocales } from './bundle/service/recovery.js';
+import acquireLock from './utils/lock.js';
+import { readRequireConfigBlocks, restoreRequireConfigBlocks } from './bundle/service/configInjector.js';
+import { swapIn, revertSwap, dropBackup } from './bundle/service/atomicSwap.js';
+import { generateSriHash } from './bundle/service/sriUpdater.js';
+
+/**
+ * @typedef {Object} LocaleRollback
+ * @property {{vendor: string, name: string, code: string}} locale - The locale.
+ * @property {string} label - Display label (e.g. `Vendor/Theme (en_US)`).
+ * @property {'rolled-back'|'skipped'|'failed'} status - Outcome for the locale.
+ * @property {string|null} from - Id of the build that was live.
+ * @property {string|null} to - Id of the restored build.
+ * @property {string} [reason] - Why the locale was skipped or failed.
+ * @property {Array<{id: string, createdAt: string, bundles: string[], current: boolean}>} [builds] -
+ *   Recorded builds, newest first (`--list` only).
+ */
+
+/**
+ * Picks the build to restore: `--to <id>`, or the one recorded before the live build.
+ *
+ * @param {{current: string|null, builds: import('./bundle/service/buildHistory.js').BuildManifest[]}} history
+ * @param {string} [to] - Requested build id.
+ * @returns {{target: Object|null, reason: string|null}}
+ */
+const pickTarget = ({ current, builds }, to) => {
+    if (to) {
+        const target = builds.find((build) => build.id === to);
+        if (!target) return { target: null, reason: `no recorded build "${to}"` };
+        if (target.id === current) return { target: null, reason: `build "${to}" is already live` };
+        return { target, reason: null };
+    }
+
+    const currentIndex = builds.findIndex((build) => build.id === current);
+    const target = builds[currentIndex === -1 ? 0 : currentIndex + 1];
+    return target
+        ? { target, reason: null }
+        : { target: null, reason: 'no earlier build recorded' };
+};
+
+/**
+ * Restores a recorded build into a locale. On failure, the previous bundles
+ * and RequireJS config are put back before the error is rethrown.
+ *
+ * @param {string} localePath - Absolute locale path.
+ * @param {import('./bundle/service/buildHistory.js').BuildManifest} target - The build to restore.
+ * @returns {Promise<void>}
+ */
+const restoreBuild = async (localePath, target) => {
+    const stagingDir = path.join(localePath, PATHS.BUILD_DIR);
+    await fs.rm(stagingDir, { recursive: true, force: true });
+
+    const previousBlocks = await readRequireConfigBlocks(localePath);
+    const swap = { movedAside: false, swapped: false };
+    let configTouched = false;
+
+    try {
+        await stageBuild(localePath, target, stagingDir);
+        await swapIn(localePath, stagingDir, swap);
+        configTouched = true;
+        await restoreRequireConfigBlocks(localePath, target.requireConfig);
+    } catch (e) {
+        await revertSwap(localePath, stagingDir, swap);
+        if (configTouched) {
+            await restoreRequireConfigBlocks(localePath, previousBlocks);
+        }
+        throw e;
+    }
+
+    await dropBackup(localePath);
+    await markRestored(localePath, target);
+};
+
+/**
+ * Writes the restored bundle hashes and fresh RequireJS config hashes to
+ * `sri-hashes.json`, dropping the bundle hashes of the replaced builds.
+ *
+ * @param {Array<{locale: Object, target: Object}>} restored - Rolled back locales.
+ * @param {string} staticDir - Absolute frontend static directory.
+ * @returns {Promise<boolean>} True if `sri-hashes.json` was rewritten.
+ */
+const syncSriHashes = async (restored, staticDir) => {
+    const sriPath = path.join(staticDir, FILES.SRI_HASHES);
+
+    let sriData;
+    try {
+        sriData = JSON.parse(await fs.readFile(sriPath, 'utf8'));
+    } catch {
+        return false; // No SRI file found, feature inactive
+    }
+
+    consola.start('🔐 Synchronizing SRI hashes...');
+
+    for (const { locale, target } of restored) {
+        const localeKey = [PATHS.FRONTEND, locale.vendor, locale.name, locale.code].join('/');
+        const bundlePrefix = `${localeKey}/${PATHS.MAGEPACK_DIR}/bundle-`;
+
+        for (const key of Object.keys(sriData)) {
+            if (key.startsWith(bundlePrefix)) delete sriData[key];
+        }
+        for (const [key, hash] of Object.entries(target.sri)) {
+            if (key.startsWith(bundlePrefix)) sriData[key] = hash;
+        }
+
+        // The config files hold the restored block, but the rest of them may
+        // have been redeployed since: hash them as they are now.
+        for (const file of [FILES.REQUIREJS_CONFIG, FILES.REQUIREJS_CONFIG_MIN]) {
+            const buffer = await fs.readFile(path.join(getLocalePath(staticDir, locale), file)).catch(() => null);
+            if (buffer) sriData[`${localeKey}/${file}`] = generateSriHash(buffer);
+        }
+    }
+
+    await fs.writeFile(sriPath, JSON.stringify(sriData, null, 4));
+    consola.success(`✅ Synchronized ${FILES.SRI_HASHES}`);
+    return true;
+};
+
+/**
+ * Main command execution
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.root=process.cwd()] - Magento root directory.
+ * @param {string} [options.staticDir='pub/static/frontend'] - Frontend static directory,
+ *   relative to the root.
+ * @param {string} [options.theme] - Roll back only this theme (`Vendor/Theme`).
+ * @param {string|string[]} [options.glob] - Glob pattern(s) over `Vendor/Theme/locale`.
+ * @param {string|string[]} [options.locale] - Locale code(s) to roll back.
+ * @param {string|string[]} [options.exclude] - Glob pattern(s) of locales to keep.
+ * @param {string} [options.to] - Id of the build to restore (default: the build before the live one).
+ * @param {boolean} [options.list] - Only list the recorded builds.
+ * @param {boolean|number|string} [options.wait] - Wait for the lock of another run (`true`
+ *   indefinitely, or at most that many seconds) instead of failing.
+ * @param {boolean} [options.force] - Remove the lock of another run.
+ * @returns {Promise<{root: string, staticDir: string, locales: LocaleRollback[], sriUpdated: boolean}>}
+ * @throws {RollbackError} If no locale could be rolled back, or a rollback failed.
+ * @throws {LockError} If another run holds the lock on the static directory.
+ */
+export default async (options = {}) => {
+    const root = resolveRoot(options);
+    const staticDir = resolveStaticDir(options);
+
+    let locales;
+    try {
+        locales = await filterLocales(await getLocales(staticDir), staticDir, options);
+    } catch (e) {
+        if (e instanceof MagepackError) throw e;
+        throw new RollbackError(`Failed to read the deployed locales: ${e.message}`, { cause: e });
+    }
+
+    if (locales.length === 0) {
+        throw new RollbackError('No locales found matching criteria.');
+    }
+
+    // Listing reads only; restoring takes the static directory lock like `bundle`.
+    const lock = options.list
+        ? null
+        : await acquireLock(staticDir, { command: 'rollback', wait: options.wait, force: options.force });
+
+    try {
+        // Repair interrupted swaps first, so the live build is known.
+        if (!options.list) {
+            await recoverLocales(locales, staticDir);
+        }
+
+        /** @type {LocaleRollback[]} */
+        const results = [];
+        const restored = [];
+
+        for (const locale of locales) {
+            const localePath = getLocalePath(staticDir, locale);
+            const label = `${locale.vendor}/${locale.name} (${locale.code})`;
+            const history = await listBuilds(localePath);
+
+            if (options.list) {
+                const builds = history.builds.map((build) => ({
+                    id: build.id,
+                    createdAt: build.createdAt,
+                    bundles: build.bundles.map((bundle) => bundle.name),
+                    current: build.id === history.current,
+                }));
+                consola.info(`🕘 ${label}: ${builds.length} recorded build(s).`);
+                builds.forEach((build) => consola.log(
+                    `   ${build.current ? '▶' : ' '} ${build.id}  ${build.bundles.join(', ')}${build.current ? '  (live)' : ''}`
+                ));
+                results.push({ locale, label, status: 'skipped', from: history.current, to: null, builds });
+                continue;
+            }
+
+            const { target, reason } = pickTarget(history, options.to);
+            if (!target) {
+                consola.warn(`⏭️  ${label}: skipped, ${reason}.`);
+                results.push({ locale, label, status: 'skipped', from: history.current, to: null, reason });
+                continue;
+            }
+
+            try {
+                await restoreBuild(localePath, target);
+                consola.success(`↩️  ${label}: rolled back to build ${target.id}.`);
+                results.push({ locale, label, status: 'rolled-back', from: history.current, to: target.id });
+                restored.push({ locale, target });
+            } catch (e) {
+                consola.error(`❌ Rollback failed for ${label}, previous bundles kept: ${e.message}`);
+                results.push({ locale, label, status: 'failed', from: history.current, to: target.id, reason: e.message });
+            }
+        }
+
+        if (options.list) {
+            return { root, staticDir, locales: results, sriUpdated: false };
+        }
+
+        const sriUpdated = restored.length > 0 ? await syncSriHashes(restored, staticDir) : false;
+
+        const failed = results.filter((result) => result.status === 'failed');
+        if (failed.length > 0) {
+            throw new RollbackError(`Rollback failed for: ${failed.map((result) => result.label).join(', ')}.`);
+        }
+        if (restored.length === 0) {
+            throw new RollbackError('Nothing to roll back: no locale has a recorded build to restore.');
+        }
+
+        return { root, staticDir, locales: results, sriUpdated };
+    } finally {
+        await lock?.release();
+    }
+};
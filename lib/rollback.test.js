@@ -0,0 +1,80 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import bundle from './bundle.js';
+import rollback from './rollback.js';
+import { RollbackError } from './utils/errors.js';
+
+describe('rollback', () => {
+    let root;
+    let localePath;
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-rollback-'));
+        localePath = path.join(root, 'pub/static/frontend/Acme/luma/en_US');
+        await fs.mkdir(path.join(localePath, 'Acme_Foo/js'), { recursive: true });
+        await fs.writeFile(path.join(localePath, 'requirejs-config.js'), 'require.config({});');
+        await fs.writeFile(path.join(localePath, 'jquery.js'), `define('jquery', [], function () { return {}; });`);
+        await fs.writeFile(path.join(localePath, 'Acme_Foo/js/b.js'), `define([], function () { return {}; });`);
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    /** Builds the locale with a given version of the module, and `extra` in the bundle if set. */
+    const build = async (version, extra = false) => {
+        await fs.writeFile(
+            path.join(localePath, 'Acme_Foo/js/a.js'),
+            `define(['jquery'], function ($) { return { version: ${version} }; });`
+        );
+        const modules = { jquery: 'jquery', 'Acme_Foo/js/a': 'Acme_Foo/js/a', ...(extra ? { 'Acme_Foo/js/b': 'Acme_Foo/js/b' } : {}) };
+        // One file per build: the config module is cached once loaded.
+        const config = `magepack-${version}.config.js`;
+        await fs.writeFile(path.join(root, config), `module.exports = ${JSON.stringify({ bundles: [{ name: 'common', modules }] })};`);
+        await bundle({ root, config, concurrency: 1 });
+    };
+
+    const live = async () => ({
+        bundle: await fs.readFile(path.join(localePath, 'magepack/bundle-common.js'), 'utf8'),
+        config: await fs.readFile(path.join(localePath, 'requirejs-config.js'), 'utf8'),
+    });
+
+    test('restores the previous build with its RequireJS config', async () => {
+        await build(1);
+        const first = await live();
+        await build(2, true);
+        expect((await live()).config).not.toBe(first.config);
+
+        const result = await rollback({ root });
+
+        expect(result.locales.map((l) => l.status)).toEqual(['rolled-back']);
+        expect(await live()).toEqual(first);
+        expect(await fs.readdir(localePath)).not.toEqual(expect.arrayContaining(['magepack_backup']));
+
+        const { locales: [listed] } = await rollback({ root, list: true });
+        expect(listed.builds.map((b) => b.current)).toEqual([false, true]);
+    });
+
+    test('keeps the live build when the restore fails', async () => {
+        await build(1);
+        await build(2, true);
+        const second = await live();
+        // Written by the restore, but unreadable.
+        await fs.mkdir(path.join(localePath, 'requirejs-config.min.js'));
+
+        await expect(rollback({ root })).rejects.toBeInstanceOf(RollbackError);
+        expect(await live()).toEqual(second);
+    });
+
+    test('fails when there is no previous build', async () => {
+        await build(1);
+
+        await expect(rollback({ root })).rejects.toThrow('Nothing to roll back');
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * @file lib/utils/configLoader.js
+ * @description Loads and serializes `magepack.config` files in every supported format.
+ *
+ * Supported files:
+ *   - `.json`  plain JSON.
+ *   - `.cjs`   CommonJS (`module.exports = {...}`).
+ *   - `.mjs`   ES module (`export default {...}`).
+ *   - `.js`    either of the above. The syntax is detected from the source, and
+ *              the file is evaluated correctly even when it disagrees with the
+ *              `"type"` of the project's `package.json` (e.g. a CommonJS config
+ *              in a `"type": "module"` project).
+ *
+ * The detected format is returned with the config so `generate` can write the
+ * file back in the style the user chose.
+ *
+ * @module utils/configLoader
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation (replaces the inline `createRequire` loading).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import { stringify } from 'javascript-stringify';
+import { ConfigError } from './errors.js';
+
+/**
+ * @typedef {'cjs'|'esm'|'json'} ConfigFormat
+ */
+
+/**
+ * Matches a top-level ES module export statement.
+ * @type {RegExp}
+ */
+const ESM_EXPORT_PATTERN = /^\s*export\s+(default\b|const\b|let\b|var\b|\{)/m;
+
+/**
+ * Matches the error of a CommonJS binding used in a file evaluated as an ES module
+ * (`module is not defined in ES module scope`).
+ * @type {RegExp}
+ */
+const MISSING_COMMONJS_BINDING_PATTERN = /^(module|exports|require|__filename|__dirname) is not defined\b/;
+
+/**
+ * Detects the format of a config file from its extension and, for `.js`, its source.
+ *
+ * @param {string} filePath - Config file path.
+ * @param {string} [source] - File contents; only needed for `.js` files.
+ * @returns {ConfigFormat}
+ */
+export const detectConfigFormat = (filePath, source = '') => {
+    switch (path.extname(filePath).toLowerCase()) {
+        case '.json':
+            return 'json';
+        case '.mjs':
+            return 'esm';
+        case '.cjs':
+            return 'cjs';
+        default:
+            return ESM_EXPORT_PATTERN.test(source) ? 'esm' : 'cjs';
+    }
+};
+
+/**
+ * Evaluates a CommonJS config.
+ *
+ * `require()` refuses (or mis-evaluates as ESM) a `.js` file inside a
+ * `"type": "module"` package, so in that case, and only then, the source is run
+ * in a CommonJS-style wrapper instead.
+ *
+ * @async
+ * @param {string} absPath - Absolute config path.
+ * @param {string} source - File contents.
+ * @returns {Promise<unknown>} The value of `module.exports`.
+ */
+const loadCommonJs = async (absPath, source) => {
+    const require = createRequire(absPath);
+
+    try {
+        // Drop a previous load so long-running API consumers see edits.
+        delete require.cache[absPath];
+        return require(absPath);
+    } catch (e) {
+        // Only the "CommonJS file in an ESM package" failures: any other error
+        // (e.g. a typo'd identifier) is the config's own and must surface as is,
+        // without running the file a second time.
+        const esmScope = e instanceof ReferenceError && MISSING_COMMONJS_BINDING_PATTERN.test(e.message);
+        if (e.code !== 'ERR_REQUIRE_ESM' && !esmScope) {
+            throw e;
+        }
+
+        const module = { exports: {} };
+        new Function('module', 'exports', 'require', '__filename', '__dirname', source)(
+            module, module.exports, require, absPath, path.dirname(absPath)
+        );
+        return module.exports;
+    }
+};
+
+/**
+ * Evaluates an ES module config.
+ *
+ * A `.js` file using `export` in a CommonJS package cannot be imported from disk,
+ * so in that case it is imported from a `data:` URL built from its source.
+ *
+ * @async
+ * @param {string} absPath - Absolute config path.
+ * @param {string} source - File contents.
+ * @returns {Promise<unknown>} The default export, or the named exports if there is none.
+ */
+const loadEsm = async (absPath, source) => {
+    const { mtimeMs } = await fs.stat(absPath);
+    let namespace;
+
+    try {
+        // The query string busts the ESM loader cache when the file changes.
+        namespace = await import(`${pathToFileURL(absPath).href}?mtime=${mtimeMs}`);
+    } catch (e) {
+        if (!(e instanceof SyntaxError) || path.extname(absPath) !== '.js') {
+            throw e;
+        }
+        namespace = await import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+    }
+
+    return namespace.default !== undefined ? namespace.default : { ...namespace };
+};
+
+/**
+ * Loads a Magepack config file.
+ *
+ * @async
+ * @param {string} absPath - Absolute config path.
+ * @returns {Promise<{config: unknown, format: ConfigFormat}>}
+ * @throws {ConfigError} If the file cannot be read or evaluated.
+ */
+export const loadConfig = async (absPath) => {
+    try {
+        const source = await fs.readFile(absPath, 'utf8');
+        const format = detectConfigFormat(absPath, source);
+
+        let config;
+        if (format === 'json') {
+            config = JSON.parse(source);
+        } else if (format === 'esm') {
+            config = await loadEsm(absPath, source);
+        } else {
+            config = await loadCommonJs(absPath, source);
+        }
+
+        return { config, format };
+    } catch (e) {
+        throw new ConfigError(`Could not load configuration file ${absPath}: ${e.message}`, { cause: e });
+    }
+};
+
+/**
+ * Serializes a config object to file contents in the given format.
+ *
+ * @param {Object} config - The configuration object.
+ * @param {ConfigFormat} format - Target format.
+ * @returns {string}
+ */
+export const serializeConfig = (config, format) => {
+    switch (format) {
+        case 'json':
+            return `${JSON.stringify(config, null, 2)}\n`;
+        case 'esm':
+            return `export default ${stringify(config, null, '  ')};\n`;
+        default:
+            return `module.exports = ${stringify(config, null, '  ')};`;
+    }
+};
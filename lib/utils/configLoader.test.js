@@ -0,0 +1,46 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadConfig } from './configLoader.js';
+import { ConfigError } from './errors.js';
+
+describe('loadConfig', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-config-'));
+        delete globalThis.magepackConfigLoads;
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+        delete globalThis.magepackConfigLoads;
+    });
+
+    test('loads a CommonJS config inside a "type": "module" package', async () => {
+        await fs.writeFile(path.join(dir, 'package.json'), '{"type": "module"}');
+        const configPath = path.join(dir, 'magepack.config.js');
+        await fs.writeFile(configPath, "module.exports = { bundles: [{ name: 'vendor', modules: {} }] };");
+
+        const { config, format } = await loadConfig(configPath);
+
+        expect(format).toBe('cjs');
+        expect(config.bundles[0].name).toBe('vendor');
+    });
+
+    test('surfaces a ReferenceError of the config itself, evaluating it once', async () => {
+        const configPath = path.join(dir, 'magepack.config.js');
+        await fs.writeFile(
+            configPath,
+            'globalThis.magepackConfigLoads = (globalThis.magepackConfigLoads || 0) + 1;\n' +
+            'module.exports = { bundles: bundlesTypo };'
+        );
+
+        const error = await loadConfig(configPath).catch((e) => e);
+
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.cause).toBeInstanceOf(ReferenceError);
+        expect(error.message).toContain('bundlesTypo is not defined');
+        expect(globalThis.magepackConfigLoads).toBe(1);
+    });
+});
@@ -15,7 +15,8 @@ export const FILES = {
     REQUIREJS_CONFIG: 'requirejs-config.js',
     REQUIREJS_CONFIG_MIN: 'requirejs-config.min.js',
     SRI_HASHES: 'sri-hashes.json',
-    MAGEPACK_CONFIG: 'magepack.config.js'
+    MAGEPACK_CONFIG: 'magepack.config.js',
+    LOCK: '.magepack.lock'
 };
 
 export const MARKERS = {
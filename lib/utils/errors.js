@@ -0,0 +1,144 @@
+/**
+ * @file lib/utils/errors.js
+ * @description Typed errors thrown by Magepack commands.
+ *
+ * Library code never calls `process.exit()`: it throws one of these errors and
+ * lets the caller decide. `cli.js` logs them and exits with code 1; programmatic
+ * consumers (see `index.js`) can branch on `instanceof` or on the stable `code`.
+ */
+
+/**
+ * Base class for every error thrown by Magepack.
+ */
+export class MagepackError extends Error {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {Object} [options]
+     * @param {string} [options.code='E_MAGEPACK'] - Stable machine-readable error code.
+     * @param {unknown} [options.cause] - The underlying error, if any.
+     */
+    constructor(message, { code = 'E_MAGEPACK', cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Invalid or unreadable `magepack.config.js` (or invalid command options).
+ */
+export class ConfigError extends MagepackError {
+    constructor(message, options = {}) {
+        super(message, { code: 'E_CONFIG', ...options });
+    }
+}
+
+/**
+ * Missing or empty deployed static content (`pub/static/frontend`).
+ */
+export class StaticContentError extends MagepackError {
+    constructor(message, options = {}) {
+        super(message, { code: 'E_STATIC_CONTENT', ...options });
+    }
+}
+
+/**
+ * One or more locales failed during `bundle`.
+ *
+ * Carries the full structured result so callers can still inspect which
+ * locales succeeded.
+ */
+export class BuildError extends MagepackError {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {Object} [options]
+     * @param {Object} [options.result] - The structured bundle result.
+     * @param {unknown} [options.cause] - The underlying error, if any.
+     */
+    constructor(message, { result, ...options } = {}) {
+        super(message, { code: 'E_BUILD', ...options });
+        this.result = result;
+    }
+}
+
+/**
+ * A collector or the browser failed during `generate`.
+ */
+export class GenerateError extends MagepackError {
+    constructor(message, options = {}) {
+        super(message, { code: 'E_GENERATE', ...options });
+    }
+}
+
+/**
+ * Cleanup failed during `disable`.
+ */
+export class DisableError extends MagepackError {
+    constructor(message, options = {}) {
+        super(message, { code: 'E_DISABLE', ...options });
+    }
+}
+
+/**
+ * No recorded build could be restored during `rollback`.
+ */
+export class RollbackError extends MagepackError {
+    constructor(message, options = {}) {
+        super(message, { code: 'E_ROLLBACK', ...options });
+    }
+}
+
+/**
+ * Another Magepack run holds the lock on the static directory.
+ *
+ * Carries the lock holder so callers can report or wait for it.
+ */
+export class LockError extends MagepackError {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {Object} [options]
+     * @param {Object|null} [options.holder] - Content of the lock file (`pid`, `host`, `command`, `startedAt`).
+     * @param {unknown} [options.cause] - The underlying error, if any.
+     */
+    constructor(message, { holder = null, ...options } = {}) {
+        super(message, { code: 'E_LOCK', ...options });
+        this.holder = holder;
+    }
+}
+
+/**
+ * Bundle sizes exceeded the configured `budgets` (with `--budget-mode error`).
+ *
+ * Carries the violations so callers can report them without parsing the message.
+ */
+export class BudgetError extends MagepackError {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.violations] - The exceeded budgets.
+     * @param {unknown} [options.cause] - The underlying error, if any.
+     */
+    constructor(message, { violations = [], ...options } = {}) {
+        super(message, { code: 'E_BUDGET', ...options });
+        this.violations = violations;
+    }
+}
+
+/**
+ * Bundles written for a locale failed validation (syntax error, or a declared
+ * module without its `define()`), so the locale was not swapped.
+ *
+ * Carries the problems of each invalid bundle.
+ */
+export class BundleValidationError extends MagepackError {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {Object} [options]
+     * @param {Array<{bundle: string, file: string, issues: string[]}>} [options.bundles] - The invalid bundles.
+     * @param {unknown} [options.cause] - The underlying error, if any.
+     */
+    constructor(message, { bundles = [], ...options } = {}) {
+        super(message, { code: 'E_BUNDLE_INVALID', ...options });
+        this.bundles = bundles;
+    }
+}
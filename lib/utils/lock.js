@@ -0,0 +1,310 @@
+/**
+ * @file lib/utils/lock.js
+ * @description Advisory lock preventing concurrent Magepack runs on one static directory.
+ *
+ * Two deploy jobs bundling the same `pub/static` race on `magepack_build/`,
+ * `.magepack-cache.json`, the `requirejs-config.js` injection and the global
+ * `sri-hashes.json`. Every command that writes there (`bundle`, `disable`,
+ * `rollback`, `cache clear`) first creates `{staticDir}/.magepack.lock`
+ * exclusively, holding the PID, host, command and start time of the run. The
+ * content is written to a private file first, then hardlinked to the lock path,
+ * so the lock never exists half-written.
+ *
+ * While held, the lock file's mtime is refreshed every `HEARTBEAT_MS`. A lock is
+ * stale, and taken over with a warning, when its process is gone (same host),
+ * or when it has not been refreshed for `STALE_AFTER_MS` (a run on another host
+ * sharing the directory that died, or an unreadable file). Only one run at a
+ * time may delete a stale lock, and only if it is still the file it inspected
+ * (`removeLock`), so two runs taking over the same stale lock cannot both end up
+ * holding it.
+ *
+ * Otherwise the command fails with a `LockError`, waits for the lock (`wait`),
+ * or removes it regardless (`force`).
+ *
+ * @module utils/lock
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Atomic lock creation and stale-lock takeover; an unreadable lock is
+ *     only stale once it was not refreshed for `STALE_AFTER_MS`.
+ *   - v3.2.0: Initial implementation.
+ */
+
+import fs from 'node:fs/promises';
+import { readFileSync, unlinkSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import { FILES } from './constants.js';
+import { LockError } from './errors.js';
+import { onShutdown } from './shutdown.js';
+
+/**
+ * Interval at which a held lock's mtime is refreshed.
+ * @type {number}
+ */
+const HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * A lock not refreshed for this long belongs to a dead run.
+ * @type {number}
+ */
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Delay between two attempts while waiting for a lock.
+ * @type {number}
+ */
+const RETRY_MS = 1000;
+
+/**
+ * Delay before retrying while another run is removing a stale lock.
+ * @type {number}
+ */
+const TAKEOVER_RETRY_MS = 50;
+
+/**
+ * A `.takeover` link older than this was left by a run killed while removing a lock.
+ * @type {number}
+ */
+const TAKEOVER_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * @typedef {Object} LockHolder
+ * @property {number} pid - Process id of the run.
+ * @property {string} host - Host name of the run.
+ * @property {string} command - Magepack command (e.g. `bundle`).
+ * @property {string} startedAt - ISO date the lock was taken.
+ */
+
+/**
+ * Describes a lock holder for log and error messages.
+ *
+ * @param {LockHolder|null} holder
+ * @returns {string}
+ */
+const describeHolder = (holder) => (holder
+    ? `"${holder.command}" (PID ${holder.pid} on ${holder.host}, started ${holder.startedAt})`
+    : 'an unknown run');
+
+/**
+ * Checks whether a process exists on this host.
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM: the process exists but belongs to another user.
+        return e.code === 'EPERM';
+    }
+};
+
+/**
+ * @typedef {Object} LockState
+ * @property {LockHolder|null} holder - `null` when the file cannot be parsed.
+ * @property {string|null} stale - Why the lock is stale, `null` if it is live.
+ * @property {string} content - Raw file content.
+ * @property {number} ino - Inode of the file, to recognize it when removing it.
+ */
+
+/**
+ * Creates the lock file with its full content, atomically.
+ *
+ * @async
+ * @param {string} lockPath
+ * @param {string} content
+ * @returns {Promise<void>}
+ * @throws {Error} `EEXIST` if the lock is already held.
+ */
+const createLockFile = async (lockPath, content) => {
+    const tmpPath = `${lockPath}.${process.pid}.${randomUUID()}`;
+    await fs.writeFile(tmpPath, content, 'utf8');
+    try {
+        await fs.link(tmpPath, lockPath);
+    } finally {
+        await fs.rm(tmpPath, { force: true });
+    }
+};
+
+/**
+ * Deletes an inspected lock, unless another run replaced it meanwhile.
+ *
+ * The lock is first hardlinked to `<lock>.takeover`. The link fails if another
+ * run is already removing the lock, so only one run at a time can delete it,
+ * and it pins the exact file about to be deleted: if that is no longer the
+ * inspected one (another run took the lock over in between), it is left alone.
+ *
+ * @async
+ * @param {string} lockPath
+ * @param {LockState} inspected
+ * @returns {Promise<void>}
+ */
+const removeLock = async (lockPath, inspected) => {
+    const takeoverPath = `${lockPath}.takeover`;
+    try {
+        await fs.link(lockPath, takeoverPath);
+    } catch (e) {
+        // Already removed by another run.
+        if (e.code === 'ENOENT') return;
+        if (e.code !== 'EEXIST') throw e;
+
+        // Another run is removing it, unless it died doing so (`link` sets the ctime).
+        const stat = await fs.stat(takeoverPath).catch(() => null);
+        if (stat && Date.now() - stat.ctimeMs > TAKEOVER_TIMEOUT_MS) {
+            await fs.rm(takeoverPath, { force: true });
+        } else {
+            await new Promise((resolve) => setTimeout(resolve, TAKEOVER_RETRY_MS));
+        }
+        return;
+    }
+
+    try {
+        const [content, stat] = await Promise.all([fs.readFile(takeoverPath, 'utf8'), fs.stat(takeoverPath)]);
+        if (stat.ino === inspected.ino && content === inspected.content) {
+            // Still that file: other runs only delete a lock through the takeover link.
+            await fs.rm(lockPath, { force: true });
+        }
+    } finally {
+        await fs.rm(takeoverPath, { force: true });
+    }
+};
+
+/**
+ * Reads the current lock.
+ *
+ * @param {string} lockPath
+ * @returns {Promise<LockState|null>} `null` when there is no lock.
+ */
+const inspectLock = async (lockPath) => {
+    let content;
+    let stat;
+    try {
+        [content, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+
+    const state = { holder: null, stale: null, content, ino: stat.ino };
+    const notRefreshed = Date.now() - stat.mtimeMs > STALE_AFTER_MS
+        ? `it was not refreshed for ${Math.round((Date.now() - stat.mtimeMs) / 60000)} minutes`
+        : null;
+
+    try {
+        state.holder = JSON.parse(content);
+    } catch {
+        // Never half-written (see createLockFile), so damaged: trusted like a live
+        // lock of another host until the heartbeat would have refreshed it.
+        return { ...state, stale: notRefreshed && `it is unreadable and ${notRefreshed}` };
+    }
+
+    if (state.holder.host === os.hostname() && !isProcessAlive(state.holder.pid)) {
+        return { ...state, stale: `process ${state.holder.pid} is gone` };
+    }
+    return { ...state, stale: notRefreshed };
+};
+
+/**
+ * Takes the lock on a static directory.
+ *
+ * @async
+ * @param {string} staticDir - Absolute frontend static directory.
+ * @param {Object} options
+ * @param {string} options.command - Name of the command taking the lock.
+ * @param {boolean|number|string} [options.wait] - Wait for a live lock instead of failing:
+ *   `true` waits indefinitely, a number waits at most that many seconds.
+ * @param {boolean} [options.force] - Remove any existing lock, even a live one.
+ * @returns {Promise<{path: string, release: function(): Promise<void>}>} The held lock;
+ *   `release()` must be called when the command is done.
+ * @throws {LockError} If the lock is held by a live run (after waiting, with `wait`).
+ *
+ * @example
+ *   const lock = await acquireLock(staticDir, { command: 'bundle', wait: 600 });
+ *   try { ... } finally { await lock.release(); }
+ */
+export default async function acquireLock(staticDir, { command, wait = false, force = false }) {
+    const lockPath = path.join(staticDir, FILES.LOCK);
+    const waitMs = wait === true ? Infinity : Number(wait || 0) * 1000;
+    if (Number.isNaN(waitMs) || waitMs < 0) {
+        throw new LockError(`Invalid wait time "${wait}". Expected a number of seconds.`);
+    }
+
+    /** @type {LockHolder} */
+    const holder = { pid: process.pid, host: os.hostname(), command, startedAt: new Date().toISOString() };
+    const content = JSON.stringify(holder, null, 2);
+    const deadline = Date.now() + waitMs;
+    let announced = false;
+
+    for (;;) {
+        try {
+            await createLockFile(lockPath, content);
+            break;
+        } catch (e) {
+            if (e.code !== 'EEXIST') {
+                throw new LockError(`Could not create the lock file ${lockPath}: ${e.message}`, { cause: e });
+            }
+        }
+
+        const current = await inspectLock(lockPath);
+        if (!current) continue;
+
+        if (force || current.stale) {
+            consola.warn(force
+                ? `🔓 Removing the lock of ${describeHolder(current.holder)} (--force).`
+                : `🔓 Removing a stale lock of ${describeHolder(current.holder)}: ${current.stale}.`);
+            await removeLock(lockPath, current);
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new LockError(
+                `Another Magepack run holds ${lockPath}: ${describeHolder(current.holder)}. ` +
+                'Use --wait to wait for it, or --force if it is no longer running.',
+                { holder: current.holder }
+            );
+        }
+
+        if (!announced) {
+            consola.info(`⏳ Waiting for ${describeHolder(current.holder)} to release ${lockPath}...`);
+            announced = true;
+        }
+        await new Promise((resolve) => setTimeout(resolve, Math.min(RETRY_MS, deadline - Date.now())));
+    }
+
+    consola.debug(`🔒 Lock taken: ${lockPath}`);
+
+    const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockPath, now, now).catch(() => {});
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    // Interrupted runs release the lock too (last, once their own cleanup is done).
+    const releaseShutdown = onShutdown(() => {
+        clearInterval(heartbeat);
+        try {
+            // Same ownership check as `release()`: never delete the lock of a run that forced it.
+            if (readFileSync(lockPath, 'utf8') === content) unlinkSync(lockPath);
+        } catch { /* already gone */ }
+    });
+
+    let released = false;
+    return {
+        path: lockPath,
+        async release() {
+            if (released) return;
+            released = true;
+            clearInterval(heartbeat);
+            releaseShutdown();
+            // Taken over with --force meanwhile: the lock is someone else's now.
+            if ((await fs.readFile(lockPath, 'utf8').catch(() => null)) === content) {
+                await fs.rm(lockPath, { force: true });
+            }
+        },
+    };
+}
@@ -0,0 +1,125 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn, spawnSync } from 'node:child_process';
+import consola from 'consola';
+import acquireLock from './lock.js';
+import { LockError } from './errors.js';
+
+describe('acquireLock', () => {
+    let staticDir;
+    let lockPath;
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        staticDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-lock-'));
+        lockPath = path.join(staticDir, '.magepack.lock');
+    });
+
+    afterEach(async () => {
+        await fs.rm(staticDir, { recursive: true, force: true });
+    });
+
+    /** A lock left by a run whose process is gone. */
+    const writeDeadLock = () => fs.writeFile(lockPath, JSON.stringify({
+        pid: spawnSync(process.execPath, ['-e', '']).pid,
+        host: os.hostname(),
+        command: 'bundle',
+        startedAt: new Date().toISOString(),
+    }));
+
+    test('creates the lock, then removes it on release', async () => {
+        const lock = await acquireLock(staticDir, { command: 'bundle' });
+
+        expect(JSON.parse(await fs.readFile(lockPath, 'utf8'))).toMatchObject({ pid: process.pid, command: 'bundle' });
+        await lock.release();
+        expect(await fs.readdir(staticDir)).toEqual([]);
+    });
+
+    test('fails on a live lock', async () => {
+        const lock = await acquireLock(staticDir, { command: 'bundle' });
+
+        await expect(acquireLock(staticDir, { command: 'disable' })).rejects.toBeInstanceOf(LockError);
+        await lock.release();
+    });
+
+    test('waits for a live lock with --wait', async () => {
+        const lock = await acquireLock(staticDir, { command: 'bundle' });
+        setTimeout(() => lock.release(), 200);
+
+        const next = await acquireLock(staticDir, { command: 'disable', wait: 5 });
+        expect(JSON.parse(await fs.readFile(lockPath, 'utf8')).command).toBe('disable');
+        await next.release();
+    });
+
+    test('lets exactly one of several processes take over a stale lock', async () => {
+        await writeDeadLock();
+
+        // Each contender holds the lock for a while if it gets it.
+        const contender = `
+            const { default: acquireLock } = await import(${JSON.stringify(new URL('./lock.js', import.meta.url).href)});
+            try {
+                const lock = await acquireLock(${JSON.stringify(staticDir)}, { command: 'bundle' });
+                process.stdout.write('held');
+                await new Promise((resolve) => setTimeout(resolve, 500));
+                await lock.release();
+            } catch {
+                process.stdout.write('refused');
+            }
+        `;
+        const outcomes = await Promise.all(Array.from({ length: 6 }, () => new Promise((resolve) => {
+            const child = spawn(process.execPath, ['--input-type=module', '-e', contender], { stdio: ['ignore', 'pipe', 'ignore'] });
+            let out = '';
+            child.stdout.on('data', (chunk) => { out += chunk; });
+            child.on('close', () => resolve(out));
+        })));
+
+        expect(outcomes.filter((outcome) => outcome === 'held')).toHaveLength(1);
+        // No renamed or temporary lock file left behind.
+        expect(await fs.readdir(staticDir)).toEqual([]);
+    });
+
+    test('keeps an unreadable lock until it would have been refreshed', async () => {
+        // Older than a write in progress could be, but refreshed recently.
+        await fs.writeFile(lockPath, '{"pid": 12');
+        const recent = new Date(Date.now() - 5 * 1000);
+        await fs.utimes(lockPath, recent, recent);
+        await expect(acquireLock(staticDir, { command: 'bundle' })).rejects.toBeInstanceOf(LockError);
+
+        const old = new Date(Date.now() - 10 * 60 * 1000);
+        await fs.utimes(lockPath, old, old);
+        const lock = await acquireLock(staticDir, { command: 'bundle' });
+        await lock.release();
+    });
+
+    test('--force takes over a live lock, which its first holder then leaves alone', async () => {
+        const first = await acquireLock(staticDir, { command: 'bundle' });
+        const second = await acquireLock(staticDir, { command: 'disable', force: true });
+
+        await first.release();
+        expect(JSON.parse(await fs.readFile(lockPath, 'utf8')).command).toBe('disable');
+        await second.release();
+    });
+
+    test('an interrupted holder leaves a lock taken over with --force alone', async () => {
+        const holder = `
+            const { default: acquireLock } = await import(${JSON.stringify(new URL('./lock.js', import.meta.url).href)});
+            await acquireLock(${JSON.stringify(staticDir)}, { command: 'bundle' });
+            process.stdout.write('held');
+            setTimeout(() => {}, 10000);
+        `;
+        const child = spawn(process.execPath, ['--input-type=module', '-e', holder], { stdio: ['ignore', 'pipe', 'ignore'] });
+        const closed = new Promise((resolve) => child.on('close', resolve));
+        await new Promise((resolve) => child.stdout.once('data', resolve));
+
+        const second = await acquireLock(staticDir, { command: 'disable', force: true });
+        child.kill('SIGTERM');
+        await closed;
+
+        expect(JSON.parse(await fs.readFile(lockPath, 'utf8')).command).toBe('disable');
+        await second.release();
+    });
+});
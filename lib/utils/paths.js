@@ -0,0 +1,43 @@
+/**
+ * @file lib/utils/paths.js
+ * @description Resolves the directories a command works on from its options.
+ *
+ * Every command goes through these helpers instead of reading `process.cwd()`
+ * or joining `PATHS.STATIC_FRONTEND` itself, so `--root` and `--static-dir`
+ * are honoured everywhere.
+ */
+
+import path from 'node:path';
+import { PATHS } from './constants.js';
+
+/**
+ * Resolves the Magento root directory.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.root] - Magento root (`--root`). Defaults to the working directory.
+ * @returns {string} Absolute path.
+ */
+export const resolveRoot = ({ root } = {}) => path.resolve(root || process.cwd());
+
+/**
+ * Resolves the frontend static directory (`pub/static/frontend` by default).
+ *
+ * A relative `--static-dir` is resolved against the Magento root.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.root] - Magento root (`--root`).
+ * @param {string} [options.staticDir] - Frontend static directory (`--static-dir`).
+ * @returns {string} Absolute path.
+ */
+export const resolveStaticDir = (options = {}) =>
+    path.resolve(resolveRoot(options), options.staticDir || PATHS.STATIC_FRONTEND);
+
+/**
+ * Builds the absolute path of a deployed locale.
+ *
+ * @param {string} staticDir - Absolute frontend static directory.
+ * @param {{vendor: string, name: string, code: string}} locale
+ * @returns {string} e.g. `/var/www/pub/static/frontend/Vendor/Theme/en_US`.
+ */
+export const getLocalePath = (staticDir, locale) =>
+    path.join(staticDir, locale.vendor, locale.name, locale.code);
@@ -0,0 +1,104 @@
+/**
+ * @file lib/utils/shutdown.js
+ * @description Runs cleanup callbacks when the process receives SIGINT or SIGTERM.
+ *
+ * Without a handler, Ctrl+C or a CI job timeout kills `bundle` with its staging
+ * directories and half-swapped locales left behind, and `generate` with its
+ * Chromium process still running. Commands register a cleanup for as long as
+ * they have something to undo; the signal handlers are only installed while at
+ * least one cleanup is registered.
+ *
+ * On a signal, the cleanups run newest first, then the handlers are removed and
+ * the signal is raised again, so the process ends exactly as it would have
+ * without Magepack (or as the embedding application's own handlers decide). A
+ * second signal during cleanup skips the remaining cleanups.
+ *
+ * @module utils/shutdown
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import consola from 'consola';
+
+/**
+ * @type {string[]}
+ */
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Registered cleanups, in registration order.
+ * @type {Set<function(string): (void|Promise<void>)>}
+ */
+const cleanups = new Set();
+
+let shuttingDown = false;
+
+/**
+ * Removes the handlers and raises the signal again.
+ *
+ * @param {string} signal
+ */
+const reraise = (signal) => {
+    SIGNALS.forEach((name) => process.off(name, handleSignal));
+    process.kill(process.pid, signal);
+};
+
+/**
+ * Runs every registered cleanup, then lets the signal take its course.
+ *
+ * @param {string} signal - `SIGINT` or `SIGTERM`.
+ * @returns {Promise<void>}
+ */
+async function handleSignal(signal) {
+    if (shuttingDown) {
+        consola.warn(`🛑 ${signal} received again, exiting without finishing the cleanup.`);
+        reraise(signal);
+        return;
+    }
+    shuttingDown = true;
+
+    consola.warn(`🛑 ${signal} received, cleaning up...`);
+
+    const pending = [...cleanups].reverse();
+    cleanups.clear();
+
+    for (const cleanup of pending) {
+        try {
+            await cleanup(signal);
+        } catch (e) {
+            consola.error(`❌ Cleanup failed: ${e.message}`);
+        }
+    }
+
+    reraise(signal);
+}
+
+/**
+ * Registers a cleanup to run if the process is interrupted.
+ *
+ * A cleanup must leave things in a safe state quickly: the process ends right
+ * after it. Work that is still running keeps running while an async cleanup
+ * awaits, so a cleanup racing with it should do its work synchronously.
+ *
+ * @param {function(string): (void|Promise<void>)} cleanup - Receives the signal name.
+ * @returns {function(): void} Unregisters the cleanup (call it once there is nothing to undo).
+ *
+ * @example
+ *   const release = onShutdown(() => browser.close());
+ *   try { ... } finally { release(); }
+ */
+export const onShutdown = (cleanup) => {
+    if (cleanups.size === 0 && !shuttingDown) {
+        SIGNALS.forEach((name) => process.on(name, handleSignal));
+    }
+    cleanups.add(cleanup);
+
+    return () => {
+        cleanups.delete(cleanup);
+        if (cleanups.size === 0 && !shuttingDown) {
+            SIGNALS.forEach((name) => process.off(name, handleSignal));
+        }
+    };
+};
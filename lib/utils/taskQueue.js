@@ -0,0 +1,103 @@
+/**
+ * @file lib/utils/taskQueue.js
+ * @description Shared FIFO queue bounding how many CPU/memory-heavy jobs run at once.
+ *
+ * `bundle` builds every locale, and every bundle of a locale, concurrently. That
+ * is fine for file I/O, but each bundle also runs Terser and gzip/brotli/zstd,
+ * and with dozens of locales these jobs exhaust the memory of the build host.
+ * A single queue is created per run and shared by all locales: I/O stays
+ * concurrent, while Terser and compression jobs wait for a free slot.
+ *
+ * @module utils/taskQueue
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: The default concurrency is capped by the total (or container) memory, not the free memory.
+ *   - v3.2.0: Initial implementation.
+ */
+
+import os from 'node:os';
+
+/**
+ * Memory reserved per heavy job when deriving the default concurrency.
+ * Terser on a large bundle (AST + output + source map) stays below this.
+ *
+ * @type {number}
+ */
+const MEMORY_PER_JOB = 512 * 1024 * 1024;
+
+/**
+ * Memory the process may use: the container limit when there is one, else the
+ * total memory. Not `os.freemem()`, which leaves out the reclaimable page cache
+ * and would drop a long-running build host to a single job.
+ *
+ * @returns {number} Bytes.
+ */
+const availableMemory = () => {
+    const constrained = typeof process.constrainedMemory === 'function' ? process.constrainedMemory() : 0;
+    return constrained > 0 ? Math.min(constrained, os.totalmem()) : os.totalmem();
+};
+
+/**
+ * Default number of concurrent heavy jobs: one per CPU, capped by the available
+ * memory divided by `MEMORY_PER_JOB`, and never below 1.
+ *
+ * @returns {number}
+ */
+export const defaultConcurrency = () => {
+    const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    const byMemory = Math.floor(availableMemory() / MEMORY_PER_JOB);
+    return Math.max(1, Math.min(cpus, byMemory));
+};
+
+/**
+ * Creates a task queue.
+ *
+ * @param {number} concurrency - Maximum number of tasks running at once (>= 1).
+ * @returns {{
+ *   concurrency: number,
+ *   run: function(function(): Promise<T>): Promise<T>,
+ *   readonly active: number,
+ *   readonly pending: number
+ * }}
+ * @template T
+ *
+ * @example
+ *   const queue = createTaskQueue(4);
+ *   const result = await queue.run(() => minify(code));
+ */
+export default function createTaskQueue(concurrency) {
+    let active = 0;
+
+    /** @type {Array<{task: function(): Promise<unknown>, resolve: function, reject: function}>} */
+    const waiting = [];
+
+    const next = () => {
+        if (active >= concurrency || waiting.length === 0) return;
+
+        const { task, resolve, reject } = waiting.shift();
+        active++;
+
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return {
+        concurrency,
+        run: (task) => new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject });
+            next();
+        }),
+        get active() {
+            return active;
+        },
+        get pending() {
+            return waiting.length;
+        },
+    };
+}
@@ -0,0 +1,51 @@
+import os from 'node:os';
+import createTaskQueue, { defaultConcurrency } from './taskQueue.js';
+
+const GB = 1024 * 1024 * 1024;
+
+describe('taskQueue', () => {
+    const originals = {
+        freemem: os.freemem,
+        totalmem: os.totalmem,
+        availableParallelism: os.availableParallelism,
+        constrainedMemory: process.constrainedMemory,
+    };
+
+    afterEach(() => {
+        Object.assign(os, { freemem: originals.freemem, totalmem: originals.totalmem, availableParallelism: originals.availableParallelism });
+        process.constrainedMemory = originals.constrainedMemory;
+    });
+
+    /** A host with 8 CPUs and 8 GB, almost all of it held by the page cache. */
+    const host = (constrained) => {
+        Object.assign(os, { freemem: () => 0.1 * GB, totalmem: () => 8 * GB, availableParallelism: () => 8 });
+        process.constrainedMemory = () => constrained;
+    };
+
+    test('defaults to one job per CPU whatever the free memory reads', () => {
+        host(0);
+        expect(defaultConcurrency()).toBe(8);
+    });
+
+    test('caps the default by the container memory limit, and never goes below 1', () => {
+        host(2 * GB);
+        expect(defaultConcurrency()).toBe(4);
+
+        host(128 * 1024 * 1024);
+        expect(defaultConcurrency()).toBe(1);
+    });
+
+    test('never runs more tasks at once than its concurrency', async () => {
+        const queue = createTaskQueue(2);
+        let running = 0;
+        let peak = 0;
+        const task = async () => {
+            peak = Math.max(peak, ++running);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            running--;
+        };
+
+        await Promise.all(Array.from({ length: 6 }, () => queue.run(task)));
+        expect(peak).toBe(2);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * @file lib/utils/workerPool.js
+ * @description Fixed-size `worker_threads` pool for CPU-bound build work.
+ *
+ * Terser is synchronous CPU work: awaited on the main thread, every locale and
+ * bundle still minifies one module at a time on a single core. The pool runs
+ * such jobs in worker threads, so multi-locale builds use every core.
+ *
+ * Protocol: the worker script receives one payload per `message` event and
+ * answers with `{ result }` or `{ error: { name, message, stack, ...props } }`.
+ * Errors are rebuilt on the calling side, so callers catch them as if the work
+ * had run in-thread. A worker that crashes rejects its current job and is
+ * replaced on the next one.
+ *
+ * Workers are spawned lazily, so a pool that never receives a job costs nothing.
+ * `close()` must be called once the run is over, or the workers keep the
+ * process alive.
+ *
+ * @module utils/workerPool
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import { Worker } from 'node:worker_threads';
+
+/**
+ * Rebuilds an error marshalled by a worker.
+ *
+ * @param {{name: string, message: string, stack: string}} serialized
+ * @returns {Error}
+ */
+const toError = ({ name, message, stack, ...props }) => {
+    const error = Object.assign(new Error(message), props);
+    error.name = name;
+    error.stack = stack;
+    return error;
+};
+
+/**
+ * Creates a worker pool.
+ *
+ * @param {URL|string} workerUrl - Worker script (ES module).
+ * @param {number} size - Maximum number of worker threads (>= 1).
+ * @returns {{
+ *   size: number,
+ *   run: function(Object): Promise<any>,
+ *   close: function(): Promise<void>
+ * }}
+ *
+ * @example
+ *   const pool = createWorkerPool(new URL('./bundle/worker/minifyWorker.js', import.meta.url), 4);
+ *   try {
+ *       const { code } = await pool.run({ moduleName, content, options });
+ *   } finally {
+ *       await pool.close();
+ *   }
+ */
+export default function createWorkerPool(workerUrl, size) {
+    /** @type {Set<Worker>} */
+    const workers = new Set();
+
+    /** @type {Worker[]} */
+    const idle = [];
+
+    /** @type {Array<{payload: Object, resolve: function, reject: function}>} */
+    const waiting = [];
+
+    /** @type {Map<Worker, {payload: Object, resolve: function, reject: function}>} */
+    const running = new Map();
+
+    let closed = false;
+
+    const settle = (worker) => {
+        const job = running.get(worker);
+        running.delete(worker);
+        return job;
+    };
+
+    const spawn = () => {
+        const worker = new Worker(workerUrl);
+        workers.add(worker);
+
+        worker.on('message', ({ result, error }) => {
+            const job = settle(worker);
+            if (error) {
+                job?.reject(toError(error));
+            } else {
+                job?.resolve(result);
+            }
+            idle.push(worker);
+            dispatch();
+        });
+
+        worker.on('error', (error) => {
+            settle(worker)?.reject(error);
+        });
+
+        worker.on('exit', (code) => {
+            workers.delete(worker);
+            const idleIndex = idle.indexOf(worker);
+            if (idleIndex !== -1) idle.splice(idleIndex, 1);
+
+            settle(worker)?.reject(new Error(`Worker thread exited unexpectedly (code ${code}).`));
+            if (!closed) dispatch();
+        });
+
+        return worker;
+    };
+
+    function dispatch() {
+        while (waiting.length > 0) {
+            let worker = idle.pop();
+            if (!worker) {
+                if (workers.size >= size) return;
+                worker = spawn();
+            }
+
+            const job = waiting.shift();
+            running.set(worker, job);
+            worker.postMessage(job.payload);
+        }
+    }
+
+    return {
+        size,
+        run: (payload) => new Promise((resolve, reject) => {
+            if (closed) {
+                reject(new Error('Worker pool is closed.'));
+                return;
+            }
+            waiting.push({ payload, resolve, reject });
+            dispatch();
+        }),
+        close: async () => {
+            closed = true;
+            waiting.splice(0).forEach((job) => job.reject(new Error('Worker pool is closed.')));
+            await Promise.all([...workers].map((worker) => worker.terminate()));
+        },
+    };
+}
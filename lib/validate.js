@@ -0,0 +1,246 @@
+/**
+ * @file lib/validate.js
+ * @description Validates `magepack.config.js` without building anything.
+ *
+ * Runs three passes and reports every issue instead of stopping at the first:
+ *   1. Schema: top-level keys, bundle names, module path types (`validate/schema.js`).
+ *   2. Duplicates: modules declared in more than one bundle of the same scope
+ *      (default bundles, a theme section or a locale override).
+ *   3. Files: for each deployed locale, modules of the bundles that apply to it
+ *      (`bundle/localeConfig.js`) whose file cannot be found, using
+ *      the exact resolution of the bundler (`requirejs-map.js` + `resolveFile`).
+ *
+ * Duplicates are warnings: `generate` itself keeps modules shared only by the
+ * cart and checkout bundles in both. Missing files are warnings by default,
+ * because `bundle` prunes them; `--strict` turns them into errors, mirroring
+ * `bundle --strict`. The command never throws
+ * on an invalid config: it returns the report and `cli.js` sets the exit code.
+ *
+ * @module validate
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import path from 'node:path';
+import consola from 'consola';
+import { MagepackError } from './utils/errors.js';
+import { resolveRoot, resolveStaticDir, getLocalePath } from './utils/paths.js';
+import { loadConfig } from './utils/configLoader.js';
+
+import getLocales from './bundle/getLocales.js';
+import filterLocales from './bundle/filterLocales.js';
+import checkMinifyOn from './bundle/checkMinifyOn.js';
+import createPathResolver from './bundle/moduleMapResolver.js';
+import { resolveFile } from './bundle/processor.js';
+import { resolveLocaleConfig, listConfigScopes } from './bundle/localeConfig.js';
+import { validateConfigSchema, findDuplicateModules } from './validate/schema.js';
+
+/**
+ * Number of `fs.access` checks run concurrently per locale.
+ * @type {number}
+ */
+const FILE_CHECK_BATCH_SIZE = 50;
+
+/**
+ * @typedef {import('./validate/schema.js').ValidationIssue} ValidationIssue
+ */
+
+/**
+ * @typedef {Object} LocaleValidation
+ * @property {string} label - e.g. `Vendor/Theme (en_US)`.
+ * @property {string} scope - Config scope applied (`default`, `Vendor/Theme` or `Vendor/Theme/locale`).
+ * @property {number} checked - Number of module files looked up.
+ * @property {Array<{bundle: string, module: string, path: string}>} missing - Unresolvable modules.
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - True when `errors` is empty.
+ * @property {string} configPath - Absolute path of the validated config.
+ * @property {ValidationIssue[]} errors - Problems that fail the validation.
+ * @property {ValidationIssue[]} warnings - Problems worth fixing that do not break a build.
+ * @property {LocaleValidation[]} locales - Per-locale file check results.
+ */
+
+/**
+ * Removes excluded modules from a copy of the bundles, as `bundle` does,
+ * so excluded files are not reported as missing.
+ *
+ * @param {Array<Object>} bundles - Schema-valid bundles.
+ * @param {string[]} exclusions - Module ID prefixes.
+ * @returns {Array<{name: string, modules: Object<string, string>}>}
+ */
+const withoutExclusions = (bundles, exclusions) =>
+    bundles.map((bundle) => ({
+        name: bundle.name,
+        modules: Object.fromEntries(
+            Object.entries(bundle.modules).filter(([moduleName]) =>
+                !exclusions.some((rule) => moduleName === rule || moduleName.startsWith(rule))
+            )
+        ),
+    }));
+
+/**
+ * Looks up every bundled module file of a locale.
+ *
+ * @async
+ * @param {{vendor: string, name: string, code: string}} locale
+ * @param {string} scope - Config scope the bundles come from.
+ * @param {Array<{name: string, modules: Object<string, string>}>} bundles
+ * @param {string} staticDir - Absolute frontend static directory.
+ * @returns {Promise<LocaleValidation>}
+ */
+const checkLocaleFiles = async (locale, scope, bundles, staticDir) => {
+    const localePath = getLocalePath(staticDir, locale);
+    const isMinifyOn = await checkMinifyOn(localePath);
+    const resolveMap = await createPathResolver(localePath, isMinifyOn);
+
+    const entries = bundles.flatMap((bundle) =>
+        Object.entries(bundle.modules).map(([moduleName, modulePath]) => ({
+            bundle: bundle.name,
+            module: moduleName,
+            path: resolveMap(modulePath),
+        }))
+    );
+
+    const missing = [];
+
+    for (let i = 0; i < entries.length; i += FILE_CHECK_BATCH_SIZE) {
+        const chunk = entries.slice(i, i + FILE_CHECK_BATCH_SIZE);
+        const resolved = await Promise.all(
+            chunk.map((entry) => resolveFile(localePath, entry.module, entry.path, isMinifyOn))
+        );
+        chunk.forEach((entry, j) => {
+            if (!resolved[j]) missing.push(entry);
+        });
+    }
+
+    return {
+        label: `${locale.vendor}/${locale.name} (${locale.code})`,
+        scope,
+        checked: entries.length,
+        missing,
+    };
+};
+
+/**
+ * Prints a human-readable report.
+ *
+ * @param {ValidationReport} report
+ */
+const printReport = (report) => {
+    report.locales.forEach((l) => {
+        if (l.missing.length === 0) {
+            consola.success(`[${l.label}] All ${l.checked} module file(s) found.`);
+        }
+    });
+    report.warnings.forEach((issue) => consola.warn(`⚠️  ${issue.message}`));
+    report.errors.forEach((issue) => consola.error(`❌ ${issue.message}`));
+
+    const summary = `${report.errors.length} error(s), ${report.warnings.length} warning(s).`;
+    if (report.valid) {
+        consola.success(`✅ ${path.basename(report.configPath)} is valid: ${summary}`);
+    } else {
+        consola.error(`💀 ${path.basename(report.configPath)} is invalid: ${summary}`);
+    }
+};
+
+/**
+ * Validates a Magepack configuration file against the deployed static content.
+ *
+ * @async
+ * @param {Object} options - Command options.
+ * @param {string} options.config - Config path, relative to the Magento root.
+ * @param {string} [options.root] - Magento root directory.
+ * @param {string} [options.staticDir] - Frontend static directory.
+ * @param {string} [options.theme] - Check only this theme (`Vendor/Theme`).
+ * @param {string|string[]} [options.glob] - Locale include pattern(s).
+ * @param {string|string[]} [options.locale] - Locale code(s).
+ * @param {string|string[]} [options.exclude] - Locale exclude pattern(s).
+ * @param {boolean} [options.strict] - Report missing module files as errors.
+ * @param {boolean} [options.json] - Print the report as JSON on stdout.
+ * @returns {Promise<ValidationReport>}
+ */
+export default async (options) => {
+    const root = resolveRoot(options);
+    const staticDir = resolveStaticDir(options);
+    const configPath = path.resolve(root, options.config);
+
+    /** @type {ValidationReport} */
+    const report = { valid: false, configPath, errors: [], warnings: [], locales: [] };
+
+    let rawConfig;
+    try {
+        ({ config: rawConfig } = await loadConfig(configPath));
+    } catch (e) {
+        if (!(e instanceof MagepackError)) throw e;
+        report.errors.push({ code: 'CONFIG_LOAD', message: e.message });
+    }
+
+    if (report.errors.length === 0) {
+        report.errors.push(...validateConfigSchema(rawConfig));
+    }
+
+    // Duplicate and file checks need well-formed bundles.
+    if (report.errors.length === 0) {
+        for (const { scope, bundles, exclusions } of listConfigScopes(rawConfig)) {
+            // Warnings: `generate` deliberately keeps modules shared only by cart and
+            // checkout in both bundles (TRANSACTIONAL_BUNDLES in generate/extractCommonBundle.js).
+            report.warnings.push(...findDuplicateModules(withoutExclusions(bundles, exclusions), scope));
+        }
+
+        let locales = [];
+        try {
+            locales = await filterLocales(await getLocales(staticDir), staticDir, options);
+        } catch (e) {
+            if (!(e instanceof MagepackError)) throw e;
+            report.warnings.push({
+                code: 'NO_STATIC_CONTENT',
+                message: `Module files were not checked: ${e.message}`,
+            });
+        }
+
+        for (const locale of locales) {
+            const localeConfig = resolveLocaleConfig(rawConfig, locale);
+
+            if (!localeConfig) {
+                report.warnings.push({
+                    code: 'NO_BUNDLES',
+                    message: `[${locale.vendor}/${locale.name} (${locale.code})] No bundles configured for this theme and no top-level "bundles" fallback; it will not be bundled.`,
+                    locale: `${locale.vendor}/${locale.name} (${locale.code})`,
+                });
+                continue;
+            }
+
+            const result = await checkLocaleFiles(
+                locale,
+                localeConfig.scope,
+                withoutExclusions(localeConfig.bundles, localeConfig.exclusions),
+                staticDir
+            );
+            report.locales.push(result);
+
+            (options.strict ? report.errors : report.warnings).push(
+                ...result.missing.map((entry) => ({
+                    code: 'MISSING_MODULE',
+                    message: `[${result.label}] [${entry.bundle}] Module missing: "${entry.module}" → ${entry.path}`,
+                    bundle: entry.bundle,
+                    module: entry.module,
+                    locale: result.label,
+                }))
+            );
+        }
+    }
+
+    report.valid = report.errors.length === 0;
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else {
+        printReport(report);
+    }
+
+    return report;
+};
@@ -0,0 +1,47 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consola from 'consola';
+import validate from './validate.js';
+
+describe('validate', () => {
+    let root;
+
+    beforeAll(() => {
+        consola.level = -999;
+    });
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'magepack-validate-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    const writeConfig = (config) =>
+        fs.writeFile(path.join(root, 'magepack.config.js'), `module.exports = ${JSON.stringify(config)};`);
+
+    test('reports modules shared by cart and checkout as warnings, not errors', async () => {
+        // The overlap `generate` keeps on purpose (TRANSACTIONAL_BUNDLES).
+        await writeConfig([
+            { name: 'cart', modules: { 'Magento_Checkout/js/model/quote': 'Magento_Checkout/js/model/quote' } },
+            { name: 'checkout', modules: { 'Magento_Checkout/js/model/quote': 'Magento_Checkout/js/model/quote' } },
+        ]);
+
+        const report = await validate({ root, config: 'magepack.config.js' });
+
+        expect(report.valid).toBe(true);
+        expect(report.errors).toEqual([]);
+        expect(report.warnings.map((issue) => issue.code)).toContain('DUPLICATE_MODULE');
+    });
+
+    test('still fails on schema errors', async () => {
+        await writeConfig([{ name: 'common', modules: { jquery: 42 } }]);
+
+        const report = await validate({ root, config: 'magepack.config.js' });
+
+        expect(report.valid).toBe(false);
+        expect(report.errors.length).toBeGreaterThan(0);
+    });
+});
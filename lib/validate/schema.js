@@ -0,0 +1,416 @@
+/**
+ * @file lib/validate/schema.js
+ * @description Structural validation of a loaded `magepack.config.js`.
+ *
+ * Pure functions (no I/O): they receive the exported config value and return
+ * issues instead of throwing, so `magepack validate` can report every problem
+ * at once. Each issue carries a stable `code` for CI consumers of `--json`.
+ *
+ * @module validate/schema
+ * @author Amadeco Dev Team
+ *
+ * @changelog
+ *   - v3.2.0: Initial implementation.
+ */
+
+import { BUDGET_FORMATS, BUDGET_KINDS, isValidLimit } from '../bundle/service/budgets.js';
+
+/**
+ * Top-level keys understood by Magepack. Anything else is most likely a typo
+ * (e.g. `exclusion`) that would otherwise be silently ignored.
+ *
+ * @type {Set<string>}
+ */
+export const KNOWN_TOP_LEVEL_KEYS = new Set(['bundles', 'exclusions', 'selectors', 'options', 'profiles', 'themes', 'budgets']);
+
+/**
+ * Build options accepted in the config `options` block and in each profile,
+ * mapped to their expected type (or list of allowed values).
+ *
+ * @type {Object<string, string|string[]>}
+ */
+export const BUILD_OPTION_TYPES = {
+    minify: 'boolean',
+    sourcemap: 'boolean',
+    minifyStrategy: ['safe', 'aggressive'],
+    fastCompression: 'boolean',
+    strict: 'boolean',
+    batchSize: 'number',
+    budgetMode: ['warn', 'error'],
+    topModules: 'number',
+    concurrency: 'number',
+    cacheDir: 'string',
+    transactional: 'boolean',
+    keepBuilds: 'number',
+    lenient: 'boolean',
+    ecmaVersion: 'number',
+};
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} code - Stable machine-readable code (e.g. `DUPLICATE_MODULE`).
+ * @property {string} message - Human-readable description.
+ * @property {string} [bundle] - Bundle name the issue relates to.
+ * @property {string} [module] - Module ID the issue relates to.
+ * @property {string} [locale] - Locale label the issue relates to.
+ */
+
+/**
+ * Checks whether a value is a plain object (not null, not an array).
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks whether a value is a list of non-empty module ID prefixes.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isExclusionList = (value) =>
+    Array.isArray(value) && value.every((rule) => typeof rule === 'string' && rule !== '');
+
+/**
+ * Validates a build options object (`options` or `profiles.<name>`).
+ *
+ * @param {unknown} options - The options object.
+ * @param {string} label - Where it was found, for messages (e.g. `profiles.staging`).
+ * @returns {ValidationIssue[]}
+ */
+export const validateBuildOptions = (options, label) => {
+    if (!isPlainObject(options)) {
+        return [{ code: 'INVALID_OPTIONS', message: `"${label}" must be an object.` }];
+    }
+
+    /** @type {ValidationIssue[]} */
+    const errors = [];
+
+    for (const [key, value] of Object.entries(options)) {
+        const expected = BUILD_OPTION_TYPES[key];
+
+        if (expected === undefined) {
+            errors.push({
+                code: 'UNKNOWN_OPTION',
+                message: `Unknown option "${label}.${key}". Expected one of: ${Object.keys(BUILD_OPTION_TYPES).join(', ')}.`,
+            });
+        } else if (Array.isArray(expected) ? !expected.includes(value) : typeof value !== expected) {
+            errors.push({
+                code: 'INVALID_OPTION',
+                message: `Option "${label}.${key}" must be ${Array.isArray(expected) ? `one of: ${expected.join(', ')}` : `a ${expected}`}.`,
+            });
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validates a list of bundle definitions (top-level, theme or locale `bundles`).
+ *
+ * @param {unknown} bundles - The bundle list.
+ * @param {string} label - Where it was found, for messages (e.g. `themes["Amadeco/b2b"].bundles`).
+ * @returns {ValidationIssue[]}
+ */
+export const validateBundleList = (bundles, label) => {
+    /** @type {ValidationIssue[]} */
+    const errors = [];
+
+    if (!Array.isArray(bundles) || bundles.length === 0) {
+        errors.push({
+            code: 'INVALID_BUNDLES',
+            message: `"${label}" must be a non-empty array.`,
+        });
+        return errors;
+    }
+
+    /** @type {Set<string>} */
+    const seenNames = new Set();
+
+    bundles.forEach((bundle, i) => {
+        if (!isPlainObject(bundle)) {
+            errors.push({ code: 'INVALID_BUNDLE', message: `${label}[${i}] must be an object.` });
+            return;
+        }
+
+        const bundleLabel = typeof bundle.name === 'string' && bundle.name ? bundle.name : `${label}[${i}]`;
+
+        if (typeof bundle.name !== 'string' || bundle.name === '') {
+            errors.push({
+                code: 'INVALID_BUNDLE_NAME',
+                message: `${label}[${i}] is missing a "name" string.`,
+            });
+        } else if (!/^[\w.-]+$/.test(bundle.name)) {
+            errors.push({
+                code: 'INVALID_BUNDLE_NAME',
+                message: `Bundle name "${bundle.name}" may only contain letters, digits, "_", "-" and ".".`,
+                bundle: bundle.name,
+            });
+        } else if (seenNames.has(bundle.name)) {
+            errors.push({
+                code: 'DUPLICATE_BUNDLE_NAME',
+                message: `Bundle name "${bundle.name}" is used more than once in "${label}".`,
+                bundle: bundle.name,
+            });
+        } else {
+            seenNames.add(bundle.name);
+        }
+
+        if (!isPlainObject(bundle.modules)) {
+            errors.push({
+                code: 'INVALID_MODULES',
+                message: `Bundle "${bundleLabel}" is missing a "modules" object.`,
+                bundle: bundleLabel,
+            });
+            return;
+        }
+
+        for (const [moduleName, modulePath] of Object.entries(bundle.modules)) {
+            if (typeof modulePath !== 'string' || modulePath === '') {
+                errors.push({
+                    code: 'INVALID_MODULE_PATH',
+                    message: `Module "${moduleName}" in bundle "${bundleLabel}" must map to a non-empty path string.`,
+                    bundle: bundleLabel,
+                    module: moduleName,
+                });
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Validates the `themes` section: `Vendor/Theme` keys, each with optional
+ * `bundles`, `exclusions` and `locales` overrides.
+ *
+ * @param {unknown} themes - The `themes` value.
+ * @returns {ValidationIssue[]}
+ */
+const validateThemes = (themes) => {
+    if (!isPlainObject(themes)) {
+        return [{ code: 'INVALID_THEMES', message: '"themes" must be an object keyed by "Vendor/Theme".' }];
+    }
+
+    /** @type {ValidationIssue[]} */
+    const errors = [];
+
+    /**
+     * @param {unknown} section - A theme or locale section.
+     * @param {string} label - e.g. `themes["Amadeco/b2b"]`.
+     * @param {string[]} allowedKeys
+     */
+    const validateSection = (section, label, allowedKeys) => {
+        if (!isPlainObject(section)) {
+            errors.push({ code: 'INVALID_THEMES', message: `"${label}" must be an object.` });
+            return false;
+        }
+        for (const key of Object.keys(section)) {
+            if (!allowedKeys.includes(key)) {
+                errors.push({
+                    code: 'UNKNOWN_KEY',
+                    message: `Unknown key "${key}" in ${label}. Expected one of: ${allowedKeys.join(', ')}.`,
+                });
+            }
+        }
+        if (section.bundles !== undefined) {
+            errors.push(...validateBundleList(section.bundles, `${label}.bundles`));
+        }
+        if (section.exclusions !== undefined && !isExclusionList(section.exclusions)) {
+            errors.push({
+                code: 'INVALID_EXCLUSIONS',
+                message: `"${label}.exclusions" must be an array of non-empty module ID prefixes.`,
+            });
+        }
+        return true;
+    };
+
+    for (const [themeKey, theme] of Object.entries(themes)) {
+        const label = `themes["${themeKey}"]`;
+
+        if (!/^[^/]+\/[^/]+$/.test(themeKey)) {
+            errors.push({ code: 'INVALID_THEMES', message: `Theme key "${themeKey}" must use the "Vendor/Theme" format.` });
+        }
+        if (!validateSection(theme, label, ['bundles', 'exclusions', 'locales']) || theme.locales === undefined) {
+            continue;
+        }
+        if (!isPlainObject(theme.locales)) {
+            errors.push({ code: 'INVALID_THEMES', message: `"${label}.locales" must be an object keyed by locale code.` });
+            continue;
+        }
+        for (const [code, localeSection] of Object.entries(theme.locales)) {
+            validateSection(localeSection, `${label}.locales.${code}`, ['bundles', 'exclusions']);
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validates the `budgets` section: bundle names (or `'*'`) mapped to
+ * `{ max, maxDelta }` objects of per-format limits.
+ *
+ * @param {unknown} budgets - The `budgets` value.
+ * @returns {ValidationIssue[]}
+ */
+export const validateBudgets = (budgets) => {
+    if (!isPlainObject(budgets)) {
+        return [{ code: 'INVALID_BUDGETS', message: '"budgets" must be an object keyed by bundle name (or "*").' }];
+    }
+
+    /** @type {ValidationIssue[]} */
+    const errors = [];
+
+    for (const [bundleName, budget] of Object.entries(budgets)) {
+        const label = `budgets["${bundleName}"]`;
+
+        if (!isPlainObject(budget)) {
+            errors.push({ code: 'INVALID_BUDGETS', message: `"${label}" must be an object with "max" and/or "maxDelta".`, bundle: bundleName });
+            continue;
+        }
+
+        for (const [kind, limits] of Object.entries(budget)) {
+            if (!BUDGET_KINDS.includes(kind)) {
+                errors.push({ code: 'UNKNOWN_KEY', message: `Unknown key "${kind}" in ${label}. Expected one of: ${BUDGET_KINDS.join(', ')}.`, bundle: bundleName });
+                continue;
+            }
+            if (!isPlainObject(limits)) {
+                errors.push({ code: 'INVALID_BUDGETS', message: `"${label}.${kind}" must be an object of per-format limits.`, bundle: bundleName });
+                continue;
+            }
+            for (const [format, value] of Object.entries(limits)) {
+                if (!BUDGET_FORMATS.includes(format)) {
+                    errors.push({ code: 'INVALID_BUDGETS', message: `Unknown format "${format}" in ${label}.${kind}. Expected one of: ${BUDGET_FORMATS.join(', ')}.`, bundle: bundleName });
+                } else if (!isValidLimit(value, kind)) {
+                    errors.push({
+                        code: 'INVALID_BUDGETS',
+                        message: `Invalid limit ${JSON.stringify(value)} for ${label}.${kind}.${format}. Use bytes or a "KB"/"MB" string${kind === 'maxDelta' ? ', or a percentage' : ''}.`,
+                        bundle: bundleName,
+                    });
+                }
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validates the shape of a loaded configuration.
+ *
+ * Accepts both the object form (`{ bundles, exclusions, selectors, options, profiles, themes,
+ * budgets }`) and the legacy array form (a bare list of bundles). Top-level `bundles` may be
+ * omitted when `themes` provides them.
+ *
+ * @param {unknown} rawConfig - The value exported by `magepack.config.js`.
+ * @returns {ValidationIssue[]} Schema errors (empty when the config is valid).
+ */
+export const validateConfigSchema = (rawConfig) => {
+    /** @type {ValidationIssue[]} */
+    const errors = [];
+
+    let bundles = rawConfig;
+
+    if (!Array.isArray(rawConfig)) {
+        if (!isPlainObject(rawConfig)) {
+            errors.push({
+                code: 'INVALID_ROOT',
+                message: 'Configuration must export an object (or an array of bundles).',
+            });
+            return errors;
+        }
+
+        for (const key of Object.keys(rawConfig)) {
+            if (!KNOWN_TOP_LEVEL_KEYS.has(key)) {
+                errors.push({
+                    code: 'UNKNOWN_KEY',
+                    message: `Unknown top-level key "${key}". Expected one of: ${[...KNOWN_TOP_LEVEL_KEYS].join(', ')}.`,
+                });
+            }
+        }
+
+        if (rawConfig.exclusions !== undefined && !isExclusionList(rawConfig.exclusions)) {
+            errors.push({
+                code: 'INVALID_EXCLUSIONS',
+                message: '"exclusions" must be an array of non-empty module ID prefixes.',
+            });
+        }
+
+        if (rawConfig.selectors !== undefined && (
+            !isPlainObject(rawConfig.selectors) ||
+            Object.values(rawConfig.selectors).some((selector) => typeof selector !== 'string')
+        )) {
+            errors.push({
+                code: 'INVALID_SELECTORS',
+                message: '"selectors" must be an object of CSS selector strings.',
+            });
+        }
+
+        if (rawConfig.options !== undefined) {
+            errors.push(...validateBuildOptions(rawConfig.options, 'options'));
+        }
+
+        if (rawConfig.profiles !== undefined) {
+            if (!isPlainObject(rawConfig.profiles)) {
+                errors.push({ code: 'INVALID_PROFILES', message: '"profiles" must be an object of option objects.' });
+            } else {
+                for (const [name, profile] of Object.entries(rawConfig.profiles)) {
+                    errors.push(...validateBuildOptions(profile, `profiles.${name}`));
+                }
+            }
+        }
+
+        if (rawConfig.themes !== undefined) {
+            errors.push(...validateThemes(rawConfig.themes));
+        }
+
+        if (rawConfig.budgets !== undefined) {
+            errors.push(...validateBudgets(rawConfig.budgets));
+        }
+
+        bundles = rawConfig.bundles;
+    }
+
+    if (bundles === undefined && !Array.isArray(rawConfig) && rawConfig.themes !== undefined) {
+        // Theme sections may replace the default bundles entirely.
+        return errors;
+    }
+
+    errors.push(...validateBundleList(bundles, 'bundles'));
+
+    return errors;
+};
+
+/**
+ * Finds modules declared in more than one bundle.
+ *
+ * RequireJS keeps only the last `bundles` declaration of a module ID, so a
+ * duplicate both wastes bytes and makes the loading bundle order-dependent.
+ *
+ * @param {Array<{name: string, modules: Object<string, string>}>} bundles - Valid bundles.
+ * @param {string} [scope='default'] - Config scope of the bundles (see `bundle/localeConfig.js`).
+ * @returns {ValidationIssue[]} One issue per duplicated module.
+ */
+export const findDuplicateModules = (bundles, scope = 'default') => {
+    /** @type {Map<string, string[]>} */
+    const owners = new Map();
+
+    for (const bundle of bundles) {
+        for (const moduleName of Object.keys(bundle.modules)) {
+            if (!owners.has(moduleName)) {
+                owners.set(moduleName, []);
+            }
+            owners.get(moduleName).push(bundle.name);
+        }
+    }
+
+    return [...owners.entries()]
+        .filter(([, bundleNames]) => bundleNames.length > 1)
+        .map(([moduleName, bundleNames]) => ({
+            code: 'DUPLICATE_MODULE',
+            message: `${scope === 'default' ? '' : `[${scope}] `}Module "${moduleName}" is declared in ${bundleNames.length} bundles: ${bundleNames.join(', ')}.`,
+            module: moduleName,
+        }));
+};